@@ -102,8 +102,8 @@ emcc ^
   -O3 ^
   -DPACKAGE_VERSION=\"2.11.2\" ^
   -s STACK_SIZE=262144 ^
-  -s EXPORTED_FUNCTIONS="[\"_get_faad_capabilities\",\"_init_decoder\",\"_decode_frame\",\"_malloc\",\"_free\"]" ^
-  -s EXPORTED_RUNTIME_METHODS="[\"ccall\",\"cwrap\",\"getValue\",\"setValue\",\"writeArrayToMemory\",\"HEAPU8\"]" ^
+  -s EXPORTED_FUNCTIONS="[\"_get_faad_capabilities\",\"_get_error_message\",\"_open_decoder\",\"_close_decoder\",\"_init_decoder\",\"_decode_frame\",\"_decode_batch\",\"_post_seek_reset\",\"_malloc\",\"_free\"]" ^
+  -s EXPORTED_RUNTIME_METHODS="[\"ccall\",\"cwrap\",\"getValue\",\"setValue\",\"writeArrayToMemory\",\"UTF8ToString\",\"HEAPU8\"]" ^
   -s MODULARIZE=1 ^
   -s EXPORT_NAME="Faad2Module" ^
   -s ALLOW_MEMORY_GROWTH=1 ^
@@ -136,8 +136,8 @@ emcc ^
   -O3 ^
   -DPACKAGE_VERSION=\"2.11.2\" ^
   -s STACK_SIZE=262144 ^
-  -s EXPORTED_FUNCTIONS="[\"_get_faad_capabilities\",\"_init_decoder\",\"_decode_frame\",\"_malloc\",\"_free\"]" ^
-  -s EXPORTED_RUNTIME_METHODS="[\"ccall\",\"cwrap\",\"getValue\",\"setValue\",\"writeArrayToMemory\",\"HEAPU8\"]" ^
+  -s EXPORTED_FUNCTIONS="[\"_get_faad_capabilities\",\"_get_error_message\",\"_open_decoder\",\"_close_decoder\",\"_init_decoder\",\"_decode_frame\",\"_decode_batch\",\"_post_seek_reset\",\"_malloc\",\"_free\"]" ^
+  -s EXPORTED_RUNTIME_METHODS="[\"ccall\",\"cwrap\",\"getValue\",\"setValue\",\"writeArrayToMemory\",\"UTF8ToString\",\"HEAPU8\"]" ^
   -s MODULARIZE=1 ^
   -s EXPORT_NAME="Faad2Module" ^
   -s ALLOW_MEMORY_GROWTH=1 ^
@@ -0,0 +1,166 @@
+/**
+ * ADTS (Audio Data Transport Stream) header parsing and a streaming frame
+ * splitter that turns arbitrary byte chunks into complete ADTS frames.
+ */
+
+// MPEG-4 sampling frequency table, indexed by sampling_frequency_index
+export const SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350]
+
+export const ADTS_HEADER_SIZE = 7
+export const ADTS_CRC_HEADER_SIZE = 9
+
+/**
+ * Check for the 12-bit ADTS syncword at offset
+ * @param {Uint8Array} data
+ * @param {number} [offset=0]
+ * @returns {boolean}
+ */
+export function isADTSSync(data, offset = 0) {
+  return offset + 1 < data.length && data[offset] === 0xFF && (data[offset + 1] & 0xF0) === 0xF0
+}
+
+/**
+ * Parse and validate an ADTS header
+ * @param {Uint8Array} data - Bytes containing the header
+ * @param {number} [offset=0] - Header position
+ * @returns {Object|null} - Header fields, or null if there is no valid header at offset
+ */
+export function parseADTSHeader(data, offset = 0) {
+  if (offset + ADTS_HEADER_SIZE > data.length || !isADTSSync(data, offset)) return null
+
+  const layer = (data[offset + 1] >> 1) & 0x03
+  const protectionAbsent = data[offset + 1] & 0x01
+  const profile = ((data[offset + 2] >> 6) & 0x03) + 1
+  const sampleRateIndex = (data[offset + 2] >> 2) & 0x0F
+  const channelConfig = ((data[offset + 2] & 0x01) << 2) | ((data[offset + 3] >> 6) & 0x03)
+  const frameLength = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | ((data[offset + 5] >> 5) & 0x07)
+  const rawDataBlocks = (data[offset + 6] & 0x03) + 1
+  const headerSize = protectionAbsent ? ADTS_HEADER_SIZE : ADTS_CRC_HEADER_SIZE
+
+  if (layer !== 0 || sampleRateIndex >= SAMPLE_RATES.length || frameLength <= headerSize) {
+    return null
+  }
+
+  return {
+    mpegVersion: (data[offset + 1] & 0x08) ? 2 : 4,
+    protectionAbsent,
+    profile,
+    sampleRateIndex,
+    sampleRate: SAMPLE_RATES[sampleRateIndex],
+    channelConfig,
+    channels: channelConfig === 7 ? 8 : channelConfig,
+    frameLength,
+    headerSize,
+    rawDataBlocks,
+  }
+}
+
+/**
+ * Streaming ADTS frame splitter.
+ *
+ * Accepts chunks split at arbitrary boundaries, buffers partial frames and
+ * skips garbage until it finds sync again. After a loss of sync a candidate
+ * header is only accepted once the next frame's syncword confirms its
+ * frame_length, so stray 0xFFF patterns inside payloads are not mistaken
+ * for frames.
+ */
+export class ADTSParser {
+  constructor() {
+    this.reset()
+  }
+
+  // Framing hooks, overridden by LOASParser
+  _parseHeader(data, offset) {
+    return parseADTSHeader(data, offset)
+  }
+
+  _isSync(data, offset) {
+    return isADTSSync(data, offset)
+  }
+
+  get _minHeaderSize() {
+    return ADTS_HEADER_SIZE
+  }
+
+  reset() {
+    this.buffer = new Uint8Array(0)
+    this.bufferOffset = 0
+    this.locked = true
+    this.skippedBytes = 0
+  }
+
+  /**
+   * Add bytes and return every frame completed by them
+   * @param {Uint8Array} chunk - Any number of bytes
+   * @returns {Object[]} - Frames as { data: Uint8Array, header: Object, offset: number }
+   */
+  push(chunk) {
+    if (chunk && chunk.length) {
+      const buffer = new Uint8Array(this.buffer.length + chunk.length)
+      buffer.set(this.buffer, 0)
+      buffer.set(chunk, this.buffer.length)
+      this.buffer = buffer
+    }
+    return this._drain(false)
+  }
+
+  /**
+   * Return the frames still buffered at end of stream and drop any partial frame
+   * @returns {Object[]} - Frames as { data: Uint8Array, header: Object, offset: number }
+   */
+  flush() {
+    const frames = this._drain(true)
+    this.skippedBytes += this.buffer.length
+    this.bufferOffset += this.buffer.length
+    this.buffer = new Uint8Array(0)
+    return frames
+  }
+
+  _drain(final) {
+    const frames = []
+    const data = this.buffer
+    let pos = 0
+
+    while (pos + this._minHeaderSize <= data.length) {
+      const header = this._parseHeader(data, pos)
+      if (!header) {
+        this.locked = false
+        pos++
+        this.skippedBytes++
+        continue
+      }
+
+      const end = pos + header.frameLength
+      if (end > data.length) {
+        if (!final) break
+        // A truncated frame at end of stream, or a false sync: keep searching
+        this.locked = false
+        pos++
+        this.skippedBytes++
+        continue
+      }
+
+      if (!this.locked) {
+        // Confirm the candidate by the syncword right after it
+        if (end + 2 > data.length && !final) break
+        if (end + 2 <= data.length && !this._isSync(data, end)) {
+          pos++
+          this.skippedBytes++
+          continue
+        }
+        this.locked = true
+      }
+
+      frames.push({
+        data: data.slice(pos, end),
+        header,
+        offset: this.bufferOffset + pos,
+      })
+      pos = end
+    }
+
+    this.buffer = data.subarray(pos)
+    this.bufferOffset += pos
+    return frames
+  }
+}
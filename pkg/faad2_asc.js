@@ -0,0 +1,551 @@
+import { BitReader, BitWriter } from './faad2_bits.js'
+import { SAMPLE_RATES } from './faad2_adts.js'
+
+/**
+ * AudioSpecificConfig (ISO/IEC 14496-3, 1.6.2.1) parsing and serialization.
+ *
+ * Covers escaped object types, explicit sampling frequencies (index 0xF),
+ * explicit SBR/PS signaling in both the hierarchical (object type 5 or 29
+ * first) and the backward-compatible (sync extension 0x2B7) form,
+ * GASpecificConfig and program_config_element.
+ *
+ * Parsed configs look like:
+ *   {
+ *     objectType, samplingFrequencyIndex, samplingFrequency, channelConfiguration,
+ *     extensionObjectType, sbrPresent, psPresent, extensionSamplingFrequencyIndex,
+ *     extensionSamplingFrequency, extensionChannelConfiguration, signaling,
+ *     gaSpecificConfig, epConfig, bitLength
+ *   }
+ * where objectType is the core object type (AAC LC for HE-AAC) and sbrPresent /
+ * psPresent are null when not signaled.
+ */
+
+export const AUDIO_OBJECT_TYPE = {
+  AAC_MAIN: 1,
+  AAC_LC: 2,
+  AAC_SSR: 3,
+  AAC_LTP: 4,
+  SBR: 5,
+  AAC_SCALABLE: 6,
+  TWINVQ: 7,
+  ER_AAC_LC: 17,
+  ER_AAC_LTP: 19,
+  ER_AAC_SCALABLE: 20,
+  ER_TWINVQ: 21,
+  ER_BSAC: 22,
+  ER_AAC_LD: 23,
+  PS: 29,
+}
+
+export const SIGNALING = {
+  IMPLICIT: 'implicit',
+  HIERARCHICAL: 'hierarchical',
+  BACKWARD_COMPATIBLE: 'backward-compatible',
+}
+
+const ESCAPE_OBJECT_TYPE = 31
+const ESCAPE_FREQUENCY_INDEX = 0xF
+const SBR_SYNC_EXTENSION = 0x2B7
+const PS_SYNC_EXTENSION = 0x548
+
+// Audio object types that use GASpecificConfig
+const GA_OBJECT_TYPES = new Set([1, 2, 3, 4, 6, 7, 17, 19, 20, 21, 22, 23])
+// Audio object types with an epConfig field
+const ER_OBJECT_TYPES = new Set([17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 39])
+
+// Channel count for every channelConfiguration (0 means the PCE defines it)
+const CONFIGURATION_CHANNELS = [0, 1, 2, 3, 4, 5, 6, 8, 0, 0, 0, 7, 8, 24, 8]
+
+// MPEG-2 AAC objectTypeIndications in mp4a codec strings
+const MPEG2_OBJECT_TYPES = { 0x66: 1, 0x67: 2, 0x68: 3 }
+
+function readObjectType(reader) {
+  const objectType = reader.readBits(5)
+  return objectType === ESCAPE_OBJECT_TYPE ? 32 + reader.readBits(6) : objectType
+}
+
+function writeObjectType(writer, objectType) {
+  if (objectType < ESCAPE_OBJECT_TYPE) {
+    writer.writeBits(objectType, 5)
+  } else {
+    writer.writeBits(ESCAPE_OBJECT_TYPE, 5)
+    writer.writeBits(objectType - 32, 6)
+  }
+}
+
+function readSamplingFrequency(reader) {
+  const index = reader.readBits(4)
+  const frequency = index === ESCAPE_FREQUENCY_INDEX ? reader.readBits(24) : SAMPLE_RATES[index]
+  return { index, frequency }
+}
+
+function writeSamplingFrequency(writer, index, frequency) {
+  if (index === undefined || index === null) {
+    index = samplingFrequencyIndex(frequency)
+  }
+  writer.writeBits(index, 4)
+  if (index === ESCAPE_FREQUENCY_INDEX) writer.writeBits(frequency, 24)
+}
+
+/**
+ * Table index for a sampling frequency
+ * @param {number} frequency - Sample rate in Hz
+ * @returns {number} - Index into SAMPLE_RATES, or 0xF when the rate has to be written explicitly
+ */
+export function samplingFrequencyIndex(frequency) {
+  const index = SAMPLE_RATES.indexOf(frequency)
+  return index < 0 ? ESCAPE_FREQUENCY_INDEX : index
+}
+
+function readElementList(reader, count, read) {
+  return Array.from({ length: count }, read)
+}
+
+function readProgramConfigElement(reader, start) {
+  const pce = {
+    elementInstanceTag: reader.readBits(4),
+    objectType: reader.readBits(2),
+    samplingFrequencyIndex: reader.readBits(4),
+  }
+  const front = reader.readBits(4)
+  const side = reader.readBits(4)
+  const back = reader.readBits(4)
+  const lfe = reader.readBits(2)
+  const assocData = reader.readBits(3)
+  const cc = reader.readBits(4)
+
+  pce.monoMixdownElementNumber = reader.readBit() ? reader.readBits(4) : null
+  pce.stereoMixdownElementNumber = reader.readBit() ? reader.readBits(4) : null
+  pce.matrixMixdown = reader.readBit()
+    ? { index: reader.readBits(2), pseudoSurround: reader.readBit() }
+    : null
+
+  const channelElement = () => ({ isCpe: reader.readBit(), tagSelect: reader.readBits(4) })
+  pce.frontElements = readElementList(reader, front, channelElement)
+  pce.sideElements = readElementList(reader, side, channelElement)
+  pce.backElements = readElementList(reader, back, channelElement)
+  pce.lfeElements = readElementList(reader, lfe, () => reader.readBits(4))
+  pce.assocDataElements = readElementList(reader, assocData, () => reader.readBits(4))
+  pce.ccElements = readElementList(reader, cc, () => ({ isIndSw: reader.readBit(), tagSelect: reader.readBits(4) }))
+
+  // byte_alignment() relative to the start of the AudioSpecificConfig
+  const misalignment = (reader.position - start) & 7
+  if (misalignment) reader.skipBits(8 - misalignment)
+
+  const commentBytes = reader.readBits(8)
+  pce.comment = new Uint8Array(reader.readBytes(commentBytes))
+  return pce
+}
+
+function writeProgramConfigElement(writer, pce) {
+  const {
+    frontElements = [], sideElements = [], backElements = [],
+    lfeElements = [], assocDataElements = [], ccElements = [],
+  } = pce
+
+  writer.writeBits(pce.elementInstanceTag || 0, 4)
+  writer.writeBits(pce.objectType || 0, 2)
+  writer.writeBits(pce.samplingFrequencyIndex || 0, 4)
+  writer.writeBits(frontElements.length, 4)
+  writer.writeBits(sideElements.length, 4)
+  writer.writeBits(backElements.length, 4)
+  writer.writeBits(lfeElements.length, 2)
+  writer.writeBits(assocDataElements.length, 3)
+  writer.writeBits(ccElements.length, 4)
+
+  for (const mixdown of [pce.monoMixdownElementNumber, pce.stereoMixdownElementNumber]) {
+    const present = mixdown !== null && mixdown !== undefined
+    writer.writeBit(present)
+    if (present) writer.writeBits(mixdown, 4)
+  }
+  writer.writeBit(Boolean(pce.matrixMixdown))
+  if (pce.matrixMixdown) {
+    writer.writeBits(pce.matrixMixdown.index, 2)
+    writer.writeBit(pce.matrixMixdown.pseudoSurround)
+  }
+
+  for (const element of [...frontElements, ...sideElements, ...backElements]) {
+    writer.writeBit(element.isCpe)
+    writer.writeBits(element.tagSelect, 4)
+  }
+  for (const tag of [...lfeElements, ...assocDataElements]) {
+    writer.writeBits(tag, 4)
+  }
+  for (const element of ccElements) {
+    writer.writeBit(element.isIndSw)
+    writer.writeBits(element.tagSelect, 4)
+  }
+
+  writer.byteAlign()
+  const comment = pce.comment || new Uint8Array(0)
+  writer.writeBits(comment.length, 8)
+  writer.writeBytes(comment)
+}
+
+/**
+ * Number of output channels described by a program_config_element
+ * @param {Object} pce
+ * @returns {number}
+ */
+export function pceChannelCount(pce) {
+  const elements = [...pce.frontElements, ...pce.sideElements, ...pce.backElements]
+  return elements.reduce((sum, element) => sum + (element.isCpe ? 2 : 1), 0) + pce.lfeElements.length
+}
+
+function readGASpecificConfig(reader, objectType, channelConfiguration, start) {
+  const ga = {
+    frameLengthFlag: reader.readBit(),
+    dependsOnCoreCoder: reader.readBit(),
+    coreCoderDelay: 0,
+    extensionFlag: 0,
+    programConfigElement: null,
+  }
+  if (ga.dependsOnCoreCoder) ga.coreCoderDelay = reader.readBits(14)
+  ga.extensionFlag = reader.readBit()
+
+  if (!channelConfiguration) {
+    ga.programConfigElement = readProgramConfigElement(reader, start)
+  }
+  if (objectType === 6 || objectType === 20) {
+    ga.layerNr = reader.readBits(3)
+  }
+  if (ga.extensionFlag) {
+    if (objectType === 22) {
+      ga.numOfSubFrame = reader.readBits(5)
+      ga.layerLength = reader.readBits(11)
+    }
+    if (objectType === 17 || objectType === 19 || objectType === 20 || objectType === 23) {
+      ga.aacSectionDataResilienceFlag = reader.readBit()
+      ga.aacScalefactorDataResilienceFlag = reader.readBit()
+      ga.aacSpectralDataResilienceFlag = reader.readBit()
+    }
+    ga.extensionFlag3 = reader.readBit()
+  }
+  return ga
+}
+
+function writeGASpecificConfig(writer, objectType, channelConfiguration, ga = {}) {
+  writer.writeBit(ga.frameLengthFlag)
+  writer.writeBit(ga.dependsOnCoreCoder)
+  if (ga.dependsOnCoreCoder) writer.writeBits(ga.coreCoderDelay || 0, 14)
+  writer.writeBit(ga.extensionFlag)
+
+  if (!channelConfiguration) {
+    if (!ga.programConfigElement) {
+      throw new Error('channelConfiguration 0 needs a programConfigElement')
+    }
+    writeProgramConfigElement(writer, ga.programConfigElement)
+  }
+  if (objectType === 6 || objectType === 20) {
+    writer.writeBits(ga.layerNr || 0, 3)
+  }
+  if (ga.extensionFlag) {
+    if (objectType === 22) {
+      writer.writeBits(ga.numOfSubFrame || 0, 5)
+      writer.writeBits(ga.layerLength || 0, 11)
+    }
+    if (objectType === 17 || objectType === 19 || objectType === 20 || objectType === 23) {
+      writer.writeBit(ga.aacSectionDataResilienceFlag)
+      writer.writeBit(ga.aacScalefactorDataResilienceFlag)
+      writer.writeBit(ga.aacSpectralDataResilienceFlag)
+    }
+    writer.writeBit(ga.extensionFlag3)
+  }
+}
+
+/**
+ * Read an AudioSpecificConfig at the reader's position
+ * @param {BitReader} reader
+ * @param {Object} [options]
+ * @param {boolean} [options.syncExtension=true] - Look for backward-compatible SBR/PS signaling in the
+ *   remaining bits; disable when other data follows the config (e.g. LATM audioMuxVersion 0)
+ * @returns {Object} - Parsed config; gaSpecificConfig is null for object types other than AAC,
+ *   and bitLength then only covers the fields before the object-type specific config
+ * @throws {Error} - For unsupported epConfig values and configs cut short
+ */
+export function readAudioSpecificConfig(reader, { syncExtension = true } = {}) {
+  const start = reader.position
+  let objectType = readObjectType(reader)
+  const frequency = readSamplingFrequency(reader)
+
+  const config = {
+    objectType,
+    samplingFrequencyIndex: frequency.index,
+    samplingFrequency: frequency.frequency,
+    channelConfiguration: reader.readBits(4),
+    extensionObjectType: 0,
+    sbrPresent: null,
+    psPresent: null,
+    extensionSamplingFrequencyIndex: null,
+    extensionSamplingFrequency: null,
+    extensionChannelConfiguration: null,
+    signaling: SIGNALING.IMPLICIT,
+    gaSpecificConfig: null,
+    epConfig: null,
+    bitLength: 0,
+  }
+
+  if (objectType === AUDIO_OBJECT_TYPE.SBR || objectType === AUDIO_OBJECT_TYPE.PS) {
+    config.signaling = SIGNALING.HIERARCHICAL
+    config.extensionObjectType = AUDIO_OBJECT_TYPE.SBR
+    config.sbrPresent = true
+    if (objectType === AUDIO_OBJECT_TYPE.PS) config.psPresent = true
+
+    const extension = readSamplingFrequency(reader)
+    config.extensionSamplingFrequencyIndex = extension.index
+    config.extensionSamplingFrequency = extension.frequency
+
+    objectType = readObjectType(reader)
+    if (objectType === AUDIO_OBJECT_TYPE.ER_BSAC) {
+      config.extensionChannelConfiguration = reader.readBits(4)
+    }
+    config.objectType = objectType
+  }
+
+  if (!GA_OBJECT_TYPES.has(objectType)) {
+    // Not an AAC object type: the rest of the config is not interpreted
+    config.bitLength = reader.position - start
+    return config
+  }
+  config.gaSpecificConfig = readGASpecificConfig(reader, objectType, config.channelConfiguration, start)
+
+  if (ER_OBJECT_TYPES.has(objectType)) {
+    config.epConfig = reader.readBits(2)
+    if (config.epConfig === 2 || config.epConfig === 3) {
+      throw new Error(`Unsupported epConfig: ${config.epConfig}`)
+    }
+  }
+
+  if (syncExtension && config.extensionObjectType !== AUDIO_OBJECT_TYPE.SBR && reader.bitsLeft >= 16) {
+    readSyncExtension(reader, config)
+  }
+
+  config.bitLength = reader.position - start
+  return config
+}
+
+function readSyncExtension(reader, config) {
+  const position = reader.position
+  if (reader.readBits(11) !== SBR_SYNC_EXTENSION) {
+    reader.position = position
+    return
+  }
+
+  const extensionObjectType = readObjectType(reader)
+  if (extensionObjectType !== AUDIO_OBJECT_TYPE.SBR && extensionObjectType !== AUDIO_OBJECT_TYPE.ER_BSAC) {
+    reader.position = position
+    return
+  }
+
+  config.signaling = SIGNALING.BACKWARD_COMPATIBLE
+  config.extensionObjectType = extensionObjectType
+  config.sbrPresent = Boolean(reader.readBit())
+  if (config.sbrPresent) {
+    const extension = readSamplingFrequency(reader)
+    config.extensionSamplingFrequencyIndex = extension.index
+    config.extensionSamplingFrequency = extension.frequency
+  }
+
+  if (extensionObjectType === AUDIO_OBJECT_TYPE.ER_BSAC) {
+    config.extensionChannelConfiguration = reader.readBits(4)
+  } else if (config.sbrPresent && reader.bitsLeft >= 12) {
+    const psPosition = reader.position
+    if (reader.readBits(11) === PS_SYNC_EXTENSION) {
+      config.psPresent = Boolean(reader.readBit())
+    } else {
+      reader.position = psPosition
+    }
+  }
+}
+
+/**
+ * Parse an AudioSpecificConfig
+ * @param {Uint8Array} data - Config bytes, e.g. from an esds box or a WebCodecs description
+ * @returns {Object} - Parsed config
+ */
+export function parseAudioSpecificConfig(data) {
+  if (ArrayBuffer.isView(data)) {
+    data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  } else if (data instanceof ArrayBuffer) {
+    data = new Uint8Array(data)
+  }
+  return readAudioSpecificConfig(new BitReader(data))
+}
+
+/**
+ * Serialize an AudioSpecificConfig
+ * @param {Object} config - Config in the shape returned by parseAudioSpecificConfig(); omitted
+ *   fields default to zero, frequency indexes are derived from the frequencies when missing
+ * @returns {Uint8Array}
+ */
+export function serializeAudioSpecificConfig(config) {
+  const writer = new BitWriter()
+  const {
+    objectType,
+    channelConfiguration = 0,
+    extensionObjectType = 0,
+    sbrPresent = null,
+    psPresent = null,
+  } = config
+  const signaling = config.signaling || (extensionObjectType ? SIGNALING.HIERARCHICAL : SIGNALING.IMPLICIT)
+  const hierarchical = signaling === SIGNALING.HIERARCHICAL && extensionObjectType === AUDIO_OBJECT_TYPE.SBR
+
+  if (hierarchical) {
+    writeObjectType(writer, psPresent ? AUDIO_OBJECT_TYPE.PS : AUDIO_OBJECT_TYPE.SBR)
+  } else {
+    writeObjectType(writer, objectType)
+  }
+  writeSamplingFrequency(writer, config.samplingFrequencyIndex, config.samplingFrequency)
+  writer.writeBits(channelConfiguration, 4)
+
+  if (hierarchical) {
+    writeSamplingFrequency(writer, config.extensionSamplingFrequencyIndex, config.extensionSamplingFrequency)
+    writeObjectType(writer, objectType)
+    if (objectType === AUDIO_OBJECT_TYPE.ER_BSAC) {
+      writer.writeBits(config.extensionChannelConfiguration || 0, 4)
+    }
+  }
+
+  if (!GA_OBJECT_TYPES.has(objectType)) {
+    throw new Error(`Unsupported audio object type: ${objectType}`)
+  }
+  writeGASpecificConfig(writer, objectType, channelConfiguration, config.gaSpecificConfig || {})
+
+  if (ER_OBJECT_TYPES.has(objectType)) {
+    writer.writeBits(config.epConfig || 0, 2)
+  }
+
+  if (signaling === SIGNALING.BACKWARD_COMPATIBLE && extensionObjectType) {
+    writer.writeBits(SBR_SYNC_EXTENSION, 11)
+    writeObjectType(writer, extensionObjectType)
+    writer.writeBit(sbrPresent)
+    if (sbrPresent) {
+      writeSamplingFrequency(writer, config.extensionSamplingFrequencyIndex, config.extensionSamplingFrequency)
+    }
+    if (extensionObjectType === AUDIO_OBJECT_TYPE.ER_BSAC) {
+      writer.writeBits(config.extensionChannelConfiguration || 0, 4)
+    } else if (sbrPresent && psPresent !== null) {
+      writer.writeBits(PS_SYNC_EXTENSION, 11)
+      writer.writeBit(psPresent)
+    }
+  }
+
+  return writer.toBytes()
+}
+
+/**
+ * Output channel count of a parsed config
+ * @param {Object} config
+ * @returns {number} - Channels, counting parametric stereo as 2
+ */
+export function channelCount(config) {
+  const pce = config.gaSpecificConfig && config.gaSpecificConfig.programConfigElement
+  const channels = config.channelConfiguration
+    ? CONFIGURATION_CHANNELS[config.channelConfiguration] || 0
+    : pce ? pceChannelCount(pce) : 0
+  return config.psPresent && channels === 1 ? 2 : channels
+}
+
+/**
+ * Output sample rate of a parsed config
+ * @param {Object} config
+ * @returns {number} - The SBR rate when SBR is signaled, the core rate otherwise
+ */
+export function outputSampleRate(config) {
+  return config.sbrPresent && config.extensionSamplingFrequency
+    ? config.extensionSamplingFrequency
+    : config.samplingFrequency
+}
+
+/**
+ * Build an AudioSpecificConfig for an ADTS stream
+ * @param {Object} header - Header from parseADTSHeader()
+ * @returns {Uint8Array}
+ */
+export function fromADTSHeader(header) {
+  if (!header.channelConfig) {
+    throw new Error('ADTS channel_configuration 0 carries its layout in-band; pass an AudioSpecificConfig with a program_config_element')
+  }
+  return serializeAudioSpecificConfig({
+    objectType: header.profile,
+    samplingFrequencyIndex: header.sampleRateIndex,
+    channelConfiguration: header.channelConfig,
+  })
+}
+
+function channelConfigurationFor(channels) {
+  const configuration = CONFIGURATION_CHANNELS.indexOf(channels, 1)
+  if (configuration < 1 || configuration > 7) {
+    throw new Error(`No channelConfiguration for ${channels} channels`)
+  }
+  return configuration
+}
+
+/**
+ * Build an AudioSpecificConfig from a codec string
+ *
+ * For HE-AAC (mp4a.40.5) and HE-AAC v2 (mp4a.40.29) sampleRate is the output
+ * rate; the core runs at half of it. HE-AAC v2 codes a mono core, so
+ * channels must be 1 or 2.
+ *
+ * @example
+ * fromCodecString('mp4a.40.2', 44100, 2)  // Uint8Array [0x12, 0x10]
+ * fromCodecString('mp4a.40.5', 48000, 2)  // Uint8Array [0x2B, 0x11, 0x88, 0x00]
+ *
+ * @param {string} codec - 'mp4a.40.<objectType>' or MPEG-2 'mp4a.66' / 'mp4a.67' / 'mp4a.68'
+ * @param {number} sampleRate - Output sample rate in Hz
+ * @param {number} channels - Output channel count: 1-6 or 8
+ * @param {Object} [options]
+ * @param {string} [options.signaling='hierarchical'] - SBR/PS signaling: 'hierarchical', 'backward-compatible'
+ *   or 'implicit' (core config only; FAAD2 detects SBR from the bitstream)
+ * @returns {Uint8Array}
+ */
+export function fromCodecString(codec, sampleRate, channels, { signaling = SIGNALING.HIERARCHICAL } = {}) {
+  const match = /^mp4a\.([0-9a-f]{2})(?:\.(\d+))?$/i.exec(String(codec).trim())
+  if (!match) {
+    throw new Error(`Not an AAC codec string: ${codec}`)
+  }
+  if (!Object.values(SIGNALING).includes(signaling)) {
+    throw new Error(`Unknown SBR/PS signaling: ${signaling}`)
+  }
+
+  const oti = parseInt(match[1], 16)
+  let objectType
+  if (oti === 0x40 && match[2]) {
+    objectType = parseInt(match[2], 10)
+  } else if (MPEG2_OBJECT_TYPES[oti] && !match[2]) {
+    objectType = MPEG2_OBJECT_TYPES[oti]
+  } else {
+    throw new Error(`Not an AAC codec string: ${codec}`)
+  }
+
+  if (objectType !== AUDIO_OBJECT_TYPE.SBR && objectType !== AUDIO_OBJECT_TYPE.PS) {
+    return serializeAudioSpecificConfig({
+      objectType,
+      samplingFrequency: sampleRate,
+      channelConfiguration: channelConfigurationFor(channels),
+    })
+  }
+
+  const ps = objectType === AUDIO_OBJECT_TYPE.PS
+  if (ps && channels > 2) {
+    throw new Error(`HE-AAC v2 carries 1 or 2 channels, not ${channels}`)
+  }
+  const core = {
+    objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+    samplingFrequency: Math.round(sampleRate / 2),
+    channelConfiguration: ps ? 1 : channelConfigurationFor(channels),
+  }
+  if (signaling === SIGNALING.IMPLICIT) {
+    return serializeAudioSpecificConfig(core)
+  }
+
+  return serializeAudioSpecificConfig({
+    ...core,
+    signaling,
+    extensionObjectType: AUDIO_OBJECT_TYPE.SBR,
+    sbrPresent: true,
+    psPresent: ps ? true : null,
+    extensionSamplingFrequency: sampleRate,
+  })
+}
@@ -0,0 +1,144 @@
+/**
+ * MSB-first bit reader and writer for bitstream syntax that is not byte aligned
+ * (LATM AudioMuxElement, AudioSpecificConfig).
+ */
+
+export class BitReader {
+  /**
+   * @param {Uint8Array} data
+   * @param {number} [byteOffset=0] - First byte to read
+   */
+  constructor(data, byteOffset = 0) {
+    this.data = data
+    this.position = byteOffset * 8
+  }
+
+  get bitsLeft() {
+    return this.data.length * 8 - this.position
+  }
+
+  /**
+   * Read an unsigned value of up to 32 bits
+   * @param {number} count - Number of bits
+   * @returns {number}
+   * @throws {RangeError} - When fewer than count bits are left
+   */
+  readBits(count) {
+    if (count > this.bitsLeft) {
+      throw new RangeError(`Read of ${count} bits past the end of the data`)
+    }
+
+    let value = 0
+    for (let i = 0; i < count; i++) {
+      const byte = this.data[this.position >> 3]
+      const bit = (byte >> (7 - (this.position & 7))) & 1
+      value = value * 2 + bit
+      this.position++
+    }
+    return value
+  }
+
+  readBit() {
+    return this.readBits(1)
+  }
+
+  skipBits(count) {
+    if (count > this.bitsLeft) {
+      throw new RangeError(`Skip of ${count} bits past the end of the data`)
+    }
+    this.position += count
+  }
+
+  /**
+   * Skip to the next byte boundary, relative to the start of data
+   */
+  byteAlign() {
+    this.position = (this.position + 7) & ~7
+  }
+
+  /**
+   * Copy bits into a new byte array, zero padded at the end
+   * @param {number} start - First bit position
+   * @param {number} end - Bit position after the last bit
+   * @returns {Uint8Array}
+   */
+  copyBits(start, end) {
+    const saved = this.position
+    const out = new Uint8Array(Math.ceil((end - start) / 8))
+    this.position = start
+    for (let i = 0; this.position < end; i++) {
+      const count = Math.min(8, end - this.position)
+      out[i] = this.readBits(count) << (8 - count)
+    }
+    this.position = saved
+    return out
+  }
+
+  /**
+   * Read whole bytes starting at the current (possibly unaligned) position
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} - A view into data when aligned, a copy otherwise
+   */
+  readBytes(length) {
+    if (!(this.position & 7)) {
+      const start = this.position >> 3
+      if (start + length > this.data.length) {
+        throw new RangeError(`Read of ${length} bytes past the end of the data`)
+      }
+      this.position += length * 8
+      return this.data.subarray(start, start + length)
+    }
+
+    const out = new Uint8Array(length)
+    for (let i = 0; i < length; i++) {
+      out[i] = this.readBits(8)
+    }
+    return out
+  }
+}
+
+/**
+ * MSB-first bit writer, the counterpart of BitReader
+ */
+export class BitWriter {
+  constructor() {
+    this.bytes = []
+    this.position = 0
+  }
+
+  /**
+   * Append an unsigned value of up to 32 bits
+   * @param {number} value
+   * @param {number} count - Number of bits
+   */
+  writeBits(value, count) {
+    for (let i = count - 1; i >= 0; i--) {
+      const bit = Math.floor(value / 2 ** i) & 1
+      if (!(this.position & 7)) this.bytes.push(0)
+      this.bytes[this.bytes.length - 1] |= bit << (7 - (this.position & 7))
+      this.position++
+    }
+  }
+
+  writeBit(value) {
+    this.writeBits(value ? 1 : 0, 1)
+  }
+
+  /**
+   * Pad with zero bits to the next byte boundary
+   */
+  byteAlign() {
+    if (this.position & 7) this.writeBits(0, 8 - (this.position & 7))
+  }
+
+  writeBytes(bytes) {
+    for (const byte of bytes) this.writeBits(byte, 8)
+  }
+
+  /**
+   * @returns {Uint8Array} - Written bits, zero padded to whole bytes
+   */
+  toBytes() {
+    return Uint8Array.from(this.bytes)
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Channel layouts and reordering between FAAD2 and WAV/WebAudio order.
+ *
+ * FAAD2 emits channels in MPEG order (center first), while WAV
+ * (WAVE_FORMAT_EXTENSIBLE) and WebAudio expect left/right first:
+ *
+ * | Channels | FAAD2 order                     | WAV / WebAudio order            |
+ * |----------|---------------------------------|---------------------------------|
+ * | 1        | C                               | C                               |
+ * | 2        | L R                             | L R                             |
+ * | 3        | C L R                           | L R C                           |
+ * | 4        | C L R Cs                        | L R C Cs                        |
+ * | 5        | C L R Ls Rs                     | L R C Ls Rs                     |
+ * | 6 (5.1)  | C L R Ls Rs LFE                 | L R C LFE Ls Rs                 |
+ * | 8 (7.1)  | C L R Lss Rss Lrs Rrs LFE       | L R C LFE Lrs Rrs Lss Rss       |
+ *
+ * Ls/Rs: surround, Cs: back center, Lss/Rss: side surround, Lrs/Rrs: rear surround.
+ */
+
+export const MAX_CHANNELS = 8
+
+export const CHANNEL_ORDER = {
+  FAAD: 'faad',
+  WAV: 'wav',
+}
+
+const FAAD_LAYOUTS = {
+  1: ['C'],
+  2: ['L', 'R'],
+  3: ['C', 'L', 'R'],
+  4: ['C', 'L', 'R', 'Cs'],
+  5: ['C', 'L', 'R', 'Ls', 'Rs'],
+  6: ['C', 'L', 'R', 'Ls', 'Rs', 'LFE'],
+  8: ['C', 'L', 'R', 'Lss', 'Rss', 'Lrs', 'Rrs', 'LFE'],
+}
+
+// For every output channel, the index of the FAAD2 channel it is taken from
+const WAV_FROM_FAAD = {
+  1: [0],
+  2: [0, 1],
+  3: [1, 2, 0],
+  4: [1, 2, 0, 3],
+  5: [1, 2, 0, 3, 4],
+  6: [1, 2, 0, 5, 3, 4],
+  8: [1, 2, 0, 7, 5, 6, 3, 4],
+}
+
+/**
+ * Channel labels for a decoded frame in the requested order
+ * @param {number} channels - Channel count reported by FAAD2
+ * @param {string} order - 'wav' (default) or 'faad'
+ * @returns {string[]} - Channel labels, or generic 'Ch<n>' labels for unknown layouts
+ */
+export function getChannelLayout(channels, order = CHANNEL_ORDER.WAV) {
+  const faad = FAAD_LAYOUTS[channels]
+  if (!faad) {
+    return Array.from({ length: channels }, (_, i) => `Ch${i + 1}`)
+  }
+
+  const map = getChannelMap(channels, order)
+  return map ? map.map((i) => faad[i]) : faad.slice()
+}
+
+/**
+ * Source channel index for every output channel
+ * @param {number} channels - Channel count reported by FAAD2
+ * @param {string} order - 'wav' (default) or 'faad'
+ * @returns {number[]|null} - Index map, or null when no reordering is needed
+ */
+export function getChannelMap(channels, order = CHANNEL_ORDER.WAV) {
+  if (order === CHANNEL_ORDER.FAAD) return null
+  if (order !== CHANNEL_ORDER.WAV) {
+    throw new Error(`Unknown channel order: ${order}`)
+  }
+
+  const map = WAV_FROM_FAAD[channels]
+  if (!map || map.every((src, i) => src === i)) return null
+  return map
+}
+
+/**
+ * Reorder interleaved samples from FAAD2 order
+ * @param {Float32Array} src - Interleaved samples in FAAD2 order
+ * @param {number} channels - Channel count
+ * @param {number[]} map - Index map from getChannelMap()
+ * @param {Float32Array} [dst] - Target array, defaults to a new array
+ * @returns {Float32Array} - Interleaved samples in the mapped order
+ */
+export function reorderInterleaved(src, channels, map, dst = new src.constructor(src.length)) {
+  const frames = src.length / channels
+  for (let i = 0; i < frames; i++) {
+    const base = i * channels
+    for (let ch = 0; ch < channels; ch++) {
+      dst[base + ch] = src[base + map[ch]]
+    }
+  }
+  return dst
+}
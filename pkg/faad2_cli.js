@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+import { constants, createReadStream, fstatSync, readFileSync, writeSync } from 'node:fs'
+import { extname } from 'node:path'
+import { parseArgs } from 'node:util'
+import FAAD2NodeDecoder from './faad2_node_decoder.js'
+import { fromADTSHeader, parseAudioSpecificConfig, channelCount, outputSampleRate } from './faad2_asc.js'
+import { LATMDemuxer, LOASParser, LOAS_HEADER_SIZE, createTransportParser } from './faad2_latm.js'
+import { Mp4AudioSource } from './faad2_mp4.js'
+import { isISOBMFF } from './faad2_isobmff.js'
+import { describeProfile, SBR_MODE } from './faad2_frame_info.js'
+import { CONTAINER, SAMPLE_FORMAT, WavFileWriter, WavWriter } from './faad2_wav.js'
+
+/**
+ * faad2-wasm command-line tool:
+ *
+ *   faad2-wasm decode <input> [-o output.wav]   decode ADTS, LOAS/LATM or MP4 to WAV, RF64, AIFF or raw PCM
+ *   faad2-wasm info <input>                     stream properties
+ *   faad2-wasm verify <input>                   decode everything and list corrupt frames
+ *
+ * '-' (or no input with piped stdin) reads stdin; decode writes to stdout
+ * without -o or with '-o -'.
+ */
+
+const USAGE = `Usage: faad2-wasm <command> [options] [input]
+
+Commands:
+  decode <input>   Decode ADTS, LOAS/LATM or MP4 audio
+  info <input>     Show profile, SBR/PS, sample rate, channels, duration, frames and bitrate
+  verify <input>   Decode every frame and report corrupt ones with their byte offsets
+
+Input '-' (or no input when stdin is piped) reads stdin.
+
+Options:
+  -o, --output <file>          Output file for decode, '-' for stdout (default)
+  -c, --container <type>       wav, rf64, aiff or raw (default: from the output extension, else wav)
+  -f, --sample-format <fmt>    s16, s24, s32 or f32 (default: s16)
+      --dither                 Add TPDF dither to s16 output
+  -t, --track <index>          AAC track of an MP4 file (default: 0)
+      --encoder-delay <n>      Priming samples to trim from the start (MP4 files: read from the file)
+      --padding <n>            Padding samples to trim from the end (MP4 files: read from the file)
+      --no-trim                Keep priming and padding
+      --channel-order <order>  wav or faad (default: wav)
+      --error-policy <policy>  throw, skip or silence (default: throw)
+      --json                   Print results as JSON
+  -h, --help                   Show this help
+`
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  container: { type: 'string', short: 'c' },
+  'sample-format': { type: 'string', short: 'f', default: SAMPLE_FORMAT.S16 },
+  dither: { type: 'boolean', default: false },
+  track: { type: 'string', short: 't', default: '0' },
+  'encoder-delay': { type: 'string' },
+  padding: { type: 'string' },
+  'no-trim': { type: 'boolean', default: false },
+  'channel-order': { type: 'string' },
+  'error-policy': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+}
+
+const CONTAINER_EXTENSIONS = {
+  '.wav': CONTAINER.WAV,
+  '.rf64': CONTAINER.RF64,
+  '.aif': CONTAINER.AIFF,
+  '.aiff': CONTAINER.AIFF,
+  '.aifc': CONTAINER.AIFF,
+  '.pcm': CONTAINER.RAW,
+  '.raw': CONTAINER.RAW,
+}
+
+// Usage errors exit with 2, everything else with 1
+class UsageError extends Error {}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+/**
+ * Open an input and split it into access units
+ * @param {string} path - File path, or '-' for stdin
+ * @param {number} trackIndex - AAC track for MP4 input
+ * @returns {Promise<Object>} - { container, asc, source, parser, units } where units yields
+ *   { data, offset, index, header } and asc is set for MP4 input only
+ */
+async function openInput(path, trackIndex) {
+  const chunks = (path === '-' ? process.stdin : createReadStream(path))[Symbol.asyncIterator]()
+
+  // Enough bytes to tell MP4 from ADTS/LOAS
+  const head = []
+  let headLength = 0
+  while (headLength < 4096) {
+    const { value, done } = await chunks.next()
+    if (done) break
+    head.push(value)
+    headLength += value.length
+  }
+  const start = concatBytes(head)
+
+  if (isISOBMFF(start)) {
+    const parts = [start]
+    for (let next = await chunks.next(); !next.done; next = await chunks.next()) parts.push(next.value)
+    const source = await Mp4AudioSource.open(concatBytes(parts), { trackIndex })
+    const units = function* () {
+      for (const sample of source.readSamples()) {
+        yield { data: sample.data, offset: source.samples[sample.index].offset, index: sample.index }
+      }
+    }
+    return { container: 'mp4', asc: source.asc, source, parser: null, units: units() }
+  }
+
+  const parser = createTransportParser(start)
+  const units = async function* () {
+    let index = 0
+    const frames = (list) => list.map((frame) => ({ ...frame, index: index++ }))
+    yield* frames(parser.push(start))
+    for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+      yield* frames(parser.push(next.value))
+    }
+    yield* frames(parser.flush())
+  }
+  const container = parser instanceof LOASParser ? 'loas' : 'adts'
+  return { container, asc: null, source: null, parser, units: units() }
+}
+
+async function createDecoder(values) {
+  const decoder = new FAAD2NodeDecoder({
+    channelOrder: values['channel-order'],
+    errorPolicy: values['error-policy'],
+  })
+  await decoder.ready
+  return decoder
+}
+
+/**
+ * Configure the decoder from the first unit that can do it
+ * @returns {Promise<boolean>} - false while the decoder cannot be configured yet
+ */
+async function configureFor(decoder, input, unit, gapless = {}) {
+  if (decoder.initialized) return true
+  // LOAS frames before the first StreamMuxConfig (useSameStreamMux = 1, e.g. at a join point)
+  if (input.container === 'loas' && unit.data[LOAS_HEADER_SIZE] & 0x80) return false
+  await decoder.configure(input.asc || unit.data, { autoDetect: !input.asc, ...gapless })
+  return true
+}
+
+/**
+ * Priming and padding to trim: from the command line, else what the MP4 file declares
+ * @returns {Object} - Gapless options for configure()
+ */
+function gaplessOptions(values, input) {
+  if (values['no-trim']) return {}
+  const delay = values['encoder-delay']
+  const padding = values.padding
+  if (delay === undefined && padding === undefined) {
+    return (input.source && input.source.gapless) || {}
+  }
+  return {
+    encoderDelay: parseCount(delay ?? '0', '--encoder-delay'),
+    paddingSamples: parseCount(padding ?? '0', '--padding'),
+  }
+}
+
+/**
+ * Whether fd was opened with O_APPEND, where Linux ignores the position of writes
+ * @param {number} fd
+ * @returns {boolean}
+ */
+function isAppending(fd) {
+  try {
+    const flags = /^flags:\s*([0-7]+)$/m.exec(readFileSync(`/proc/self/fdinfo/${fd}`, 'utf8'))
+    return Boolean(flags && parseInt(flags[1], 8) & constants.O_APPEND)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Sink for encoded output: a file whose header is patched at the end, or stdout
+ * @returns {Promise<Object>} - { write(frame), close() }
+ */
+async function openOutput(path, options) {
+  if (path && path !== '-') {
+    return WavFileWriter.open(path, options)
+  }
+
+  const writer = new WavWriter(options)
+  let written = 0
+  const write = (bytes) =>
+    new Promise((resolve, reject) => {
+      written += bytes.length
+      process.stdout.write(bytes, (err) => (err ? reject(err) : resolve()))
+    })
+
+  return {
+    get started() {
+      return writer.started
+    },
+    write: (frame) => write(writer.write(frame)),
+    // Nothing has reached stdout before the first frame
+    async abort() {},
+    async close() {
+      const { header, trailer } = writer.finalize()
+      if (trailer.length) await write(trailer)
+      // Sizes can still be patched when stdout is redirected to a file holding
+      // nothing but our output; otherwise the streaming sizes stay
+      const stat = fstatSync(1)
+      if (stat.isFile() && stat.size === written && !isAppending(1)) {
+        writeSync(1, header, 0, header.length, 0)
+      }
+    },
+  }
+}
+
+/**
+ * Finalize the output, or remove it when no frame was written. After a
+ * failure, errors while closing are dropped so the original one is reported.
+ * @param {Object} output - From openOutput()
+ * @param {boolean} completed - Whether decoding ran to the end
+ */
+async function closeOutput(output, completed) {
+  try {
+    if (output.started) {
+      await output.close()
+    } else {
+      await output.abort()
+    }
+  } catch (err) {
+    if (completed) throw err
+  }
+}
+
+async function decodeCommand(path, values) {
+  const sampleFormat = values['sample-format']
+  if (!Object.values(SAMPLE_FORMAT).includes(sampleFormat)) {
+    throw new UsageError(`Unknown sample format: ${sampleFormat}`)
+  }
+  const container = values.container || CONTAINER_EXTENSIONS[extname(values.output || '').toLowerCase()] || CONTAINER.WAV
+  if (!Object.values(CONTAINER).includes(container)) {
+    throw new UsageError(`Unknown container: ${container}`)
+  }
+
+  const input = await openInput(path, parseTrack(values.track))
+  const gapless = gaplessOptions(values, input)
+  const decoder = await createDecoder(values)
+  let output
+  try {
+    output = await openOutput(values.output, { container, sampleFormat })
+  } catch (err) {
+    decoder.destroy()
+    throw err
+  }
+  const summary = { input: path, output: values.output || '-', container, sampleFormat, frames: 0, decodedFrames: 0, samplesPerChannel: 0 }
+
+  const write = async (frame) => {
+    await output.write(frame)
+    summary.decodedFrames++
+    summary.samplesPerChannel += frame.samplesPerChannel
+    summary.sampleRate = frame.sampleRate
+    summary.channels = frame.channels
+  }
+
+  let completed = false
+  try {
+    for await (const unit of input.units) {
+      summary.frames++
+      if (!(await configureFor(decoder, input, unit, gapless))) continue
+
+      let frame
+      try {
+        frame = decoder.decode(unit.data, { format: sampleFormat, dither: values.dither })
+      } catch (err) {
+        err.message = `Frame ${unit.index} at byte ${unit.offset}: ${err.message}`
+        throw err
+      }
+      if (frame) await write(frame)
+    }
+
+    // Output held back for the padding
+    const rest = decoder.initialized ? decoder.flush() : null
+    if (rest) await write(rest)
+    completed = true
+  } finally {
+    try {
+      decoder.destroy()
+    } finally {
+      await closeOutput(output, completed)
+    }
+  }
+  if (!summary.decodedFrames) {
+    throw new Error('No audio decoded')
+  }
+
+  summary.duration = summary.sampleRate ? summary.samplesPerChannel / summary.sampleRate : 0
+  const toStdout = summary.output === '-'
+  if (values.json) {
+    ;(toStdout ? process.stderr : process.stdout).write(`${JSON.stringify(summary, null, 2)}\n`)
+  } else if (!toStdout) {
+    console.log(`${summary.output}: ${summary.decodedFrames} frames, ${summary.sampleRate} Hz, ${summary.channels} ch, ${summary.duration.toFixed(3)} s`)
+  }
+  return 0
+}
+
+/**
+ * AudioSpecificConfig of the stream, if it can be read without decoding
+ * @returns {Object|null} - Parsed config
+ */
+function streamConfig(input, unit) {
+  try {
+    if (input.asc) return parseAudioSpecificConfig(input.asc)
+    if (input.container === 'loas') {
+      const mux = new LATMDemuxer().parse(unit.data)
+      return mux ? parseAudioSpecificConfig(mux.asc) : null
+    }
+    return parseAudioSpecificConfig(fromADTSHeader(unit.header))
+  } catch {
+    return null
+  }
+}
+
+async function infoCommand(path, values) {
+  const input = await openInput(path, parseTrack(values.track))
+  const decoder = await createDecoder({ ...values, 'error-policy': 'skip' })
+  const result = { input: path, container: input.container, profile: null, objectType: null, sbr: false, ps: false }
+
+  let config = null
+  let frameInfo = null
+  let frames = 0
+  let bytes = 0
+
+  try {
+    for await (const unit of input.units) {
+      if (!config) config = streamConfig(input, unit)
+      frames++
+      bytes += unit.data.length
+
+      // A few decoded frames reveal implicit SBR/PS and the output format
+      if (!frameInfo && frames <= 16 && (await configureFor(decoder, input, unit))) {
+        const frame = decoder.decode(unit.data)
+        if (frame) frameInfo = { ...frame.frameInfo }
+      }
+    }
+  } finally {
+    decoder.destroy()
+  }
+
+  const coreSampleRate = config ? config.samplingFrequency : null
+  const frameLength = config && config.gaSpecificConfig && config.gaSpecificConfig.frameLengthFlag ? 960 : 1024
+  const duration = input.source
+    ? input.source.samples.reduce((sum, sample) => sum + sample.durationUs, 0) / 1e6
+    : coreSampleRate ? (frames * frameLength) / coreSampleRate : null
+
+  Object.assign(result, {
+    profile: frameInfo ? describeProfile(frameInfo) : null,
+    objectType: config ? config.objectType : frameInfo && frameInfo.objectType,
+    sbr: frameInfo ? frameInfo.sbr === SBR_MODE.SBR_UPSAMPLED || frameInfo.sbr === SBR_MODE.SBR_DOWNSAMPLED : Boolean(config && config.sbrPresent),
+    ps: frameInfo ? Boolean(frameInfo.ps) : Boolean(config && config.psPresent),
+    sampleRate: frameInfo ? frameInfo.sampleRate : config && outputSampleRate(config),
+    coreSampleRate,
+    channels: frameInfo ? frameInfo.channels : config && channelCount(config),
+    duration,
+    frames,
+    bytes,
+    bitrate: duration ? Math.round((bytes * 8) / duration) : null,
+  })
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2))
+    return 0
+  }
+
+  const yesNo = (value) => (value ? 'yes' : 'no')
+  const lines = [
+    ['Container', result.container.toUpperCase()],
+    ['Profile', result.profile || 'unknown'],
+    ['SBR / PS', `${yesNo(result.sbr)} / ${yesNo(result.ps)}`],
+    ['Sample rate', `${result.sampleRate} Hz${coreSampleRate && coreSampleRate !== result.sampleRate ? ` (core ${coreSampleRate} Hz)` : ''}`],
+    ['Channels', result.channels],
+    ['Duration', duration === null ? 'unknown' : `${duration.toFixed(3)} s`],
+    ['Frames', frames],
+    ['Bitrate', result.bitrate === null ? 'unknown' : `${(result.bitrate / 1000).toFixed(1)} kbit/s`],
+  ]
+  for (const [label, value] of lines) console.log(`${`${label}:`.padEnd(13)}${value}`)
+  return 0
+}
+
+async function verifyCommand(path, values) {
+  const input = await openInput(path, parseTrack(values.track))
+  const decoder = await createDecoder({ ...values, 'error-policy': 'throw' })
+  const errors = []
+  let frames = 0
+
+  try {
+    for await (const unit of input.units) {
+      frames++
+      try {
+        // A corrupt first frame fails configure() and is reported like any other
+        if (!(await configureFor(decoder, input, unit))) {
+          throw new Error('LOAS frame before the first StreamMuxConfig')
+        }
+        decoder.decode(unit.data)
+      } catch (err) {
+        errors.push({ frame: unit.index, offset: unit.offset, code: err.code ?? null, message: err.message })
+      }
+    }
+  } finally {
+    decoder.destroy()
+  }
+
+  const skippedBytes = input.parser ? input.parser.skippedBytes : 0
+  const ok = !errors.length && !skippedBytes
+  if (values.json) {
+    console.log(JSON.stringify({ input: path, container: input.container, ok, frames, corruptFrames: errors.length, skippedBytes, errors }, null, 2))
+  } else {
+    for (const error of errors) console.log(`frame ${error.frame} at byte ${error.offset}: ${error.message}`)
+    console.log(`${frames} frames, ${errors.length} corrupt, ${skippedBytes} bytes skipped: ${ok ? 'OK' : 'FAILED'}`)
+  }
+  return ok ? 0 : 1
+}
+
+function parseTrack(value) {
+  const track = Number(value)
+  if (!Number.isInteger(track) || track < 0) {
+    throw new UsageError(`Invalid track index: ${value}`)
+  }
+  return track
+}
+
+function parseCount(value, option) {
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 0) {
+    throw new UsageError(`Invalid ${option}: ${value}`)
+  }
+  return count
+}
+
+const COMMANDS = {
+  decode: decodeCommand,
+  info: infoCommand,
+  verify: verifyCommand,
+}
+
+async function main(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  const { values, positionals } = parsed
+  const [command, input, ...rest] = positionals
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE)
+    return values.help ? 0 : 2
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`)
+  }
+  if (rest.length) {
+    throw new UsageError(`Unexpected argument: ${rest[0]}`)
+  }
+
+  const path = input || (process.stdin.isTTY ? null : '-')
+  if (!path) {
+    throw new UsageError(`${command} needs an input file, or '-' for stdin`)
+  }
+  return COMMANDS[command](path, values)
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code
+  },
+  (err) => {
+    process.stderr.write(`faad2-wasm: ${err.message}\n`)
+    if (err instanceof UsageError) process.stderr.write(`Run 'faad2-wasm --help' for usage.\n`)
+    process.exitCode = err instanceof UsageError ? 2 : 1
+  }
+)
@@ -1,53 +1,245 @@
 import wasmUrl from './faad2_wasm.wasm?url';
 import Faad2ModuleFactory from './faad2_wasm.mjs';
+import { DecoderHeap } from './faad2_heap.js'
+import { parseAudioSpecificConfig } from './faad2_asc.js'
+import { ERROR_POLICY, checkErrorPolicy, createDecodeError } from './faad2_errors.js'
+import { CHANNEL_ORDER, MAX_CHANNELS, getChannelMap } from './faad2_channels.js'
+import { DEFAULT_DECODER_OPTIONS, OUTPUT_FORMAT, checkDecoderOptions, getOutputFormat, initNativeDecoder } from './faad2_options.js'
+import { OutputClock, accessUnitAt } from './faad2_timing.js'
+import { GaplessTrimmer, checkGaplessOptions } from './faad2_gapless.js'
 
-const SAMPLE_RATE = {
-  1: 8000,
-  2: 16000,
-  3: 22050,
-  4: 32000,
-  5: 44100,
-  6: 48000,
-  7: 64000,
-  8: 88200,
-  9: 96000,
+let modulePromise = null
+
+function loadModule() {
+  if (!modulePromise) {
+    modulePromise = Faad2ModuleFactory({
+      locateFile: (path) => (path.endsWith('.wasm') ? wasmUrl : path),
+    })
+      .then((module) => {
+        console.debug('FAAD2: module loaded')
+        if (module._get_faad_capabilities) {
+          console.debug('FAAD2: capabilities', module._get_faad_capabilities())
+        }
+        return module
+      })
+      .catch((err) => {
+        modulePromise = null
+        throw err
+      })
+  }
+  return modulePromise
+}
+
+// Capability bits of NeAACDecGetCapabilities()
+const CAPABILITY = {
+  LC: 1 << 0,
+  MAIN: 1 << 1,
+  LTP: 1 << 2,
+  LD: 1 << 3,
+  ERROR_RESILIENCE: 1 << 4,
+}
+
+// Capabilities FAAD2 needs for each MPEG-4 audio object type; SBR and PS are
+// always compiled in (see src/faad2_wasm.c)
+const OBJECT_TYPE_CAPABILITY = {
+  1: CAPABILITY.MAIN,
+  2: CAPABILITY.LC,
+  4: CAPABILITY.LTP,
+  5: CAPABILITY.LC,
+  17: CAPABILITY.LC | CAPABILITY.ERROR_RESILIENCE,
+  19: CAPABILITY.LTP | CAPABILITY.ERROR_RESILIENCE,
+  23: CAPABILITY.LD | CAPABILITY.ERROR_RESILIENCE,
+  29: CAPABILITY.LC,
+}
+
+// MPEG-2 AAC codec strings, mapped to the equivalent object type
+const MPEG2_OBJECT_TYPES = {
+  'mp4a.66': 1,
+  'mp4a.67': 2,
+}
+
+function parseObjectType(codec) {
+  const match = /^mp4a\.40\.(\d+)$/.exec(codec)
+  if (match) return Number(match[1])
+  return MPEG2_OBJECT_TYPES[codec] ?? null
+}
+
+// AudioData format for every FAAD2 output format. There is no 24-bit or
+// double AudioData format, so those are delivered as s32 (shifted up by
+// 8 bits) and f32.
+const AUDIO_DATA_FORMATS = {
+  [OUTPUT_FORMAT.INT16]: { format: 's16-planar', ArrayType: Int16Array, gain: 1 },
+  [OUTPUT_FORMAT.INT24]: { format: 's32-planar', ArrayType: Int32Array, gain: 256 },
+  [OUTPUT_FORMAT.INT32]: { format: 's32-planar', ArrayType: Int32Array, gain: 1 },
+  [OUTPUT_FORMAT.FLOAT]: { format: 'f32-planar', ArrayType: Float32Array, gain: 1 },
+  [OUTPUT_FORMAT.DOUBLE]: { format: 'f32-planar', ArrayType: Float32Array, gain: 1 },
 }
 
-class FAAD2Decoder {
-  constructor({ output, error }) {
+function isValidConfig(config) {
+  if (!config || typeof config.codec !== 'string' || config.codec.trim() === '') return false
+  try {
+    checkDecoderOptions(config)
+  } catch {
+    return false
+  }
+  return true
+}
+
+function cloneConfig(config) {
+  const { codec, sampleRate, numberOfChannels, description } = config
+  const clone = { codec }
+  if (sampleRate !== undefined) clone.sampleRate = sampleRate
+  if (numberOfChannels !== undefined) clone.numberOfChannels = numberOfChannels
+  for (const key of Object.keys(DEFAULT_DECODER_OPTIONS)) {
+    if (config[key] !== undefined) clone[key] = config[key]
+  }
+  if (description) {
+    clone.description = ArrayBuffer.isView(description)
+      ? description.buffer.slice(description.byteOffset, description.byteOffset + description.byteLength)
+      : description.slice(0)
+  }
+  return clone
+}
+
+// Chunks are raw access units: ADTS input without a description is not supported
+async function isSupported(config) {
+  const objectType = parseObjectType(config.codec)
+  const required = OBJECT_TYPE_CAPABILITY[objectType]
+  if (!required || !config.description) return false
+  if (config.numberOfChannels > MAX_CHANNELS) return false
+
+  const module = await loadModule()
+  return (module._get_faad_capabilities() & required) === required
+}
+
+/**
+ * WebCodecs AudioDecoder polyfill backed by FAAD2.
+ *
+ * Follows the AudioDecoder contract: configure(), decode(), flush() and
+ * reset() go through one control message queue, `state` moves between
+ * 'unconfigured', 'configured' and 'closed', and `decodeQueueSize` counts the
+ * chunks not yet decoded, with a 'dequeue' event whenever it shrinks.
+ */
+class FAAD2Decoder extends EventTarget {
+  /**
+   * @param {Object} init
+   * @param {Function} init.output - Receives decoded AudioData and the frame info (see faad2_frame_info.js)
+   * @param {Function} init.error - Receives the DOMException or FAAD2DecodeError that closed the decoder
+   * @param {string} [init.channelOrder='wav'] - Plane order, 'wav' matches WebAudio (L R C LFE ...), 'faad' keeps FAAD2 order (C L R ...)
+   * @param {string} [init.errorPolicy='throw'] - 'throw' closes the decoder and reports FAAD2DecodeError through error(), 'skip' drops the frame, 'silence' outputs silence
+   */
+  constructor({ output, error, channelOrder = CHANNEL_ORDER.WAV, errorPolicy = ERROR_POLICY.THROW }) {
+    super()
+    if (!Object.values(CHANNEL_ORDER).includes(channelOrder)) {
+      throw new TypeError(`Unknown channel order: ${channelOrder}`)
+    }
+    this.channelOrder = channelOrder
+    this.errorPolicy = checkErrorPolicy(errorPolicy)
     this.module = null
-    this.initialized = false
+    this.handle = 0
+    this._handleConfigured = false
+    this.frameInfo = null
+    this.lastFrame = null
+    this.options = checkDecoderOptions()
+    this._heap = null
+    this._planes = null
+    this._clock = new OutputClock()
+    this._trimmer = null
+    this._discard = 0
+    this._asc = null
     this.output = output
     this.error = error
-    this.inputBuffer = new Uint8Array(0)
+
+    this.state = 'unconfigured'
+    this.decodeQueueSize = 0
+    this.ondequeue = null
+    this._queue = Promise.resolve()
+    this._epoch = 0
+    this._pendingFlushes = new Set()
+    this._dequeueScheduled = false
   }
 
-  async configure({ codec, description }) {
-    const asc = new Uint8Array(description)
+  /**
+   * Check whether a configuration can be decoded. Configs without a
+   * description (ADTS input) are reported as unsupported.
+   * @param {Object} config - AudioDecoderConfig, e.g. { codec: 'mp4a.40.5', description }
+   * @returns {Promise<Object>} - { supported: boolean, config: Object }
+   */
+  static async isConfigSupported(config) {
+    if (!isValidConfig(config)) {
+      throw new TypeError('Invalid AudioDecoderConfig')
+    }
+    return { supported: await isSupported(config), config: cloneConfig(config) }
+  }
+
+  /**
+   * Queue a configuration. Failures close the decoder and are reported
+   * through the error callback with a NotSupportedError.
+   * @param {Object} config - AudioDecoderConfig with the AudioSpecificConfig as description, plus optional
+   *   FAAD2 options (outputFormat, defSampleRate, defObjectType, downMatrix, useOldADTSFormat,
+   *   dontUpSampleImplicitSBR), see faad2_options.js, and gapless options (encoderDelay, paddingSamples,
+   *   sampleCount, timescale), see faad2_gapless.js
+   * @returns {Promise<void>} - Resolves once the configuration has been applied
+   */
+  configure(config) {
+    this._assertOpen()
+    if (!isValidConfig(config)) {
+      throw new TypeError('Invalid AudioDecoderConfig')
+    }
+
+    this.state = 'configured'
+    const epoch = this._epoch
+    return this._enqueue(epoch, () => this._configure(config, epoch))
+  }
+
+  async _configure(config, epoch) {
+    const { codec, description } = config
 
     try {
+      if (!await isSupported(config)) {
+        throw new Error(`Unsupported configuration: ${codec}`)
+      }
+
       if (!this.module) {
-        this.module = await Faad2ModuleFactory({
-          locateFile: (path) => (path.endsWith('.wasm') ? wasmUrl : path),
-        });
-        console.debug('FAAD2: module loaded')
-        if (this.module._get_faad_capabilities) {
-          console.debug('FAAD2: capabilities', this.module._get_faad_capabilities())
-        }
+        this.module = await loadModule()
+      }
+      if (epoch !== this._epoch) return
+      if (!this._heap) {
+        this._heap = new DecoderHeap(this.module)
       }
 
-      const ascPtr = this.module._malloc(asc.length)
-      this.module.HEAPU8.set(asc, ascPtr)
+      const asc = ArrayBuffer.isView(description)
+        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+        : new Uint8Array(description)
 
-      const result = this.module._init_decoder(ascPtr, asc.length)
-      this.module._free(ascPtr)
+      // FAAD2 cannot re-initialize a handle that has already been configured,
+      // so reconfiguring swaps in a fresh one and frees the old one.
+      if (this._handleConfigured) {
+        this._closeHandle()
+        this._handleConfigured = false
+      }
+
+      if (!this.handle) {
+        this.handle = this.module._open_decoder()
+        if (!this.handle) {
+          throw new Error('Failed to open FAAD2 decoder')
+        }
+      }
+
+      const options = checkDecoderOptions(config)
+      const gapless = checkGaplessOptions(config)
+      const result = initNativeDecoder(this.module, this.handle, asc, options)
+      this._handleConfigured = true
+      this.options = options
+      this._trimmer = gapless && new GaplessTrimmer(gapless)
+      this._clock.reset(...(this._trimmer ? this._trimmer.clockStart : []))
+      this._discard = 0
+      this._asc = asc.slice()
 
       if (result < 0) {
         throw new Error('Failed to initialize FAAD2 decoder')
       }
 
-      this.initialized = true
-
       console.debug(
         'FAAD2Decoder: configured',
         codec,
@@ -56,74 +248,337 @@ class FAAD2Decoder {
           .join(', ')
       )
     } catch (err) {
-      this.error(new DOMException(err.message, 'InvalidStateError'))
+      this._closeWithError(new DOMException(err.message, 'NotSupportedError'))
+    }
+  }
+
+  /**
+   * Queue a chunk for decoding
+   * @param {EncodedAudioChunk} chunk
+   * @returns {Promise<void>} - Resolves once the chunk has been decoded or dropped
+   */
+  decode(chunk) {
+    if (this.state !== 'configured') {
+      throw new DOMException(`Cannot decode in state "${this.state}"`, 'InvalidStateError')
     }
+
+    this.decodeQueueSize++
+    return this._enqueue(this._epoch, () => {
+      this.decodeQueueSize--
+      this._scheduleDequeue()
+      try {
+        this._decode(chunk)
+      } catch (err) {
+        this._closeWithError(new DOMException(err.message, 'EncodingError'))
+      }
+    })
   }
 
-  async reset() {
+  /**
+   * Resolve once every queued chunk has been decoded and output. With
+   * gapless settings this ends the stream: held-back output is emitted
+   * without the padding.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.state !== 'configured') {
+      return Promise.reject(new DOMException(`Cannot flush in state "${this.state}"`, 'InvalidStateError'))
+    }
+
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject }
+      this._pendingFlushes.add(pending)
+      this._enqueue(this._epoch, () => {
+        this._pendingFlushes.delete(pending)
+        if (this._trimmer) {
+          for (const { block, start, end } of this._trimmer.flush()) this._output(block, start, end)
+        }
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * Queue a jump to another access unit. FAAD2's SBR state is reset with
+   * NeAACDecPostSeekReset; with preRoll the chunk before the target is
+   * decoded and its output dropped, so the overlap from the old position
+   * does not reach the target. Queue chunks from the resolved startFrame on,
+   * with their own timestamps.
+   * @param {number|Object} position - Index of the target access unit, or { timeUs } as for
+   *   FAAD2NodeDecoder.seek()
+   * @param {Object} [options]
+   * @param {boolean} [options.preRoll=true] - Decode and drop the chunk before the target
+   * @returns {Promise<Object>} - { frameIndex, startFrame }
+   */
+  seek(position, { preRoll = true } = {}) {
+    if (this.state !== 'configured') {
+      return Promise.reject(new DOMException(`Cannot seek in state "${this.state}"`, 'InvalidStateError'))
+    }
+
+    return this._enqueue(this._epoch, () => {
+      const frameIndex = typeof position === 'number' ? position : this._frameAt(position && position.timeUs)
+      if (!Number.isInteger(frameIndex) || frameIndex < 0) {
+        throw new RangeError(`Invalid seek position: ${JSON.stringify(position)}`)
+      }
+      const startFrame = preRoll ? Math.max(0, frameIndex - 1) : frameIndex
+
+      // At index 0 FAAD2 withholds the output itself, as after configure()
+      this.module._post_seek_reset(this.handle, startFrame)
+      this._discard = startFrame > 0 && startFrame < frameIndex ? 1 : 0
+      if (this._trimmer) this._trimmer.reset()
+      this._clock.reset(...(this._trimmer ? this._trimmer.clockStart : []))
+      this._hold(null, startFrame)
+      return { frameIndex, startFrame }
+    })
+  }
+
+  /**
+   * Access unit at a time on the output timeline
+   * @param {number} timeUs
+   * @returns {number}
+   */
+  _frameAt(timeUs) {
+    if (typeof timeUs !== 'number' || Number.isNaN(timeUs)) return NaN
+
+    const config = parseAudioSpecificConfig(this._asc)
+    const sampleRate = (this.lastFrame && this.lastFrame.sampleRate) || config.extensionSamplingFrequency || config.samplingFrequency
+    return accessUnitAt(timeUs, config, this._trimmer ? -this._trimmer.delayUs(sampleRate) : 0)
+  }
+
+  /**
+   * Drop all queued work and return to the 'unconfigured' state.
+   * Pending flush() promises reject with an AbortError.
+   */
+  reset() {
+    this._assertOpen()
+    this._resetQueue(new DOMException('Decoder was reset', 'AbortError'))
+    this.state = 'unconfigured'
     console.debug('FAAD2Decoder: reset')
   }
 
-  async decode(chunk) {
-    if (!this.module || !this.initialized) {
-      throw new Error('Decoder not initialized')
+  /**
+   * Drop all queued work and release the native decoder. Further calls
+   * throw an InvalidStateError.
+   */
+  close() {
+    this._close(new DOMException('Decoder was closed', 'AbortError'))
+  }
+
+  _close(reason) {
+    if (this.state === 'closed') return
+
+    this._resetQueue(reason)
+    this.state = 'closed'
+    this._closeHandle()
+    if (this._heap) {
+      this._heap.free()
+      this._heap = null
+    }
+    this._planes = null
+    console.debug('FAAD2Decoder: closed')
+  }
+
+  _closeWithError(err) {
+    if (this.state === 'closed') return
+    this._close(err)
+    this.error(err)
+  }
+
+  _resetQueue(reason) {
+    this._epoch++
+    this.lastFrame = null
+
+    if (this.decodeQueueSize > 0) {
+      this.decodeQueueSize = 0
+      this._scheduleDequeue()
     }
 
-    const input = new Uint8Array(chunk.byteLength)
-    chunk.copyTo(input)
+    for (const pending of this._pendingFlushes) {
+      pending.reject(reason)
+    }
+    this._pendingFlushes.clear()
+  }
+
+  _enqueue(epoch, job) {
+    const run = this._queue.then(() => {
+      if (epoch === this._epoch) return job()
+    })
+    this._queue = run.catch(() => {})
+    return run
+  }
 
-    const inputLength = input.length
-    const pad = 64
-    const inPtr = this.module._malloc(inputLength + pad)
-    this.module.HEAPU8.set(input, inPtr)
-    this.module.HEAPU8.fill(0, inPtr + inputLength, inPtr + inputLength + pad)
+  _scheduleDequeue() {
+    if (this._dequeueScheduled) return
+    this._dequeueScheduled = true
 
-    const maxFrames = 2048 * 2
-    const maxChannels = 2
-    const maxSamples = maxFrames * maxChannels
-    const outputSize = maxSamples * Float32Array.BYTES_PER_ELEMENT
-    const outPtr = this.module._malloc(outputSize)
+    setTimeout(() => {
+      this._dequeueScheduled = false
+      const event = new Event('dequeue')
+      if (typeof this.ondequeue === 'function') {
+        this.ondequeue(event)
+      }
+      this.dispatchEvent(event)
+    }, 0)
+  }
 
-    const packed = this.module._decode_frame(inPtr, input.length, outPtr, outputSize)
-    this.module._free(inPtr)
+  _closeHandle() {
+    if (this.handle) {
+      this.module._close_decoder(this.handle)
+      this.handle = 0
+    }
+  }
+
+  _assertOpen() {
+    if (this.state === 'closed') {
+      throw new DOMException('Decoder is closed', 'InvalidStateError')
+    }
+  }
+
+  _decode(chunk) {
+    const { ArrayType: RawArrayType } = getOutputFormat(this.options.outputFormat)
+    const samples = this._heap.decode(this.handle, chunk, RawArrayType.BYTES_PER_ELEMENT)
+    const info = this._heap.readInfo()
+
+    if (samples <= 0) {
+      if (samples < 0) {
+        this._handleDecodeError(createDecodeError(this.module, samples, info), chunk)
+      } else {
+        this._hold(chunk.timestamp)
+      }
+      return
+    }
 
-    if (packed <= 0) {
-      this.module._free(outPtr)
+    // Pre-roll after a seek: the output still overlaps the old position
+    if (this._discard) {
+      this._discard--
+      this._hold(chunk.timestamp)
       return
     }
 
-    const samplerateIndex = (packed >>> 28) & 0xf
-    const numChannels = (packed >>> 24) & 0xf
-    const samples = packed & 0xffffff
-    const samplerate = SAMPLE_RATE[samplerateIndex] || 0
+    const numChannels = info.channels
+    const samplerate = info.sampleRate
 
     const numFrames = samples / numChannels
-    const planeSize = numFrames * Float32Array.BYTES_PER_ELEMENT
+    const { format, ArrayType, gain } = AUDIO_DATA_FORMATS[this.options.outputFormat]
+    const planeSize = numFrames * ArrayType.BYTES_PER_ELEMENT
+
+    // De-interleave into a reused buffer; AudioData copies it
+    const size = planeSize * numChannels
+    if (!this._planes || this._planes.byteLength < size) {
+      this._planes = new ArrayBuffer(size)
+    }
 
-    const raw = new Float32Array(this.module.HEAPU8.buffer, outPtr, samples)
-    const buffer = new ArrayBuffer(planeSize * numChannels)
-    const left = new Float32Array(buffer, 0, numFrames)
-    const right = new Float32Array(buffer, planeSize, numFrames)
+    const raw = this._heap.output(RawArrayType)
+    const channelMap = getChannelMap(numChannels, this.channelOrder)
 
-    for (let i = 0; i < numFrames; i++) {
-      left[i] = raw[i * 2]
-      right[i] = raw[i * 2 + 1]
+    for (let ch = 0; ch < numChannels; ch++) {
+      const plane = new ArrayType(this._planes, ch * planeSize, numFrames)
+      const src = channelMap ? channelMap[ch] : ch
+      for (let i = 0; i < numFrames; i++) {
+        plane[i] = raw[i * numChannels + src] * gain
+      }
     }
 
-    this.module._free(outPtr)
+    this.lastFrame = { format, sampleRate: samplerate, numberOfFrames: numFrames, numberOfChannels: numChannels }
+    this._emit(new Uint8Array(this._planes, 0, size), this.lastFrame, chunk.timestamp, info)
+  }
+
+  _hold(timestamp, units = 1) {
+    this._clock.hold(timestamp, units)
+    if (this._trimmer) this._trimmer.hold(units)
+  }
+
+  /**
+   * Output one block of PCM. The timestamp comes from the output clock, so
+   * chunks that produced no output still count (see faad2_timing.js).
+   */
+  _emit(data, frame, chunkTimestamp, info) {
+    const { timestamp } = this._clock.stamp(frame.numberOfFrames, frame.sampleRate, chunkTimestamp)
+    if (!this._trimmer) {
+      this._output({ data, frame, timestamp, info }, 0, frame.numberOfFrames)
+      return
+    }
+
+    // The planes buffer is reused by the next chunk, and the trimmer may hold this block back
+    const block = { data: data instanceof ArrayBuffer ? data : data.slice(), frame, timestamp, info }
+    for (const { block: ready, start, end } of this._trimmer.push(block, frame.numberOfFrames, frame.sampleRate)) {
+      this._output(ready, start, end)
+    }
+  }
+
+  /**
+   * Create the AudioData for sample frames start to end of a block
+   */
+  _output({ data, frame, timestamp, info }, start, end) {
+    const { format, sampleRate, numberOfFrames, numberOfChannels } = frame
+    if (start > 0 || end < numberOfFrames) {
+      data = slicePlanes(data instanceof ArrayBuffer ? new Uint8Array(data) : data, numberOfChannels, numberOfFrames, start, end)
+    }
 
     const audioData = new AudioData({
-      format: 'f32-planar',
-      sampleRate: samplerate,
-      numberOfFrames: numFrames,
-      numberOfChannels: 2,
-      timestamp: chunk.timestamp,
-      data: buffer,
-      transfer: [buffer],
+      format,
+      sampleRate,
+      numberOfFrames: end - start,
+      numberOfChannels,
+      timestamp: timestamp + Math.round((start * 1e6) / sampleRate),
+      data,
     })
 
-    this.output(audioData)
+    this.frameInfo = info
+    this.output(audioData, info)
+  }
+
+  _handleDecodeError(err, chunk) {
+    switch (this.errorPolicy) {
+      case ERROR_POLICY.SKIP:
+        this._hold(chunk.timestamp)
+        return
+      case ERROR_POLICY.SILENCE: {
+        // Nothing to model the silence on before the first good frame
+        if (!this.lastFrame) {
+          this._hold(chunk.timestamp)
+          return
+        }
+        const { format, numberOfFrames, numberOfChannels } = this.lastFrame
+        const { ArrayType } = Object.values(AUDIO_DATA_FORMATS).find((entry) => entry.format === format)
+        const buffer = new ArrayBuffer(numberOfFrames * numberOfChannels * ArrayType.BYTES_PER_ELEMENT)
+        this._emit(buffer, this.lastFrame, chunk.timestamp, err.frameInfo)
+        return
+      }
+      default:
+        this._closeWithError(err)
+    }
+  }
+}
+
+/**
+ * Copy sample frames start to end of every plane
+ * @param {Uint8Array} data - Planar PCM
+ * @returns {Uint8Array}
+ */
+function slicePlanes(data, numberOfChannels, numberOfFrames, start, end) {
+  const planeSize = data.byteLength / numberOfChannels
+  const bytesPerSample = planeSize / numberOfFrames
+  const out = new Uint8Array((end - start) * bytesPerSample * numberOfChannels)
+  for (let ch = 0; ch < numberOfChannels; ch++) {
+    const plane = ch * planeSize
+    out.set(data.subarray(plane + start * bytesPerSample, plane + end * bytesPerSample), ch * (end - start) * bytesPerSample)
+  }
+  return out
+}
+
+if (Symbol.dispose) {
+  FAAD2Decoder.prototype[Symbol.dispose] = function () {
+    this.close()
+  }
+}
+
+if (Symbol.asyncDispose) {
+  FAAD2Decoder.prototype[Symbol.asyncDispose] = async function () {
+    this.close()
   }
 }
 
+export { FAAD2DecodeError } from './faad2_errors.js'
+export { ADTSParser, parseADTSHeader } from './faad2_adts.js'
 export default FAAD2Decoder
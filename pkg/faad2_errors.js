@@ -0,0 +1,73 @@
+/**
+ * Decode errors reported by FAAD2 and the C wrapper.
+ */
+
+// Negative decode_frame() results, see src/faad2_wasm.c
+export const DECODE_STATUS = {
+  FAAD_ERROR: -1,
+  BUFFER_TOO_SMALL: -2,
+  NO_HANDLE: -3,
+}
+
+/**
+ * What a decoder does with a frame it cannot decode:
+ * - 'throw': throw (Node) or report through the error callback (browser)
+ * - 'skip': drop the frame silently
+ * - 'silence': emit a frame of silence shaped like the last good frame
+ */
+export const ERROR_POLICY = {
+  THROW: 'throw',
+  SKIP: 'skip',
+  SILENCE: 'silence',
+}
+
+export class FAAD2DecodeError extends Error {
+  /**
+   * @param {number} code - FAAD2 error code, or a negative DECODE_STATUS for wrapper errors
+   * @param {string} message - NeAACDecGetErrorMessage() text or wrapper description
+   * @param {Object} [frameInfo] - Frame info of the failed frame
+   */
+  constructor(code, message, frameInfo = null) {
+    super(`FAAD2 decode error ${code}: ${message}`)
+    this.name = 'FAAD2DecodeError'
+    this.code = code
+    this.faadMessage = message
+    this.frameInfo = frameInfo
+  }
+}
+
+/**
+ * Build the error for a failed decode_frame() call
+ * @param {Object} module - Emscripten module
+ * @param {number} status - Negative decode_frame() result
+ * @param {Object} frameInfo - Frame info read after the call
+ * @returns {FAAD2DecodeError}
+ */
+export function createDecodeError(module, status, frameInfo) {
+  switch (status) {
+    case DECODE_STATUS.FAAD_ERROR:
+      return new FAAD2DecodeError(
+        frameInfo.error,
+        module.UTF8ToString(module._get_error_message(frameInfo.error)),
+        frameInfo
+      )
+    case DECODE_STATUS.BUFFER_TOO_SMALL:
+      return new FAAD2DecodeError(status, `Output buffer too small for ${frameInfo.samples} samples`, frameInfo)
+    case DECODE_STATUS.NO_HANDLE:
+      return new FAAD2DecodeError(status, 'No native decoder handle', frameInfo)
+    default:
+      return new FAAD2DecodeError(status, 'Unknown decode failure', frameInfo)
+  }
+}
+
+/**
+ * Validate an error policy option
+ * @param {string} policy
+ * @returns {string} - The policy
+ */
+export function checkErrorPolicy(policy) {
+  if (!Object.values(ERROR_POLICY).includes(policy)) {
+    throw new Error(`Unknown error policy: ${policy}`)
+  }
+  return policy
+}
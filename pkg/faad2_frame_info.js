@@ -0,0 +1,116 @@
+/**
+ * Reader for the frame_info_t struct that decode_frame() fills in
+ * (see src/faad2_wasm.c). Scalar fields are little-endian uint32,
+ * followed by the 64 channel_position bytes of NeAACDecFrameInfo.
+ */
+
+const FIELDS = [
+  'samples',
+  'sampleRate',
+  'channels',
+  'error',
+  'bytesConsumed',
+  'objectType',
+  'headerType',
+  'sbr',
+  'ps',
+  'numFrontChannels',
+  'numSideChannels',
+  'numBackChannels',
+  'numLfeChannels',
+]
+
+const CHANNEL_POSITION_BYTES = 64
+
+export const FRAME_INFO_SIZE = FIELDS.length * 4 + CHANNEL_POSITION_BYTES
+
+export const OBJECT_TYPE = {
+  MAIN: 1,
+  LC: 2,
+  SSR: 3,
+  LTP: 4,
+  HE_AAC: 5,
+  ER_LC: 17,
+  ER_LTP: 19,
+  LD: 23,
+  DRM_ER_LC: 27,
+}
+
+const OBJECT_TYPE_NAMES = {
+  [OBJECT_TYPE.MAIN]: 'AAC Main',
+  [OBJECT_TYPE.LC]: 'AAC LC',
+  [OBJECT_TYPE.SSR]: 'AAC SSR',
+  [OBJECT_TYPE.LTP]: 'AAC LTP',
+  [OBJECT_TYPE.HE_AAC]: 'HE-AAC',
+  [OBJECT_TYPE.ER_LC]: 'ER AAC LC',
+  [OBJECT_TYPE.ER_LTP]: 'ER AAC LTP',
+  [OBJECT_TYPE.LD]: 'AAC LD',
+  [OBJECT_TYPE.DRM_ER_LC]: 'DRM ER AAC LC',
+}
+
+export const HEADER_TYPE = {
+  RAW: 0,
+  ADIF: 1,
+  ADTS: 2,
+  LATM: 3,
+}
+
+export const SBR_MODE = {
+  NO_SBR: 0,
+  SBR_UPSAMPLED: 1,
+  SBR_DOWNSAMPLED: 2,
+  NO_SBR_UPSAMPLED: 3,
+}
+
+export const CHANNEL_POSITION = {
+  UNKNOWN: 0,
+  FRONT_CENTER: 1,
+  FRONT_LEFT: 2,
+  FRONT_RIGHT: 3,
+  SIDE_LEFT: 4,
+  SIDE_RIGHT: 5,
+  BACK_LEFT: 6,
+  BACK_RIGHT: 7,
+  BACK_CENTER: 8,
+  LFE: 9,
+}
+
+/**
+ * Read a frame_info_t from WASM memory
+ * @param {Object} module - Emscripten module
+ * @param {number} ptr - Pointer to the struct
+ * @param {Object} [info] - Object to fill in, so repeated reads do not allocate
+ * @returns {Object} - Frame info with camelCase NeAACDecFrameInfo fields, channelPosition[] and profile
+ */
+export function readFrameInfo(module, ptr, info = {}) {
+  const heap = module.HEAPU8
+  for (let i = 0; i < FIELDS.length; i++) {
+    const p = ptr + i * 4
+    info[FIELDS[i]] = (heap[p] | (heap[p + 1] << 8) | (heap[p + 2] << 16) | (heap[p + 3] << 24)) >>> 0
+  }
+
+  const positionsPtr = ptr + FIELDS.length * 4
+  const count = Math.min(info.channels, CHANNEL_POSITION_BYTES)
+  const positions = info.channelPosition || []
+  positions.length = count
+  for (let i = 0; i < count; i++) {
+    positions[i] = heap[positionsPtr + i]
+  }
+  info.channelPosition = positions
+  info.profile = describeProfile(info)
+
+  return info
+}
+
+/**
+ * Human-readable profile of a decoded frame, e.g. "HE-AAC v2 (SBR+PS)"
+ * @param {Object} info - Frame info from readFrameInfo()
+ * @returns {string}
+ */
+export function describeProfile(info) {
+  const hasSBR = info.sbr === SBR_MODE.SBR_UPSAMPLED || info.sbr === SBR_MODE.SBR_DOWNSAMPLED
+
+  if (info.ps) return 'HE-AAC v2 (SBR+PS)'
+  if (hasSBR) return 'HE-AAC (SBR)'
+  return OBJECT_TYPE_NAMES[info.objectType] || `Object type ${info.objectType}`
+}
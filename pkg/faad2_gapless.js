@@ -0,0 +1,179 @@
+/**
+ * Gapless playback: trimming encoder priming and padding from decoded output.
+ *
+ * AAC encoders put `encoderDelay` samples of priming in front of the signal
+ * and pad the end of the last frame with `paddingSamples`. Both are counted
+ * on the complete decoder output, including the first access unit that FAAD2
+ * returns no samples for (see faad2_timing.js), so the trimmer is told about
+ * units without output as well.
+ *
+ * When the length of the signal is known (`sampleCount`, e.g. from an MP4
+ * edit list or iTunSMPB) the end is cut by position. Otherwise the last
+ * `paddingSamples` of output are held back until more output arrives, and
+ * dropped by flush() at the end of the stream.
+ */
+
+const GAPLESS_KEYS = ['encoderDelay', 'paddingSamples', 'sampleCount', 'timescale']
+
+/**
+ * Pick and validate the gapless options
+ * @param {Object} [options]
+ * @param {number} [options.encoderDelay=0] - Priming samples per channel
+ * @param {number} [options.paddingSamples=0] - Padding samples per channel at the end
+ * @param {number} [options.sampleCount] - Samples per channel of the signal without priming and padding
+ * @param {number} [options.timescale] - Rate the counts are given in (e.g. an MP4 track timescale); defaults to the output sample rate
+ * @returns {Object|null} - Gapless settings, or null when there is nothing to trim
+ */
+export function checkGaplessOptions(options = {}) {
+  const gapless = { encoderDelay: 0, paddingSamples: 0, sampleCount: null, timescale: null }
+  for (const key of GAPLESS_KEYS) {
+    if (options[key] === undefined || options[key] === null) continue
+    if (!Number.isInteger(options[key]) || options[key] < 0 || (key === 'timescale' && !options[key])) {
+      throw new Error(`Invalid ${key}: ${options[key]}`)
+    }
+    gapless[key] = options[key]
+  }
+
+  if (!gapless.encoderDelay && !gapless.paddingSamples && gapless.sampleCount === null) return null
+  return gapless
+}
+
+export class GaplessTrimmer {
+  /**
+   * @param {Object} gapless - Settings from checkGaplessOptions()
+   */
+  constructor(gapless) {
+    this.gapless = gapless
+    this.reset()
+  }
+
+  /**
+   * Start over at the beginning of the stream
+   */
+  reset() {
+    this._delay = 0
+    this._padding = 0
+    this._end = null
+    this._sampleRate = 0
+    this._position = 0
+    this._heldUnits = 0
+    this._queue = []
+    this._queued = 0
+    this.ended = false
+  }
+
+  /**
+   * Where an output clock without input timestamps has to start so that the
+   * first sample after the priming is at 0
+   * @returns {number[]} - [startUs, leadSamples] for OutputClock.reset()
+   */
+  get clockStart() {
+    const { encoderDelay, timescale } = this.gapless
+    return timescale ? [-Math.round((encoderDelay * 1e6) / timescale), 0] : [0, encoderDelay]
+  }
+
+  /**
+   * Whether output is held back for the padding, i.e. push() may return earlier blocks
+   * @returns {boolean}
+   */
+  get holdsBack() {
+    return Boolean(this.gapless.paddingSamples) && this.gapless.sampleCount === null && !this.ended
+  }
+
+  /**
+   * Length of the priming
+   * @param {number} sampleRate - Output sample rate, for counts given without a timescale
+   * @returns {number} - Microseconds, not rounded
+   */
+  delayUs(sampleRate) {
+    const { encoderDelay, timescale } = this.gapless
+    return (encoderDelay * 1e6) / (timescale || sampleRate)
+  }
+
+  /**
+   * Record access units that produced no output
+   * @param {number} [units=1]
+   */
+  hold(units = 1) {
+    this._heldUnits += units
+  }
+
+  /**
+   * Pass one block of output through the trimmer
+   * @param {*} block - Caller's output, handed back unchanged
+   * @param {number} samplesPerChannel
+   * @param {number} sampleRate
+   * @returns {Object[]} - Blocks ready for output as { block, start, end }: keep sample frames start to end
+   */
+  push(block, samplesPerChannel, sampleRate) {
+    if (!this._sampleRate) this._start(sampleRate)
+
+    this._position += this._heldUnits * samplesPerChannel
+    this._heldUnits = 0
+    const blockStart = this._position
+    this._position += samplesPerChannel
+
+    if (this.ended) return [{ block, start: 0, end: samplesPerChannel }]
+
+    const start = clamp(this._delay - blockStart, 0, samplesPerChannel)
+    const end = this._end === null ? samplesPerChannel : clamp(this._end - blockStart, start, samplesPerChannel)
+    if (this._end !== null || !this._padding) {
+      return start < end ? [{ block, start, end }] : []
+    }
+
+    // Length unknown: the last paddingSamples may be padding until more output arrives
+    if (start < end) {
+      this._queue.push({ block, start, end })
+      this._queued += end - start
+    }
+    const ready = []
+    while (this._queue.length && this._queued - size(this._queue[0]) >= this._padding) {
+      const entry = this._queue.shift()
+      this._queued -= size(entry)
+      ready.push(entry)
+    }
+    return ready
+  }
+
+  /**
+   * End of the stream: the held-back output without the padding. Output
+   * after this passes through untrimmed until reset().
+   * @returns {Object[]} - Blocks as returned by push()
+   */
+  flush() {
+    const entries = this._queue
+    this._queue = []
+    this._queued = 0
+    this.ended = true
+
+    let cut = this._padding
+    for (let i = entries.length - 1; i >= 0 && cut > 0; i--) {
+      const removed = Math.min(cut, size(entries[i]))
+      entries[i].end -= removed
+      cut -= removed
+    }
+    return entries.filter((entry) => entry.end > entry.start)
+  }
+
+  /**
+   * Convert the counts to the output sample rate once it is known
+   * @param {number} sampleRate
+   */
+  _start(sampleRate) {
+    const { encoderDelay, paddingSamples, sampleCount, timescale } = this.gapless
+    const toOutput = (count) => (timescale ? Math.round((count * sampleRate) / timescale) : count)
+
+    this._sampleRate = sampleRate
+    this._delay = toOutput(encoderDelay)
+    this._padding = toOutput(paddingSamples)
+    this._end = sampleCount === null ? null : toOutput(encoderDelay + sampleCount)
+  }
+}
+
+function size({ start, end }) {
+  return end - start
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max)
+}
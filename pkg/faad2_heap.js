@@ -0,0 +1,197 @@
+import { FRAME_INFO_SIZE, readFrameInfo } from './faad2_frame_info.js'
+import { MAX_CHANNELS } from './faad2_channels.js'
+
+/**
+ * Persistent WASM heap buffers for one decoder, so decoding a frame does
+ * not malloc/free. The input buffer grows to the largest access unit (or
+ * batch of units) seen; the output buffer holds the largest frame FAAD2 can
+ * produce in the current output format, or BATCH_FRAMES of them once
+ * decode_batch() has been used.
+ */
+
+// Zeroed bytes after the input, FAAD2's bit reader may look ahead past the end
+const INPUT_PADDING = 64
+const MIN_INPUT_SIZE = 2048
+// 2048 samples per channel (1024 doubled by SBR upsampling), up to MAX_CHANNELS.
+// Must match MAX_FRAME_SAMPLES in src/faad2_wasm.c.
+const MAX_FRAME_SAMPLES = 2048 * MAX_CHANNELS
+// Frames of output decode_batch() can hold per call
+const BATCH_FRAMES = 32
+
+export class DecoderHeap {
+  /**
+   * @param {Object} module - Emscripten module
+   */
+  constructor(module) {
+    this.module = module
+    this.inputPtr = 0
+    this.inputSize = 0
+    this.outputPtr = 0
+    this.outputSize = 0
+    this.infoPtr = module._malloc(FRAME_INFO_SIZE)
+    this.batch = null
+    this._views = new Map()
+    this._viewBuffer = null
+  }
+
+  /**
+   * Decode one access unit with decode_frame()
+   * @param {number} handle - Native decoder handle
+   * @param {Uint8Array|EncodedAudioChunk} data - Raw AAC access unit, chunks are copied straight into the heap
+   * @param {number} bytesPerSample - Sample size of the configured output format
+   * @returns {number} - decode_frame() result: samples written, 0, or a negative status
+   */
+  decode(handle, data, bytesPerSample) {
+    const module = this.module
+    const length = data.byteLength
+    const inputSize = length + INPUT_PADDING
+    this._reserveInput(inputSize)
+    this._reserveOutput(MAX_FRAME_SAMPLES * bytesPerSample)
+
+    // Read HEAPU8 after any malloc, memory growth replaces it
+    const heap = module.HEAPU8
+    if (ArrayBuffer.isView(data)) {
+      heap.set(data, this.inputPtr)
+    } else {
+      data.copyTo(heap.subarray(this.inputPtr, this.inputPtr + length))
+    }
+    heap.fill(0, this.inputPtr + length, this.inputPtr + inputSize)
+
+    return module._decode_frame(handle, this.inputPtr, length, this.outputPtr, this.outputSize, this.infoPtr)
+  }
+
+  /**
+   * Copy access units into the heap for decodeBatch()
+   * @param {Uint8Array[]} units - Raw AAC access units
+   */
+  loadBatch(units) {
+    const module = this.module
+    const count = units.length
+    const total = units.reduce((sum, unit) => sum + unit.length, 0)
+    this._reserveInput(total + INPUT_PADDING)
+
+    // offsets[count], sizes[count], results[count], then the frame infos
+    if (this.batch) module._free(this.batch.ptr)
+    const ptr = module._malloc(count * (12 + FRAME_INFO_SIZE))
+    this.batch = {
+      ptr,
+      count,
+      offsets: ptr,
+      sizes: ptr + count * 4,
+      results: ptr + count * 8,
+      infos: ptr + count * 12,
+    }
+
+    const heap = module.HEAPU8
+    let offset = 0
+    for (let i = 0; i < count; i++) {
+      heap.set(units[i], this.inputPtr + offset)
+      writeInt32(heap, this.batch.offsets + i * 4, offset)
+      writeInt32(heap, this.batch.sizes + i * 4, units[i].length)
+      offset += units[i].length
+    }
+    heap.fill(0, this.inputPtr + offset, this.inputPtr + offset + INPUT_PADDING)
+  }
+
+  /**
+   * Decode loaded access units with decode_batch(), starting at start. The
+   * PCM of the processed units is left back to back in the output buffer.
+   * @param {number} handle - Native decoder handle
+   * @param {number} start - First access unit to decode
+   * @param {number} bytesPerSample - Sample size of the configured output format
+   * @param {boolean} stopOnError - Stop after the first failed access unit
+   * @returns {number} - Access units processed
+   */
+  decodeBatch(handle, start, bytesPerSample, stopOnError) {
+    this._reserveOutput(MAX_FRAME_SAMPLES * bytesPerSample * BATCH_FRAMES)
+    const { offsets, sizes, results, infos, count } = this.batch
+    return this.module._decode_batch(
+      handle,
+      this.inputPtr,
+      offsets + start * 4,
+      sizes + start * 4,
+      count - start,
+      this.outputPtr,
+      this.outputSize,
+      infos + start * FRAME_INFO_SIZE,
+      results + start * 4,
+      stopOnError ? 1 : 0
+    )
+  }
+
+  /**
+   * decode_frame() result and frame info of a batched access unit
+   * @param {number} index
+   * @param {Object} [info] - Object to fill in
+   * @returns {Object} - { status, info }
+   */
+  readBatchResult(index, info) {
+    const heap = this.module.HEAPU8
+    const p = this.batch.results + index * 4
+    const status = heap[p] | (heap[p + 1] << 8) | (heap[p + 2] << 16) | (heap[p + 3] << 24)
+    return { status, info: readFrameInfo(this.module, this.batch.infos + index * FRAME_INFO_SIZE, info) }
+  }
+
+  _reserveInput(size) {
+    if (size <= this.inputSize) return
+    if (this.inputPtr) this.module._free(this.inputPtr)
+    this.inputSize = Math.max(MIN_INPUT_SIZE, 2 ** Math.ceil(Math.log2(size)))
+    this.inputPtr = this.module._malloc(this.inputSize)
+  }
+
+  _reserveOutput(size) {
+    if (size <= this.outputSize) return
+    if (this.outputPtr) this.module._free(this.outputPtr)
+    this.outputSize = size
+    this.outputPtr = this.module._malloc(size)
+    this._views.clear()
+  }
+
+  /**
+   * Frame info of the last decode()
+   * @param {Object} [info] - Object to fill in
+   * @returns {Object}
+   */
+  readInfo(info) {
+    return readFrameInfo(this.module, this.infoPtr, info)
+  }
+
+  /**
+   * View over the whole output buffer, cached until the heap grows
+   * @param {Function} ArrayType - Typed array constructor of the output format
+   * @returns {TypedArray}
+   */
+  output(ArrayType) {
+    const buffer = this.module.HEAPU8.buffer
+    if (buffer !== this._viewBuffer) {
+      this._views.clear()
+      this._viewBuffer = buffer
+    }
+
+    let view = this._views.get(ArrayType)
+    if (!view) {
+      view = new ArrayType(buffer, this.outputPtr, this.outputSize / ArrayType.BYTES_PER_ELEMENT)
+      this._views.set(ArrayType, view)
+    }
+    return view
+  }
+
+  free() {
+    const module = this.module
+    for (const ptr of [this.inputPtr, this.outputPtr, this.infoPtr, this.batch && this.batch.ptr]) {
+      if (ptr) module._free(ptr)
+    }
+    this.inputPtr = this.outputPtr = this.infoPtr = 0
+    this.batch = null
+    this.inputSize = this.outputSize = 0
+    this._views.clear()
+    this._viewBuffer = null
+  }
+}
+
+function writeInt32(heap, ptr, value) {
+  heap[ptr] = value & 0xFF
+  heap[ptr + 1] = (value >> 8) & 0xFF
+  heap[ptr + 2] = (value >> 16) & 0xFF
+  heap[ptr + 3] = (value >> 24) & 0xFF
+}
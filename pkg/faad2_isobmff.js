@@ -0,0 +1,661 @@
+/**
+ * Minimal ISO-BMFF (MP4 / M4A / fragmented MP4) parser for audio decoding.
+ *
+ * Reads only the boxes needed to locate AAC samples: ftyp, moov/trak with
+ * mdhd, hdlr and stbl (stsd/esds, stts, ctts, stsc, stsz, stco/co64, stss),
+ * mvex/trex and moof/traf (tfhd, tfdt, trun), plus the mvhd timescale, edit
+ * lists (edts/elst), 'roll' sample groups (sgpd) and iTunSMPB gapless
+ * metadata (udta/meta/ilst) for priming. Everything else is skipped.
+ */
+
+// enca is a protected mp4a: it is parsed so the track can be reported as encrypted
+const AUDIO_SAMPLE_ENTRIES = new Set(['mp4a', 'enca'])
+
+// MPEG-4 descriptor tags inside esds
+const ES_DESCRIPTOR = 3
+const DECODER_CONFIG_DESCRIPTOR = 4
+const DECODER_SPECIFIC_INFO = 5
+
+// MPEG-4 Audio objectTypeIndication
+const OTI_MPEG4_AUDIO = 0x40
+
+// tfhd flags
+const TFHD_BASE_DATA_OFFSET = 0x000001
+const TFHD_SAMPLE_DESCRIPTION_INDEX = 0x000002
+const TFHD_DEFAULT_DURATION = 0x000008
+const TFHD_DEFAULT_SIZE = 0x000010
+const TFHD_DEFAULT_FLAGS = 0x000020
+const TFHD_DEFAULT_BASE_IS_MOOF = 0x020000
+
+// trun flags
+const TRUN_DATA_OFFSET = 0x000001
+const TRUN_FIRST_SAMPLE_FLAGS = 0x000004
+const TRUN_SAMPLE_DURATION = 0x000100
+const TRUN_SAMPLE_SIZE = 0x000200
+const TRUN_SAMPLE_FLAGS = 0x000400
+const TRUN_SAMPLE_CTS_OFFSET = 0x000800
+
+const SAMPLE_IS_NON_SYNC = 0x00010000
+
+function readUint64(view, offset) {
+  return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4)
+}
+
+function readInt64(view, offset) {
+  return view.getInt32(offset) * 0x100000000 + view.getUint32(offset + 4)
+}
+
+function readString(data, start, end) {
+  return String.fromCharCode(...data.subarray(start, end))
+}
+
+function readType(data, offset) {
+  return String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3])
+}
+
+/**
+ * Iterate the boxes in data[start, end)
+ * @param {Uint8Array} data
+ * @param {number} start
+ * @param {number} end
+ * @returns {Generator<Object>} - { type, start, end, bodyStart }
+ */
+function* readBoxes(data, start, end) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  let offset = start
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset)
+    const type = readType(data, offset + 4)
+    let headerSize = 8
+
+    if (size === 1) {
+      if (offset + 16 > end) return
+      size = readUint64(view, offset + 8)
+      headerSize = 16
+    } else if (size === 0) {
+      size = end - offset
+    }
+
+    if (size < headerSize) {
+      throw new Error(`Invalid MP4 box '${type}' at offset ${offset}`)
+    }
+
+    // A truncated last box (e.g. an incomplete mdat) still yields what is there
+    const boxEnd = Math.min(offset + size, end)
+    yield { type, start: offset, end: boxEnd, bodyStart: offset + headerSize }
+    offset += size
+  }
+}
+
+function findChild(data, box, type) {
+  for (const child of readBoxes(data, box.bodyStart, box.end)) {
+    if (child.type === type) return child
+  }
+  return null
+}
+
+function findChildren(data, box, type) {
+  const boxes = []
+  for (const child of readBoxes(data, box.bodyStart, box.end)) {
+    if (child.type === type) boxes.push(child)
+  }
+  return boxes
+}
+
+function findPath(data, box, path) {
+  let current = box
+  for (const type of path) {
+    current = current && findChild(data, current, type)
+  }
+  return current
+}
+
+/**
+ * Version/flags header of a FullBox
+ * @returns {{ version: number, flags: number, offset: number }} - offset is the first byte after the header
+ */
+function readFullBox(view, box) {
+  const word = view.getUint32(box.bodyStart)
+  return { version: word >>> 24, flags: word & 0xFFFFFF, offset: box.bodyStart + 4 }
+}
+
+function readLanguage(packed) {
+  if (!packed || packed === 0x7FFF) return 'und'
+  return String.fromCharCode(
+    ((packed >> 10) & 0x1F) + 0x60,
+    ((packed >> 5) & 0x1F) + 0x60,
+    (packed & 0x1F) + 0x60,
+  )
+}
+
+/**
+ * Read an MPEG-4 descriptor header (tag and 7-bit continuation length)
+ * @returns {{ tag: number, size: number, bodyStart: number }|null}
+ */
+function readDescriptorHeader(data, offset, end) {
+  if (offset + 2 > end) return null
+  const tag = data[offset]
+  let size = 0
+  let pos = offset + 1
+  for (let i = 0; i < 4 && pos < end; i++) {
+    const byte = data[pos++]
+    size = (size << 7) | (byte & 0x7F)
+    if (!(byte & 0x80)) break
+  }
+  return { tag, size, bodyStart: pos }
+}
+
+/**
+ * Parse the ES_Descriptor of an esds box
+ * @param {Uint8Array} data
+ * @param {number} start - First byte after the esds FullBox header
+ * @param {number} end
+ * @returns {{ objectTypeIndication: number, asc: Uint8Array|null }|null}
+ */
+export function parseESDescriptor(data, start, end) {
+  const es = readDescriptorHeader(data, start, end)
+  if (!es || es.tag !== ES_DESCRIPTOR) return null
+
+  const esEnd = Math.min(es.bodyStart + es.size, end)
+  const flags = data[es.bodyStart + 2]
+  let pos = es.bodyStart + 3
+  if (flags & 0x80) pos += 2 // dependsOn_ES_ID
+  if (flags & 0x40) pos += 1 + data[pos] // URL
+  if (flags & 0x20) pos += 2 // OCR_ES_Id
+
+  while (pos < esEnd) {
+    const descriptor = readDescriptorHeader(data, pos, esEnd)
+    if (!descriptor) break
+    const descriptorEnd = Math.min(descriptor.bodyStart + descriptor.size, esEnd)
+
+    if (descriptor.tag === DECODER_CONFIG_DESCRIPTOR) {
+      const result = { objectTypeIndication: data[descriptor.bodyStart], asc: null }
+      // objectTypeIndication, streamType, bufferSizeDB, maxBitrate, avgBitrate
+      let inner = descriptor.bodyStart + 13
+      while (inner < descriptorEnd) {
+        const child = readDescriptorHeader(data, inner, descriptorEnd)
+        if (!child) break
+        if (child.tag === DECODER_SPECIFIC_INFO) {
+          result.asc = new Uint8Array(data.subarray(child.bodyStart, Math.min(child.bodyStart + child.size, descriptorEnd)))
+          break
+        }
+        inner = child.bodyStart + child.size
+      }
+      return result
+    }
+    pos = descriptorEnd
+  }
+  return null
+}
+
+function codecString(objectTypeIndication, asc) {
+  const oti = objectTypeIndication.toString(16)
+  if (objectTypeIndication !== OTI_MPEG4_AUDIO || !asc || !asc.length) return `mp4a.${oti}`
+
+  let objectType = asc[0] >> 3
+  if (objectType === 31 && asc.length > 1) {
+    objectType = 32 + (((asc[0] & 0x07) << 3) | (asc[1] >> 5))
+  }
+  return `mp4a.${oti}.${objectType}`
+}
+
+/**
+ * Parse an audio sample entry (mp4a/enca) including QuickTime v1/v2 layouts
+ */
+function parseAudioSampleEntry(data, view, entry) {
+  const base = entry.bodyStart
+  // 6 reserved bytes, data_reference_index, then the sound description
+  const version = view.getUint16(base + 8)
+  const result = {
+    type: entry.type,
+    channels: view.getUint16(base + 16),
+    sampleRate: view.getUint32(base + 24) >>> 16,
+    objectTypeIndication: 0,
+    asc: null,
+    codec: entry.type,
+    encrypted: entry.type === 'enca',
+  }
+
+  let childStart = base + 28
+  if (version === 1) {
+    childStart += 16
+  } else if (version === 2) {
+    childStart += 36
+    result.sampleRate = Math.round(view.getFloat64(base + 32))
+    result.channels = view.getUint32(base + 40)
+  }
+
+  const searchEsds = (start, end) => {
+    for (const child of readBoxes(data, start, end)) {
+      if (child.type === 'esds') return child
+      if (child.type === 'wave') {
+        const nested = searchEsds(child.bodyStart, child.end)
+        if (nested) return nested
+      }
+    }
+    return null
+  }
+
+  const esds = searchEsds(childStart, entry.end)
+  if (esds) {
+    const es = parseESDescriptor(data, esds.bodyStart + 4, esds.end)
+    if (es) {
+      result.objectTypeIndication = es.objectTypeIndication
+      result.asc = es.asc
+      result.codec = codecString(es.objectTypeIndication, es.asc)
+    }
+  }
+  return result
+}
+
+function parseSampleDescription(data, view, stsd) {
+  if (!stsd) return null
+  for (const entry of readBoxes(data, stsd.bodyStart + 8, stsd.end)) {
+    if (AUDIO_SAMPLE_ENTRIES.has(entry.type)) {
+      return parseAudioSampleEntry(data, view, entry)
+    }
+    return { type: entry.type, codec: entry.type, channels: 0, sampleRate: 0, objectTypeIndication: 0, asc: null, encrypted: false }
+  }
+  return null
+}
+
+/**
+ * Expand the stbl tables of a progressive track into a sample list
+ */
+function buildSampleTable(data, view, stbl) {
+  const box = (type) => findChild(data, stbl, type)
+
+  const stsz = box('stsz')
+  const stsc = box('stsc')
+  const stco = box('stco') || box('co64')
+  const stts = box('stts')
+  if (!stsz || !stsc || !stco || !stts) return []
+
+  // stsz: sample_size, sample_count, [entry_size]
+  const sizeOffset = readFullBox(view, stsz).offset
+  const fixedSize = view.getUint32(sizeOffset)
+  const count = view.getUint32(sizeOffset + 4)
+  const samples = new Array(count)
+  for (let i = 0; i < count; i++) {
+    const size = fixedSize || view.getUint32(sizeOffset + 8 + i * 4)
+    samples[i] = { offset: 0, size, dts: 0, cts: 0, duration: 0, isSync: true }
+  }
+
+  // stco/co64: chunk offsets
+  const chunkOffsetStart = readFullBox(view, stco).offset
+  const chunkCount = view.getUint32(chunkOffsetStart)
+  const is64 = stco.type === 'co64'
+  const chunkOffset = (i) => is64
+    ? readUint64(view, chunkOffsetStart + 4 + i * 8)
+    : view.getUint32(chunkOffsetStart + 4 + i * 4)
+
+  // stsc: runs of (first_chunk, samples_per_chunk, sample_description_index)
+  const stscStart = readFullBox(view, stsc).offset
+  const runCount = view.getUint32(stscStart)
+  let sample = 0
+  for (let run = 0; run < runCount && sample < count; run++) {
+    const entry = stscStart + 4 + run * 12
+    const firstChunk = view.getUint32(entry) - 1
+    const samplesPerChunk = view.getUint32(entry + 4)
+    const lastChunk = run + 1 < runCount ? view.getUint32(entry + 12) - 1 : chunkCount
+
+    for (let chunk = firstChunk; chunk < lastChunk && sample < count; chunk++) {
+      let offset = chunkOffset(chunk)
+      for (let i = 0; i < samplesPerChunk && sample < count; i++) {
+        samples[sample].offset = offset
+        offset += samples[sample].size
+        sample++
+      }
+    }
+  }
+
+  // stts: runs of (sample_count, sample_delta)
+  const sttsStart = readFullBox(view, stts).offset
+  const timeRuns = view.getUint32(sttsStart)
+  let dts = 0
+  sample = 0
+  for (let run = 0; run < timeRuns && sample < count; run++) {
+    const runSamples = view.getUint32(sttsStart + 4 + run * 8)
+    const delta = view.getUint32(sttsStart + 8 + run * 8)
+    for (let i = 0; i < runSamples && sample < count; i++) {
+      samples[sample].dts = dts
+      samples[sample].cts = dts
+      samples[sample].duration = delta
+      dts += delta
+      sample++
+    }
+  }
+
+  // ctts: composition offsets (signed in version 1)
+  const ctts = box('ctts')
+  if (ctts) {
+    const { version, offset: cttsStart } = readFullBox(view, ctts)
+    const runs = view.getUint32(cttsStart)
+    sample = 0
+    for (let run = 0; run < runs && sample < count; run++) {
+      const runSamples = view.getUint32(cttsStart + 4 + run * 8)
+      const ctsOffset = version === 1
+        ? view.getInt32(cttsStart + 8 + run * 8)
+        : view.getUint32(cttsStart + 8 + run * 8)
+      for (let i = 0; i < runSamples && sample < count; i++) {
+        samples[sample++].cts += ctsOffset
+      }
+    }
+  }
+
+  // stss: sync samples; without it every sample is a sync sample
+  const stss = box('stss')
+  if (stss) {
+    const stssStart = readFullBox(view, stss).offset
+    const syncCount = view.getUint32(stssStart)
+    for (const s of samples) s.isSync = false
+    for (let i = 0; i < syncCount; i++) {
+      const index = view.getUint32(stssStart + 4 + i * 4) - 1
+      if (samples[index]) samples[index].isSync = true
+    }
+  }
+
+  return samples
+}
+
+/**
+ * Edit list of a track
+ * @returns {Object[]} - { segmentDuration, mediaTime, mediaRate } with segmentDuration in the movie timescale
+ *   and mediaTime in the media timescale, -1 for an empty edit
+ */
+function parseEditList(view, elst) {
+  const { version, offset } = readFullBox(view, elst)
+  const count = view.getUint32(offset)
+  const entrySize = version === 1 ? 20 : 12
+  const edits = []
+
+  for (let i = 0, pos = offset + 4; i < count && pos + entrySize <= elst.end; i++, pos += entrySize) {
+    const rate = pos + entrySize - 4
+    edits.push({
+      segmentDuration: version === 1 ? readUint64(view, pos) : view.getUint32(pos),
+      mediaTime: version === 1 ? readInt64(view, pos + 8) : view.getInt32(pos + 4),
+      mediaRate: view.getInt16(rate) + view.getUint16(rate + 2) / 0x10000,
+    })
+  }
+  return edits
+}
+
+/**
+ * Roll distance of a track's 'roll' sample group: for audio, the negative
+ * number of frames to decode before the output is valid
+ * @returns {number|null} - Smallest roll_distance of the group description, or null without one
+ */
+function readRollDistance(data, view, stbl) {
+  for (const sgpd of findChildren(data, stbl, 'sgpd')) {
+    const { version, offset } = readFullBox(view, sgpd)
+    if (readType(data, offset) !== 'roll') continue
+
+    let pos = offset + 4
+    const defaultLength = version === 1 ? view.getUint32(pos) : 2
+    if (version === 1) pos += 4
+    if (version >= 2) pos += 4 // default_sample_description_index
+    const count = view.getUint32(pos)
+    pos += 4
+
+    let distance = null
+    for (let i = 0; i < count; i++) {
+      const length = version === 1 && defaultLength === 0 ? view.getUint32(pos) : defaultLength
+      if (version === 1 && defaultLength === 0) pos += 4
+      if (pos + 2 > sgpd.end) break
+      const roll = view.getInt16(pos)
+      distance = distance === null ? roll : Math.min(distance, roll)
+      pos += length
+    }
+    return distance
+  }
+  return null
+}
+
+/**
+ * iTunSMPB gapless info from a udta box (udta/meta/ilst/'----' item named iTunSMPB)
+ * @returns {Object|null} - { encoderDelay, paddingSamples, sampleCount }
+ */
+function readITunSMPB(data, view, udta) {
+  const meta = udta && findChild(data, udta, 'meta')
+  if (!meta) return null
+
+  // meta is a FullBox in ISO files, a plain box in QuickTime files
+  const fullBox = readType(data, meta.bodyStart + 4) !== 'hdlr'
+  const ilst = findChild(data, { ...meta, bodyStart: meta.bodyStart + (fullBox ? 4 : 0) }, 'ilst')
+  if (!ilst) return null
+
+  for (const item of findChildren(data, ilst, '----')) {
+    const name = findChild(data, item, 'name')
+    const value = findChild(data, item, 'data')
+    if (!name || !value || readString(data, name.bodyStart + 4, name.end) !== 'iTunSMPB') continue
+
+    // ' 00000000 00000840 000001CA 00000000000D0A2E ...': delay, padding, original sample count in hex
+    const fields = readString(data, value.bodyStart + 8, value.end).trim().split(/\s+/).map((field) => parseInt(field, 16))
+    if (fields.length < 4 || fields.slice(1, 4).some(Number.isNaN)) return null
+    return { encoderDelay: fields[1], paddingSamples: fields[2], sampleCount: fields[3] }
+  }
+  return null
+}
+
+function parseTrack(data, view, trak) {
+  const tkhd = findChild(data, trak, 'tkhd')
+  const mdhd = findPath(data, trak, ['mdia', 'mdhd'])
+  const hdlr = findPath(data, trak, ['mdia', 'hdlr'])
+  const stbl = findPath(data, trak, ['mdia', 'minf', 'stbl'])
+  if (!tkhd || !mdhd || !hdlr || !stbl) return null
+
+  const tkhdHeader = readFullBox(view, tkhd)
+  const id = view.getUint32(tkhdHeader.offset + (tkhdHeader.version === 1 ? 16 : 8))
+
+  const mdhdHeader = readFullBox(view, mdhd)
+  let timescale, duration, language
+  if (mdhdHeader.version === 1) {
+    timescale = view.getUint32(mdhdHeader.offset + 16)
+    duration = readUint64(view, mdhdHeader.offset + 20)
+    language = view.getUint16(mdhdHeader.offset + 28)
+  } else {
+    timescale = view.getUint32(mdhdHeader.offset + 8)
+    duration = view.getUint32(mdhdHeader.offset + 12)
+    language = view.getUint16(mdhdHeader.offset + 16)
+  }
+
+  const handler = readType(data, readFullBox(view, hdlr).offset + 4)
+  const entry = parseSampleDescription(data, view, findChild(data, stbl, 'stsd'))
+  const elst = findPath(data, trak, ['edts', 'elst'])
+
+  return {
+    id,
+    type: handler === 'soun' ? 'audio' : handler,
+    handler,
+    codec: entry ? entry.codec : '',
+    language: readLanguage(language),
+    timescale,
+    duration,
+    sampleRate: entry ? entry.sampleRate : 0,
+    channels: entry ? entry.channels : 0,
+    objectTypeIndication: entry ? entry.objectTypeIndication : 0,
+    asc: entry ? entry.asc : null,
+    encrypted: entry ? entry.encrypted : false,
+    edits: elst ? parseEditList(view, elst) : [],
+    iTunSMPB: readITunSMPB(data, view, findChild(data, trak, 'udta')),
+    rollDistance: readRollDistance(data, view, stbl),
+    samples: buildSampleTable(data, view, stbl),
+  }
+}
+
+function parseTrackExtends(data, view, mvex) {
+  const defaults = new Map()
+  if (!mvex) return defaults
+  for (const trex of findChildren(data, mvex, 'trex')) {
+    const { offset } = readFullBox(view, trex)
+    defaults.set(view.getUint32(offset), {
+      duration: view.getUint32(offset + 8),
+      size: view.getUint32(offset + 12),
+      flags: view.getUint32(offset + 16),
+    })
+  }
+  return defaults
+}
+
+/**
+ * Append the samples of one movie fragment to their tracks
+ */
+function parseFragment(data, view, moof, tracksById, trackDefaults, nextDts) {
+  let previousTrafEnd = moof.start
+
+  for (const traf of findChildren(data, moof, 'traf')) {
+    const tfhd = findChild(data, traf, 'tfhd')
+    if (!tfhd) continue
+
+    const { flags, offset } = readFullBox(view, tfhd)
+    const trackId = view.getUint32(offset)
+    const track = tracksById.get(trackId)
+    const trex = trackDefaults.get(trackId) || { duration: 0, size: 0, flags: 0 }
+
+    let pos = offset + 4
+    let baseDataOffset
+    if (flags & TFHD_BASE_DATA_OFFSET) {
+      baseDataOffset = readUint64(view, pos)
+      pos += 8
+    } else if (flags & TFHD_DEFAULT_BASE_IS_MOOF) {
+      baseDataOffset = moof.start
+    } else {
+      baseDataOffset = previousTrafEnd
+    }
+    if (flags & TFHD_SAMPLE_DESCRIPTION_INDEX) pos += 4
+
+    let defaultDuration = trex.duration
+    let defaultSize = trex.size
+    let defaultFlags = trex.flags
+    if (flags & TFHD_DEFAULT_DURATION) { defaultDuration = view.getUint32(pos); pos += 4 }
+    if (flags & TFHD_DEFAULT_SIZE) { defaultSize = view.getUint32(pos); pos += 4 }
+    if (flags & TFHD_DEFAULT_FLAGS) { defaultFlags = view.getUint32(pos); pos += 4 }
+
+    let dts = nextDts.get(trackId) || 0
+    const tfdt = findChild(data, traf, 'tfdt')
+    if (tfdt) {
+      const header = readFullBox(view, tfdt)
+      dts = header.version === 1 ? readUint64(view, header.offset) : view.getUint32(header.offset)
+    }
+
+    let dataOffset = baseDataOffset
+    for (const trun of findChildren(data, traf, 'trun')) {
+      const header = readFullBox(view, trun)
+      const trunFlags = header.flags
+      const count = view.getUint32(header.offset)
+      let p = header.offset + 4
+
+      if (trunFlags & TRUN_DATA_OFFSET) {
+        dataOffset = baseDataOffset + view.getInt32(p)
+        p += 4
+      }
+      let firstSampleFlags = null
+      if (trunFlags & TRUN_FIRST_SAMPLE_FLAGS) {
+        firstSampleFlags = view.getUint32(p)
+        p += 4
+      }
+
+      for (let i = 0; i < count; i++) {
+        let duration = defaultDuration
+        let size = defaultSize
+        let sampleFlags = i === 0 && firstSampleFlags !== null ? firstSampleFlags : defaultFlags
+        let ctsOffset = 0
+
+        if (trunFlags & TRUN_SAMPLE_DURATION) { duration = view.getUint32(p); p += 4 }
+        if (trunFlags & TRUN_SAMPLE_SIZE) { size = view.getUint32(p); p += 4 }
+        if (trunFlags & TRUN_SAMPLE_FLAGS) { sampleFlags = view.getUint32(p); p += 4 }
+        if (trunFlags & TRUN_SAMPLE_CTS_OFFSET) {
+          ctsOffset = header.version === 1 ? view.getInt32(p) : view.getUint32(p)
+          p += 4
+        }
+
+        track?.samples.push({
+          offset: dataOffset,
+          size,
+          dts,
+          cts: dts + ctsOffset,
+          duration,
+          isSync: !(sampleFlags & SAMPLE_IS_NON_SYNC),
+        })
+        dataOffset += size
+        dts += duration
+      }
+    }
+
+    previousTrafEnd = dataOffset
+    nextDts.set(trackId, dts)
+  }
+}
+
+// Top-level boxes an MP4 file or segment can start with
+const FILE_START_BOXES = new Set(['ftyp', 'styp', 'moov', 'moof', 'mdat', 'free', 'skip', 'wide'])
+
+/**
+ * Whether data starts like an ISO-BMFF file, for telling MP4 from ADTS/LOAS input
+ * @param {Uint8Array} data - Start of the file
+ * @returns {boolean}
+ */
+export function isISOBMFF(data) {
+  return data.length >= 8 && FILE_START_BOXES.has(readType(data, 4))
+}
+
+/**
+ * Parse the movie structure of a complete MP4 file
+ * @param {Uint8Array} data - File bytes
+ * @returns {Object} - { brands, fragmented, timescale, iTunSMPB, tracks } where every track has
+ *   { id, type, handler, codec, language, timescale, duration, sampleRate, channels,
+ *   objectTypeIndication, asc, encrypted, edits, iTunSMPB, rollDistance, samples: [{ offset, size, dts, cts, duration, isSync }] }
+ */
+export function parseMovie(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  const movie = { brands: null, fragmented: false, timescale: 0, iTunSMPB: null, tracks: [] }
+  let moov = null
+  const fragments = []
+
+  for (const box of readBoxes(data, 0, data.length)) {
+    if (box.type === 'ftyp') {
+      const compatible = []
+      for (let pos = box.bodyStart + 8; pos + 4 <= box.end; pos += 4) {
+        compatible.push(readType(data, pos))
+      }
+      movie.brands = { major: readType(data, box.bodyStart), compatible }
+    } else if (box.type === 'moov') {
+      moov = box
+    } else if (box.type === 'moof') {
+      fragments.push(box)
+    }
+  }
+
+  if (!moov) {
+    throw new Error('Failed to parse MP4: no moov box found')
+  }
+
+  const mvhd = findChild(data, moov, 'mvhd')
+  if (mvhd) {
+    const { version, offset } = readFullBox(view, mvhd)
+    movie.timescale = view.getUint32(offset + (version === 1 ? 16 : 8))
+  }
+  movie.iTunSMPB = readITunSMPB(data, view, findChild(data, moov, 'udta'))
+
+  for (const trak of findChildren(data, moov, 'trak')) {
+    const track = parseTrack(data, view, trak)
+    if (track) movie.tracks.push(track)
+  }
+
+  const mvex = findChild(data, moov, 'mvex')
+  movie.fragmented = Boolean(mvex) || fragments.length > 0
+  if (fragments.length) {
+    const tracksById = new Map(movie.tracks.map((track) => [track.id, track]))
+    const trackDefaults = parseTrackExtends(data, view, mvex)
+    const nextDts = new Map(movie.tracks.map((track) => {
+      const last = track.samples[track.samples.length - 1]
+      return [track.id, last ? last.dts + last.duration : 0]
+    }))
+    for (const moof of fragments) {
+      parseFragment(data, view, moof, tracksById, trackDefaults, nextDts)
+    }
+  }
+
+  return movie
+}
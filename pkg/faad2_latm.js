@@ -0,0 +1,234 @@
+import { ADTSParser, parseADTSHeader } from './faad2_adts.js'
+import { readAudioSpecificConfig } from './faad2_asc.js'
+import { BitReader } from './faad2_bits.js'
+
+/**
+ * LOAS (Low Overhead Audio Stream) framing and LATM AudioMuxElement parsing,
+ * as used for AAC in DVB and other MPEG-TS broadcasts (stream type 0x11).
+ *
+ * A LOAS AudioSyncStream frame is the 11-bit syncword 0x2B7, a 13-bit
+ * length and an AudioMuxElement. The AudioMuxElement carries an optional
+ * StreamMuxConfig (with the AudioSpecificConfig) and the raw AAC payloads.
+ */
+
+export const LOAS_SYNC = 0x2B7
+export const LOAS_HEADER_SIZE = 3
+
+/**
+ * Check for the 11-bit LOAS syncword at offset
+ * @param {Uint8Array} data
+ * @param {number} [offset=0]
+ * @returns {boolean}
+ */
+export function isLOASSync(data, offset = 0) {
+  return offset + 1 < data.length && data[offset] === 0x56 && (data[offset + 1] & 0xE0) === 0xE0
+}
+
+/**
+ * Parse a LOAS AudioSyncStream header
+ * @param {Uint8Array} data - Bytes containing the header
+ * @param {number} [offset=0] - Header position
+ * @returns {Object|null} - { muxLength, frameLength, headerSize }, or null if there is no valid header at offset
+ */
+export function parseLOASHeader(data, offset = 0) {
+  if (offset + LOAS_HEADER_SIZE > data.length || !isLOASSync(data, offset)) return null
+
+  const muxLength = ((data[offset + 1] & 0x1F) << 8) | data[offset + 2]
+  if (!muxLength) return null
+
+  return {
+    muxLength,
+    frameLength: LOAS_HEADER_SIZE + muxLength,
+    headerSize: LOAS_HEADER_SIZE,
+  }
+}
+
+/**
+ * Streaming LOAS frame splitter with the same interface and resync
+ * behaviour as ADTSParser. Frames keep their 3-byte sync header.
+ */
+export class LOASParser extends ADTSParser {
+  _parseHeader(data, offset) {
+    return parseLOASHeader(data, offset)
+  }
+
+  _isSync(data, offset) {
+    return isLOASSync(data, offset)
+  }
+
+  get _minHeaderSize() {
+    return LOAS_HEADER_SIZE
+  }
+}
+
+/**
+ * Pick a frame splitter for a byte stream from its first bytes
+ * @param {Uint8Array} data - Start of the stream
+ * @returns {ADTSParser|LOASParser} - LOASParser if a LOAS frame comes before any ADTS frame, ADTSParser otherwise
+ */
+export function createTransportParser(data) {
+  for (let i = 0; i + 1 < data.length; i++) {
+    if (parseADTSHeader(data, i)) return new ADTSParser()
+    if (parseLOASHeader(data, i)) return new LOASParser()
+  }
+  return new ADTSParser()
+}
+
+function latmGetValue(reader) {
+  const bytesForValue = reader.readBits(2)
+  let value = 0
+  for (let i = 0; i <= bytesForValue; i++) {
+    value = value * 256 + reader.readBits(8)
+  }
+  return value
+}
+
+/**
+ * Parse a StreamMuxConfig
+ * @param {BitReader} reader
+ * @returns {Object} - { audioMuxVersion, allStreamsSameTimeFraming, numSubFrames, streams, otherDataLenBits, asc }
+ */
+export function parseStreamMuxConfig(reader) {
+  const audioMuxVersion = reader.readBit()
+  const audioMuxVersionA = audioMuxVersion ? reader.readBit() : 0
+  if (audioMuxVersionA) {
+    throw new Error('Unsupported LATM audioMuxVersionA 1')
+  }
+  if (audioMuxVersion) latmGetValue(reader) // taraBufferFullness
+
+  const config = {
+    audioMuxVersion,
+    allStreamsSameTimeFraming: reader.readBit(),
+    numSubFrames: reader.readBits(6),
+    streams: [],
+    otherDataLenBits: 0,
+    asc: null,
+  }
+
+  if (!config.allStreamsSameTimeFraming) {
+    throw new Error('Unsupported LATM stream: allStreamsSameTimeFraming is 0')
+  }
+
+  const numProgram = reader.readBits(4) + 1
+  let asc = null
+  for (let prog = 0; prog < numProgram; prog++) {
+    const numLayer = reader.readBits(3) + 1
+    for (let layer = 0; layer < numLayer; layer++) {
+      const useSameConfig = prog === 0 && layer === 0 ? 0 : reader.readBit()
+      if (!useSameConfig) {
+        if (audioMuxVersion) {
+          // ascLen covers the AudioSpecificConfig and its fill bits
+          const ascLen = latmGetValue(reader)
+          asc = reader.copyBits(reader.position, reader.position + ascLen)
+          reader.skipBits(ascLen)
+        } else {
+          const start = reader.position
+          const ascConfig = readAudioSpecificConfig(reader, { syncExtension: false })
+          if (!ascConfig.gaSpecificConfig) {
+            throw new Error(`Unsupported audio object type in LATM: ${ascConfig.objectType}`)
+          }
+          asc = reader.copyBits(start, reader.position)
+        }
+      }
+
+      const stream = { program: prog, layer, asc, frameLengthType: reader.readBits(3), frameLength: 0 }
+      if (stream.frameLengthType === 0) {
+        reader.skipBits(8) // latmBufferFullness
+      } else if (stream.frameLengthType === 1) {
+        stream.frameLength = reader.readBits(9)
+      } else {
+        throw new Error(`Unsupported LATM frameLengthType: ${stream.frameLengthType}`)
+      }
+      config.streams.push(stream)
+    }
+  }
+
+  if (reader.readBit()) { // otherDataPresent
+    if (audioMuxVersion) {
+      config.otherDataLenBits = latmGetValue(reader)
+    } else {
+      let escape
+      do {
+        escape = reader.readBit()
+        config.otherDataLenBits = config.otherDataLenBits * 256 + reader.readBits(8)
+      } while (escape)
+    }
+  }
+  if (reader.readBit()) reader.skipBits(8) // crcCheckSum
+
+  config.asc = config.streams[0].asc
+  return config
+}
+
+/**
+ * Stateful AudioMuxElement parser for LOAS frames (muxConfigPresent = 1).
+ *
+ * Keeps the last StreamMuxConfig so frames that reuse it can be parsed,
+ * and reports when an in-band config changes the AudioSpecificConfig.
+ */
+export class LATMDemuxer {
+  constructor() {
+    this.config = null
+  }
+
+  reset() {
+    this.config = null
+  }
+
+  /**
+   * Parse one LOAS frame
+   * @param {Uint8Array} frame - LOAS frame including its 3-byte header
+   * @returns {Object|null} - { asc, configChanged, payloads: Uint8Array[] } for the first program and layer,
+   *   or null while no StreamMuxConfig has been seen yet
+   */
+  parse(frame) {
+    const header = parseLOASHeader(frame)
+    if (!header) {
+      throw new Error('Invalid LOAS frame')
+    }
+
+    const reader = new BitReader(frame.subarray(0, header.frameLength), LOAS_HEADER_SIZE)
+    let configChanged = false
+
+    if (!reader.readBit()) { // useSameStreamMux
+      const previousASC = this.config && this.config.asc
+      this.config = parseStreamMuxConfig(reader)
+      configChanged = !previousASC || !sameBytes(previousASC, this.config.asc)
+    }
+
+    if (!this.config) return null
+
+    const { streams, numSubFrames } = this.config
+    const payloads = []
+    for (let subFrame = 0; subFrame <= numSubFrames; subFrame++) {
+      // PayloadLengthInfo
+      const lengths = streams.map((stream) => {
+        // frameLengthType 1 signals a fixed payload of (frameLength + 20) bytes
+        if (stream.frameLengthType === 1) return stream.frameLength + 20
+        let length = 0
+        let tmp
+        do {
+          tmp = reader.readBits(8)
+          length += tmp
+        } while (tmp === 255)
+        return length
+      })
+
+      // PayloadMux
+      lengths.forEach((length, i) => {
+        const payload = reader.readBytes(length)
+        if (i === 0) payloads.push(payload)
+      })
+    }
+
+    return { asc: this.config.asc, configChanged, payloads }
+  }
+}
+
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false
+  }
+  return true
+}
@@ -0,0 +1,432 @@
+import { parseMovie } from './faad2_isobmff.js'
+
+/**
+ * MP4 / M4A / fragmented MP4 audio demuxing.
+ *
+ * Mp4AudioSource reads a whole file, selects one AAC track and exposes its
+ * AudioSpecificConfig and sample table. decodeMp4() feeds that track through
+ * FAAD2NodeDecoder and yields PCM with timestamps in microseconds.
+ *
+ * Timestamps are presentation times: encoder priming found in the track's
+ * edit list (or, failing that, in iTunSMPB metadata) is subtracted, so the
+ * first real sample of the track is at 0 and priming output is negative.
+ *
+ * Files are parsed by the built-in box parser in faad2_isobmff.js. mp4box is
+ * an optional alternative, loaded only when `demuxer: 'mp4box'` is requested.
+ */
+
+export const DEMUXER = {
+  BUILTIN: 'builtin',
+  MP4BOX: 'mp4box',
+}
+
+// MPEG-4 Audio objectTypeIndication in the DecoderConfigDescriptor
+const OTI_MPEG4_AUDIO = 0x40
+const OTI_MPEG2_AAC = [0x66, 0x67, 0x68]
+
+const ES_DESCRIPTOR_DECODER_CONFIG = 4
+const ES_DESCRIPTOR_DECODER_SPECIFIC = 5
+
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk)
+  throw new TypeError('Expected Uint8Array, ArrayBuffer or ArrayBufferView chunks')
+}
+
+/**
+ * Collect an MP4 input into one byte array
+ * @param {Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable<Uint8Array>} input
+ * @returns {Promise<Uint8Array>}
+ */
+async function readInput(input) {
+  if (input instanceof Uint8Array || ArrayBuffer.isView(input) || input instanceof ArrayBuffer) {
+    return toBytes(input)
+  }
+  if (typeof input?.arrayBuffer === 'function') {
+    return new Uint8Array(await input.arrayBuffer())
+  }
+
+  const chunks = []
+  let length = 0
+  const source = typeof input?.getReader === 'function' ? readerIterable(input) : input
+  for await (const chunk of source) {
+    const bytes = toBytes(chunk)
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  const data = new Uint8Array(length)
+  let offset = 0
+  for (const chunk of chunks) {
+    data.set(chunk, offset)
+    offset += chunk.length
+  }
+  return data
+}
+
+async function* readerIterable(stream) {
+  const reader = stream.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) return
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+function isAAC(objectTypeIndication) {
+  return objectTypeIndication === OTI_MPEG4_AUDIO || OTI_MPEG2_AAC.includes(objectTypeIndication)
+}
+
+/**
+ * Parse a complete file with mp4box into the same shape as parseMovie()
+ * @param {Uint8Array} data
+ * @returns {Promise<Object>}
+ */
+async function parseWithMp4box(data) {
+  let createFile
+  try {
+    ({ createFile } = await import('mp4box'))
+  } catch (err) {
+    throw new Error(`The mp4box demuxer needs the optional 'mp4box' package: ${err.message}`)
+  }
+
+  const file = createFile()
+  let info = null
+  let error = null
+  file.onReady = (readyInfo) => { info = readyInfo }
+  file.onError = (module, message) => { error = message || module }
+
+  // mp4box wants an ArrayBuffer that starts at the first byte of the file
+  const buffer = data.byteOffset === 0 && data.byteLength === data.buffer.byteLength
+    ? data.buffer
+    : new Uint8Array(data).buffer
+  buffer.fileStart = 0
+  file.appendBuffer(buffer)
+  file.flush()
+
+  if (error) {
+    throw new Error(`Failed to parse MP4: ${error}`)
+  }
+  if (!info) {
+    throw new Error('Failed to parse MP4: no moov box found')
+  }
+
+  return {
+    brands: { major: info.brands[0], compatible: info.brands.slice(1) },
+    fragmented: Boolean(info.isFragmented),
+    timescale: info.timescale,
+    iTunSMPB: null,
+    tracks: info.tracks.map((trackInfo) => {
+      const trak = file.getTrackById(trackInfo.id)
+      const decoderConfig = trak.mdia.minf.stbl.stsd.entries[0]?.esds?.esd?.findDescriptor(ES_DESCRIPTOR_DECODER_CONFIG)
+      const specificInfo = decoderConfig?.findDescriptor(ES_DESCRIPTOR_DECODER_SPECIFIC)
+
+      return {
+        id: trackInfo.id,
+        type: trackInfo.type,
+        handler: trak.mdia.hdlr.handler,
+        codec: trackInfo.codec,
+        language: trackInfo.language,
+        timescale: trackInfo.timescale,
+        duration: trackInfo.duration,
+        sampleRate: trackInfo.audio?.sample_rate || 0,
+        channels: trackInfo.audio?.channel_count || 0,
+        objectTypeIndication: decoderConfig ? decoderConfig.oti : 0,
+        asc: specificInfo?.data ? new Uint8Array(specificInfo.data) : null,
+        encrypted: trak.mdia.minf.stbl.stsd.entries[0]?.type === 'enca',
+        edits: (trak.edts?.elst?.entries || []).map((entry) => ({
+          segmentDuration: entry.segment_duration,
+          mediaTime: entry.media_time,
+          mediaRate: entry.media_rate_integer + entry.media_rate_fraction / 0x10000,
+        })),
+        iTunSMPB: null,
+        rollDistance: null,
+        samples: trak.samples.map((sample) => ({
+          offset: sample.offset,
+          size: sample.size,
+          dts: sample.dts,
+          cts: sample.cts,
+          duration: sample.duration,
+          isSync: sample.is_sync,
+        })),
+      }
+    }),
+  }
+}
+
+function toMicroseconds(value, timescale) {
+  return Math.round((value * 1e6) / timescale)
+}
+
+/**
+ * Encoder priming and padding of a track, from the first non-empty edit, iTunSMPB or the 'roll' sample group
+ * @param {Object} movieTrack - Track from parseMovie()
+ * @param {Object} movie
+ * @returns {Object|null} - { encoderDelay, paddingSamples, sampleCount, timescale, source } with sample counts in the
+ *   media timescale; sampleCount is null when the length is not known
+ */
+function readGapless(movieTrack, movie) {
+  const edit = movieTrack.edits.find((entry) => entry.mediaTime >= 0)
+  const mediaDuration = movieTrack.samples.reduce((sum, sample) => sum + sample.duration, 0)
+  const { timescale } = movieTrack
+
+  if (edit && edit.mediaTime > 0) {
+    // A zero segment duration (common in fragmented files) presents the rest of the media
+    const presented = edit.segmentDuration && movie.timescale
+      ? Math.round((edit.segmentDuration * timescale) / movie.timescale)
+      : mediaDuration - edit.mediaTime
+    return {
+      encoderDelay: edit.mediaTime,
+      paddingSamples: Math.max(0, mediaDuration - edit.mediaTime - presented),
+      sampleCount: Math.min(presented, mediaDuration - edit.mediaTime),
+      timescale,
+      source: 'elst',
+    }
+  }
+
+  const smpb = movieTrack.iTunSMPB || movie.iTunSMPB
+  if (smpb) {
+    return {
+      encoderDelay: smpb.encoderDelay,
+      paddingSamples: smpb.paddingSamples,
+      sampleCount: smpb.sampleCount || null,
+      timescale,
+      source: 'iTunSMPB',
+    }
+  }
+
+  // Audio pre-roll: the first -rollDistance frames only prime the decoder
+  const frameDuration = movieTrack.samples.length ? movieTrack.samples[0].duration : 0
+  if (movieTrack.rollDistance < 0 && frameDuration) {
+    return { encoderDelay: -movieTrack.rollDistance * frameDuration, paddingSamples: 0, sampleCount: null, timescale, source: 'roll' }
+  }
+  return null
+}
+
+/**
+ * Presentation time of media time 0: leading empty edits delay it, priming moves it earlier
+ * @returns {number} - Microseconds
+ */
+function presentationOffset(movieTrack, movie, gapless) {
+  let emptyDuration = 0
+  for (const edit of movieTrack.edits) {
+    if (edit.mediaTime >= 0) break
+    emptyDuration += edit.segmentDuration
+  }
+
+  const delay = gapless ? toMicroseconds(gapless.encoderDelay, gapless.timescale) : 0
+  return (movie.timescale ? toMicroseconds(emptyDuration, movie.timescale) : 0) - delay
+}
+
+/**
+ * One AAC track of an MP4 file.
+ *
+ * Samples are views into the file bytes, indexed in decode order. Use
+ * findSample() to map a time to the sample that contains it.
+ */
+export class Mp4AudioSource {
+  /**
+   * Read and parse an MP4 file and select an AAC track
+   * @param {Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable<Uint8Array>} input - Progressive or fragmented MP4 bytes
+   * @param {Object} [options]
+   * @param {number} [options.trackIndex=0] - Index among the file's AAC tracks
+   * @param {string} [options.language] - ISO 639-2 language code, e.g. 'eng'; takes precedence over trackIndex
+   * @param {number} [options.trackId] - Track ID from tkhd; takes precedence over language and trackIndex
+   * @param {string} [options.demuxer='builtin'] - 'builtin' or 'mp4box' (needs the optional mp4box package)
+   * @returns {Promise<Mp4AudioSource>}
+   */
+  static async open(input, { demuxer = DEMUXER.BUILTIN, ...options } = {}) {
+    const data = toBytes(await readInput(input))
+    if (demuxer === DEMUXER.MP4BOX) {
+      return new Mp4AudioSource(data, { ...options, movie: await parseWithMp4box(data) })
+    }
+    if (demuxer !== DEMUXER.BUILTIN) {
+      throw new Error(`Unknown MP4 demuxer: ${demuxer}`)
+    }
+    return new Mp4AudioSource(data, options)
+  }
+
+  /**
+   * @param {Uint8Array} data - Complete MP4 file
+   * @param {Object} [options] - Track selection as for Mp4AudioSource.open(), plus:
+   * @param {Object} [options.movie] - Already parsed movie in the shape of parseMovie(); parsed with the built-in parser if omitted
+   */
+  constructor(data, { trackIndex = 0, language, trackId, movie } = {}) {
+    this.data = toBytes(data)
+
+    movie = movie || parseMovie(this.data)
+    this.brands = movie.brands
+    this.fragmented = movie.fragmented
+    this.tracks = this._listTracks(movie)
+
+    if (!this.tracks.length) {
+      throw new Error('No AAC audio track found in MP4')
+    }
+
+    let track
+    if (trackId !== undefined) {
+      track = this.tracks.find((t) => t.id === trackId)
+      if (!track) throw new Error(`No AAC audio track with ID ${trackId}`)
+    } else if (language !== undefined) {
+      track = this.tracks.find((t) => t.language === language)
+      if (!track) throw new Error(`No AAC audio track with language '${language}'`)
+    } else {
+      track = this.tracks[trackIndex]
+      if (!track) throw new Error(`AAC audio track index ${trackIndex} out of range (${this.tracks.length} tracks)`)
+    }
+
+    const movieTrack = movie.tracks.find((t) => t.id === track.id)
+    // The samples are ciphertext; FAAD2 would only produce errors or noise
+    if (movieTrack.encrypted) {
+      throw new Error(`AAC audio track ${track.id} is encrypted (enca); encrypted tracks are not supported`)
+    }
+    movieTrack.edits ||= []
+    this.track = track
+    this.asc = track.asc
+    this.gapless = readGapless(movieTrack, movie)
+    this.samples = this._buildSampleTable(movieTrack, track.timescale, presentationOffset(movieTrack, movie, this.gapless))
+  }
+
+  _listTracks(movie) {
+    const tracks = []
+    for (const movieTrack of movie.tracks) {
+      if (movieTrack.type !== 'audio') continue
+      if (!isAAC(movieTrack.objectTypeIndication) || !movieTrack.asc || movieTrack.asc.length < 2) continue
+
+      tracks.push({
+        index: tracks.length,
+        id: movieTrack.id,
+        codec: movieTrack.codec,
+        language: movieTrack.language,
+        timescale: movieTrack.timescale,
+        sampleRate: movieTrack.sampleRate || movieTrack.timescale,
+        channels: movieTrack.channels,
+        sampleCount: movieTrack.samples.length,
+        duration: movieTrack.duration,
+        durationUs: toMicroseconds(movieTrack.duration, movieTrack.timescale),
+        asc: movieTrack.asc,
+      })
+    }
+    return tracks
+  }
+
+  _buildSampleTable(movieTrack, timescale, offsetUs) {
+    return movieTrack.samples.map((sample, index) => ({
+      index,
+      offset: sample.offset,
+      size: sample.size,
+      dts: sample.dts,
+      cts: sample.cts,
+      duration: sample.duration,
+      isSync: sample.isSync,
+      timestamp: toMicroseconds(sample.cts, timescale) + offsetUs,
+      durationUs: toMicroseconds(sample.duration, timescale),
+    }))
+  }
+
+  /**
+   * Bytes of one sample (an AAC access unit)
+   * @param {number} index - Sample index
+   * @returns {Uint8Array}
+   */
+  readSample(index) {
+    const sample = this.samples[index]
+    if (!sample) {
+      throw new RangeError(`Sample index ${index} out of range (${this.samples.length} samples)`)
+    }
+    if (sample.offset + sample.size > this.data.length) {
+      throw new Error(`Sample ${index} extends past the end of the file`)
+    }
+    return this.data.subarray(sample.offset, sample.offset + sample.size)
+  }
+
+  /**
+   * Index of the sample that contains a presentation time
+   * @param {number} timeUs - Time in microseconds
+   * @returns {number} - Sample index, clamped to the table
+   */
+  findSample(timeUs) {
+    const samples = this.samples
+    let low = 0
+    let high = samples.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (samples[mid].timestamp <= timeUs) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+    return low
+  }
+
+  /**
+   * Iterate samples in decode order
+   * @param {number} [start=0] - First sample index
+   * @returns {Generator<Object>} - { data, index, timestamp, duration } with times in microseconds
+   */
+  * readSamples(start = 0) {
+    for (let i = start; i < this.samples.length; i++) {
+      const { timestamp, durationUs } = this.samples[i]
+      yield { data: this.readSample(i), index: i, timestamp, duration: durationUs }
+    }
+  }
+}
+
+/**
+ * Decode the AAC track of an MP4 file
+ *
+ * @example
+ * for await (const frame of decodeMp4(await readFile('song.m4a'))) {
+ *   console.log(frame.timestamp, frame.samplesPerChannel)
+ * }
+ *
+ * @param {Uint8Array|ArrayBuffer|Blob|ReadableStream|AsyncIterable<Uint8Array>|Mp4AudioSource} input - MP4 bytes or an opened source
+ * @param {Object} [options] - Track selection as for Mp4AudioSource.open(), plus:
+ * @param {Object} [options.decoder] - Decoder to use; by default a FAAD2NodeDecoder is created and destroyed here
+ * @param {string} [options.channelOrder] - Passed to FAAD2NodeDecoder
+ * @param {string} [options.errorPolicy] - Passed to FAAD2NodeDecoder
+ * @param {boolean|Object} [options.gapless=true] - Trim encoder priming and padding found in the file (source.gapless);
+ *   false keeps them, an object { encoderDelay, paddingSamples, ... } overrides them (see faad2_gapless.js)
+ * @param {number} [options.start] - Presentation time in µs to start at; decoding begins with the sample that
+ *   contains it, after a seek with pre-roll (see FAAD2NodeDecoder.seek())
+ * @returns {AsyncGenerator<Object>} - Decoded frames with timestamp and duration (µs) and sampleIndex
+ */
+export async function* decodeMp4(input, options = {}) {
+  const { decoder: providedDecoder, channelOrder, errorPolicy, gapless = true, start, ...trackOptions } = options
+  const source = input instanceof Mp4AudioSource ? input : await Mp4AudioSource.open(input, trackOptions)
+
+  let decoder = providedDecoder
+  if (!decoder) {
+    const { default: FAAD2NodeDecoder } = await import('./faad2_node_decoder.js')
+    decoder = new FAAD2NodeDecoder({ channelOrder, errorPolicy })
+  }
+
+  try {
+    await decoder.ready
+    await decoder.configure(source.asc, false, gapless === true ? source.gapless || {} : gapless || {})
+
+    const first = start === undefined ? 0 : decoder.seek(source.findSample(start)).startFrame
+    for (const sample of source.readSamples(first)) {
+      const result = decoder.decode(sample.data, { timestamp: sample.timestamp })
+      if (!result) continue
+
+      result.sampleIndex = sample.index
+      yield result
+    }
+
+    const rest = decoder.flush()
+    if (rest) yield rest
+  } finally {
+    if (!providedDecoder) {
+      decoder.destroy()
+    }
+  }
+}
+
+export default decodeMp4
@@ -0,0 +1,391 @@
+import { ADTSParser } from './faad2_adts.js'
+import { LOASParser } from './faad2_latm.js'
+
+/**
+ * MPEG-2 transport stream demuxing for AAC audio (e.g. HLS .ts segments,
+ * DVB and IPTV recordings).
+ *
+ * TSDemuxer reads PAT and PMT, picks an AAC elementary stream (ADTS or
+ * LOAS/LATM), reassembles its PES packets and splits the payload into
+ * frames. The PES PTS is attached to the first frame that starts in that
+ * PES. decodeMpegTS() decodes those frames and stamps every result with a
+ * timestamp in microseconds.
+ */
+
+export const TS_PACKET_SIZE = 188
+const TS_SYNC_BYTE = 0x47
+
+const PAT_PID = 0x0000
+const NULL_PID = 0x1FFF
+
+export const STREAM_TYPE = {
+  ADTS: 0x0F,
+  LATM: 0x11,
+}
+
+const PTS_CLOCK = 90000
+const PTS_WRAP = 2 ** 33
+
+/**
+ * Convert a 90 kHz PTS to microseconds
+ * @param {number} pts
+ * @returns {number}
+ */
+export function ptsToMicroseconds(pts) {
+  return Math.round((pts * 1e6) / PTS_CLOCK)
+}
+
+function readPTS(data, offset) {
+  return (
+    ((data[offset] >> 1) & 0x07) * 2 ** 30 +
+    ((data[offset + 1] << 7) | (data[offset + 2] >> 1)) * 2 ** 15 +
+    ((data[offset + 3] << 7) | (data[offset + 4] >> 1))
+  )
+}
+
+/**
+ * Streaming transport stream demuxer for one AAC elementary stream.
+ *
+ * PSI sections (PAT/PMT) must fit in a single TS packet, which holds for
+ * practically every broadcast and HLS stream.
+ */
+export class TSDemuxer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pid] - Elementary stream PID to extract; by default the first AAC stream in the PMT
+   */
+  constructor({ pid } = {}) {
+    this.requestedPid = pid
+    this.reset()
+  }
+
+  reset() {
+    this.buffer = new Uint8Array(0)
+    this.pmtPids = new Set()
+    this.streams = []
+    this.pid = null
+    this.streamType = null
+    this.parser = null
+    this.pes = null
+    this.pesQueue = []
+    this.continuity = -1
+    this.lastPts = null
+    this.byteOffset = 0
+    this.skippedBytes = 0
+  }
+
+  /**
+   * Add transport stream bytes and return every frame completed by them
+   * @param {Uint8Array} chunk - Any number of bytes
+   * @returns {Object[]} - Frames as { data, pid, streamType, pts, timestamp }; pts and timestamp are null
+   *   for frames that do not start a PES packet
+   */
+  push(chunk) {
+    let data = chunk
+    if (this.buffer.length) {
+      data = new Uint8Array(this.buffer.length + chunk.length)
+      data.set(this.buffer, 0)
+      data.set(chunk, this.buffer.length)
+    }
+
+    const frames = []
+    let pos = 0
+    while (pos + TS_PACKET_SIZE <= data.length) {
+      if (data[pos] !== TS_SYNC_BYTE) {
+        pos++
+        this.skippedBytes++
+        continue
+      }
+      this._readPacket(data.subarray(pos, pos + TS_PACKET_SIZE), frames)
+      pos += TS_PACKET_SIZE
+    }
+
+    this.buffer = new Uint8Array(data.subarray(pos))
+    return frames
+  }
+
+  /**
+   * Return the frames of the last PES packet at end of stream
+   * @returns {Object[]}
+   */
+  flush() {
+    const frames = []
+    this._finishPES(frames)
+    if (this.parser) {
+      this._collectFrames(this.parser.flush(), frames)
+    }
+    this.skippedBytes += this.buffer.length
+    this.buffer = new Uint8Array(0)
+    return frames
+  }
+
+  _readPacket(packet, frames) {
+    const payloadStart = (packet[1] & 0x40) !== 0
+    const pid = ((packet[1] & 0x1F) << 8) | packet[2]
+    const adaptationControl = (packet[3] >> 4) & 0x03
+    const continuity = packet[3] & 0x0F
+
+    if (pid === NULL_PID || !(adaptationControl & 0x01)) return
+
+    let offset = 4
+    if (adaptationControl & 0x02) {
+      offset += 1 + packet[4]
+    }
+    if (offset >= TS_PACKET_SIZE) return
+    const payload = packet.subarray(offset)
+
+    if (pid === PAT_PID) {
+      if (payloadStart) this._readPAT(payload)
+    } else if (this.pmtPids.has(pid)) {
+      if (payloadStart) this._readPMT(payload)
+    } else if (pid === this.pid) {
+      this._readPES(payload, payloadStart, continuity, frames)
+    }
+  }
+
+  /**
+   * Start of the section after the pointer_field, or -1 if it does not fit the packet
+   */
+  _sectionStart(payload) {
+    const start = 1 + payload[0]
+    if (start + 3 > payload.length) return -1
+    const sectionLength = ((payload[start + 1] & 0x0F) << 8) | payload[start + 2]
+    return start + 3 + sectionLength <= payload.length ? start : -1
+  }
+
+  _readPAT(payload) {
+    const start = this._sectionStart(payload)
+    if (start < 0) return
+
+    const sectionLength = ((payload[start + 1] & 0x0F) << 8) | payload[start + 2]
+    // 8 bytes of header before the program loop, 4 bytes of CRC after it
+    const end = start + 3 + sectionLength - 4
+    for (let pos = start + 8; pos + 4 <= end; pos += 4) {
+      const program = (payload[pos] << 8) | payload[pos + 1]
+      const pmtPid = ((payload[pos + 2] & 0x1F) << 8) | payload[pos + 3]
+      if (program !== 0) this.pmtPids.add(pmtPid)
+    }
+  }
+
+  _readPMT(payload) {
+    const start = this._sectionStart(payload)
+    if (start < 0) return
+
+    const sectionLength = ((payload[start + 1] & 0x0F) << 8) | payload[start + 2]
+    const end = start + 3 + sectionLength - 4
+    const programInfoLength = ((payload[start + 10] & 0x0F) << 8) | payload[start + 11]
+
+    for (let pos = start + 12 + programInfoLength; pos + 5 <= end;) {
+      const streamType = payload[pos]
+      const pid = ((payload[pos + 1] & 0x1F) << 8) | payload[pos + 2]
+      const infoLength = ((payload[pos + 3] & 0x0F) << 8) | payload[pos + 4]
+      if (!this.streams.some((stream) => stream.pid === pid)) {
+        this.streams.push({ pid, streamType })
+      }
+      pos += 5 + infoLength
+    }
+
+    if (this.pid === null) this._selectStream()
+  }
+
+  _selectStream() {
+    const isAAC = (stream) => stream.streamType === STREAM_TYPE.ADTS || stream.streamType === STREAM_TYPE.LATM
+    const stream = this.requestedPid !== undefined
+      ? this.streams.find((s) => s.pid === this.requestedPid)
+      : this.streams.find(isAAC)
+    if (!stream) return
+
+    if (!isAAC(stream)) {
+      throw new Error(`PID ${stream.pid} has stream type 0x${stream.streamType.toString(16)}, not AAC`)
+    }
+    this.pid = stream.pid
+    this.streamType = stream.streamType
+    this.parser = stream.streamType === STREAM_TYPE.LATM ? new LOASParser() : new ADTSParser()
+  }
+
+  _readPES(payload, payloadStart, continuity, frames) {
+    const duplicate = continuity === this.continuity
+    const discontinuity = this.continuity >= 0 && !duplicate && continuity !== ((this.continuity + 1) & 0x0F)
+    this.continuity = continuity
+
+    // A repeated packet carries the same payload again
+    if (duplicate) return
+
+    if (discontinuity) {
+      // Lost packets: drop the incomplete PES and any partial frame
+      this.pes = null
+      this.parser.reset()
+      this.pesQueue = []
+      this.byteOffset = 0
+    }
+
+    if (payloadStart) {
+      this._finishPES(frames)
+      this.pes = { chunks: [], length: 0 }
+    }
+
+    if (!this.pes) return
+    this.pes.chunks.push(new Uint8Array(payload))
+    this.pes.length += payload.length
+  }
+
+  _finishPES(frames) {
+    const pes = this.pes
+    this.pes = null
+    if (!pes || !pes.length) return
+
+    const data = new Uint8Array(pes.length)
+    let offset = 0
+    for (const chunk of pes.chunks) {
+      data.set(chunk, offset)
+      offset += chunk.length
+    }
+
+    // packet_start_code_prefix, stream_id, PES_packet_length
+    if (data.length < 9 || data[0] !== 0x00 || data[1] !== 0x00 || data[2] !== 0x01) return
+
+    const headerLength = 9 + data[8]
+    let pts = null
+    if ((data[7] & 0x80) && data.length >= 14) {
+      pts = this._unwrapPTS(readPTS(data, 9))
+    }
+
+    const packetLength = (data[4] << 8) | data[5]
+    if (packetLength && 6 + packetLength > data.length) return
+    const end = packetLength ? 6 + packetLength : data.length
+    if (headerLength >= end) return
+
+    if (pts !== null) {
+      this.pesQueue.push({ offset: this.byteOffset, pts })
+    }
+    const elementary = data.subarray(headerLength, end)
+    this.byteOffset += elementary.length
+    this._collectFrames(this.parser.push(elementary), frames)
+  }
+
+  _unwrapPTS(pts) {
+    if (this.lastPts !== null) {
+      const base = this.lastPts - (this.lastPts % PTS_WRAP)
+      pts += base
+      if (pts < this.lastPts - PTS_WRAP / 2) pts += PTS_WRAP
+      else if (pts > this.lastPts + PTS_WRAP / 2) pts -= PTS_WRAP
+    }
+    this.lastPts = pts
+    return pts
+  }
+
+  _collectFrames(parsed, frames) {
+    for (const frame of parsed) {
+      let pts = null
+      // A PTS belongs to the first frame that starts in its PES packet
+      while (this.pesQueue.length && this.pesQueue[0].offset <= frame.offset) {
+        pts = this.pesQueue.shift().pts
+      }
+      frames.push({
+        data: frame.data,
+        pid: this.pid,
+        streamType: this.streamType,
+        pts,
+        timestamp: pts === null ? null : ptsToMicroseconds(pts),
+      })
+    }
+  }
+}
+
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk)
+  throw new TypeError('Expected Uint8Array, ArrayBuffer or ArrayBufferView chunks')
+}
+
+async function* readChunks(input) {
+  if (input instanceof Uint8Array || ArrayBuffer.isView(input) || input instanceof ArrayBuffer) {
+    yield toBytes(input)
+    return
+  }
+  if (typeof input.getReader !== 'function') {
+    for await (const chunk of input) yield toBytes(chunk)
+    return
+  }
+
+  const reader = input.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) return
+      yield toBytes(value)
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Decode the AAC audio of an MPEG transport stream
+ *
+ * Every result gets `timestamp` and `duration` in microseconds. Frames
+ * without their own PTS continue from the previous result.
+ *
+ * @example
+ * for await (const frame of decodeMpegTS(createReadStream('segment.ts'))) {
+ *   console.log(frame.timestamp, frame.samplesPerChannel)
+ * }
+ *
+ * @param {Uint8Array|ArrayBuffer|ReadableStream|AsyncIterable<Uint8Array>} input - Transport stream bytes
+ * @param {Object} [options]
+ * @param {number} [options.pid] - Elementary stream PID; by default the first AAC stream in the PMT
+ * @param {Object} [options.decoder] - Decoder to use; by default a FAAD2NodeDecoder is created and destroyed here
+ * @param {string} [options.channelOrder] - Passed to FAAD2NodeDecoder
+ * @param {string} [options.errorPolicy] - Passed to FAAD2NodeDecoder
+ * @param {Object} [options.gapless] - { encoderDelay, paddingSamples } to trim, see faad2_gapless.js
+ * @returns {AsyncGenerator<Object>} - Decoded frames with timestamp, duration and pts
+ */
+export async function* decodeMpegTS(input, options = {}) {
+  const { pid, decoder: providedDecoder, channelOrder, errorPolicy, gapless = {} } = options
+  const demuxer = new TSDemuxer({ pid })
+
+  let decoder = providedDecoder
+  if (!decoder) {
+    const { default: FAAD2NodeDecoder } = await import('./faad2_node_decoder.js')
+    decoder = new FAAD2NodeDecoder({ channelOrder, errorPolicy })
+  }
+
+  const decodeFrames = async function* (frames) {
+    for (const frame of frames) {
+      if (!decoder.initialized) {
+        await decoder.ready
+        try {
+          await decoder.configure(frame.data, { autoDetect: true, ...gapless })
+        } catch (err) {
+          // LOAS frames before the first StreamMuxConfig cannot configure the decoder
+          if (demuxer.streamType === STREAM_TYPE.LATM) continue
+          throw err
+        }
+      }
+
+      const result = decoder.decode(frame.data, { timestamp: frame.timestamp })
+      if (!result) continue
+
+      result.pts = frame.pts
+      yield result
+    }
+  }
+
+  try {
+    for await (const chunk of readChunks(input)) {
+      yield* decodeFrames(demuxer.push(chunk))
+    }
+    yield* decodeFrames(demuxer.flush())
+
+    // Output held back for gapless padding
+    const rest = decoder.initialized ? decoder.flush() : null
+    if (rest) yield rest
+  } finally {
+    if (!providedDecoder) {
+      decoder.destroy()
+    }
+  }
+}
+
+export default decodeMpegTS
@@ -1,6 +1,27 @@
 import { readFile } from 'node:fs/promises'
 import { fileURLToPath } from 'node:url'
 import { dirname, join } from 'node:path'
+import { DecoderHeap } from './faad2_heap.js'
+import { parseADTSHeader } from './faad2_adts.js'
+import { fromADTSHeader, parseAudioSpecificConfig } from './faad2_asc.js'
+import { LATMDemuxer, isLOASSync } from './faad2_latm.js'
+import { ERROR_POLICY, checkErrorPolicy, createDecodeError } from './faad2_errors.js'
+import { CHANNEL_ORDER, getChannelLayout, getChannelMap, reorderInterleaved } from './faad2_channels.js'
+import { checkDecoderOptions, getOutputFormat, initNativeDecoder } from './faad2_options.js'
+import {
+  PCM_FORMAT,
+  checkPCMFormat,
+  checkTarget,
+  convertPCM,
+  createDitherSource,
+  fillSilence,
+  formatForTarget,
+  nativePCMFormat,
+  silence,
+  writePCM,
+} from './faad2_pcm.js'
+import { OutputClock, accessUnitAt } from './faad2_timing.js'
+import { GaplessTrimmer, checkGaplessOptions } from './faad2_gapless.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -13,68 +34,118 @@ try {
   throw new Error(`Failed to load FAAD2 WASM module: ${err.message}`)
 }
 
-const SAMPLE_RATE = {
-  1: 8000,
-  2: 16000,
-  3: 22050,
-  4: 32000,
-  5: 44100,
-  6: 48000,
-  7: 64000,
-  8: 88200,
-  9: 96000,
+let modulePromise = null
+
+/**
+ * Load the WASM module once and share it between decoder instances.
+ * Every instance owns its own native decoder handle inside this module.
+ * @returns {Promise<Object>} - Emscripten module
+ */
+function loadModule() {
+  if (!modulePromise) {
+    modulePromise = readFile(join(__dirname, 'faad2_wasm.wasm'))
+      .then((wasmBinary) => Faad2ModuleFactory({ wasmBinary }))
+      .catch((err) => {
+        modulePromise = null
+        throw err
+      })
+  }
+  return modulePromise
 }
 
 class FAAD2NodeDecoder {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.channelOrder='wav'] - 'wav' (L R C LFE ...) or 'faad' (C L R ...), see faad2_channels.js
+   * @param {string} [options.errorPolicy='throw'] - 'throw', 'skip' or 'silence' for frames FAAD2 rejects
+   */
+  constructor({ channelOrder = CHANNEL_ORDER.WAV, errorPolicy = ERROR_POLICY.THROW } = {}) {
+    if (!Object.values(CHANNEL_ORDER).includes(channelOrder)) {
+      throw new Error(`Unknown channel order: ${channelOrder}`)
+    }
+    this.channelOrder = channelOrder
+    this.errorPolicy = checkErrorPolicy(errorPolicy)
     this.module = null
+    this.handle = 0
     this.initialized = false
+    this.closed = false
+    this._handleConfigured = false
+    this._asc = null
+    // Configured from a LOAS frame: frames are AudioMuxElements to demux
+    this._loas = false
+    this._latm = null
+    this.options = checkDecoderOptions()
+    this._random = createDitherSource()
+    this._clock = new OutputClock()
+    this._trimmer = null
+    this._discard = 0
+    this._heap = null
+    this._intoInfo = {}
     this.sampleRate = 0
     this.channels = 0
+    this.samplesPerChannel = 0
     this.ready = this._init()
   }
 
   async _init() {
     if (!this.module) {
-      const wasmPath = join(__dirname, 'faad2_wasm.wasm')
-      const wasmBinary = await readFile(wasmPath)
-      
-      this.module = await Faad2ModuleFactory({
-        wasmBinary,
-      })
+      this.module = await loadModule()
+    }
+
+    if (!this.handle && !this.closed) {
+      this._heap = new DecoderHeap(this.module)
+      this._openHandle()
+    }
+  }
+
+  _openHandle() {
+    this.handle = this.module._open_decoder()
+    if (!this.handle) {
+      throw new Error('Failed to open FAAD2 decoder')
+    }
+  }
+
+  _closeHandle() {
+    if (this.handle) {
+      this.module._close_decoder(this.handle)
+      this.handle = 0
+    }
+  }
+
+  _assertOpen() {
+    if (this.closed) {
+      throw new Error('Decoder is closed')
     }
   }
 
   /**
    * Automatically detects AudioSpecificConfig (ASC) from first AAC frame
-   * @param {Buffer} aacData - Raw AAC data or ADTS
-   * @returns {Buffer} - Extracted AudioSpecificConfig
+   * @param {Buffer} aacData - ASC, ADTS frame or LOAS frame
+   * @returns {Uint8Array} - Extracted AudioSpecificConfig
    */
   _extractASC(aacData) {
-    // Check for ADTS header (syncword 0xFFF)
-    if (aacData.length >= 7) {
-      const syncword = (aacData[0] << 4) | (aacData[1] >> 4)
-      if (syncword === 0xFFF) {
-        // ADTS frame detected - extract ASC from header
-        const profile = ((aacData[2] >> 6) & 0x03) + 1
-        const sampleRateIndex = (aacData[2] >> 2) & 0x0F
-        const channelConfig = ((aacData[2] & 0x01) << 2) | ((aacData[3] >> 6) & 0x03)
-        
-        // Build ASC (2 bytes)
-        const asc = Buffer.alloc(2)
-        asc[0] = (profile << 3) | (sampleRateIndex >> 1)
-        asc[1] = ((sampleRateIndex & 0x01) << 7) | (channelConfig << 3)
-        
-        return asc
+    // LOAS/LATM frame (syncword 0x2B7) - take the ASC from its StreamMuxConfig
+    if (isLOASSync(aacData)) {
+      const mux = new LATMDemuxer().parse(aacData)
+      if (!mux) {
+        throw new Error('LOAS frame has no StreamMuxConfig; configure from a frame that carries one or pass the ASC')
       }
+      return mux.asc
     }
-    
-    // If not ADTS, assume first bytes are ASC
-    if (aacData.length >= 2) {
-      return aacData.slice(0, 2)
+
+    // ADTS frame (syncword 0xFFF) - build the ASC from the header
+    const header = parseADTSHeader(aacData)
+    if (header) {
+      return fromADTSHeader(header)
+    }
+
+    // Otherwise the data starts with the ASC itself
+    try {
+      const config = parseAudioSpecificConfig(aacData)
+      return aacData.subarray(0, Math.ceil(config.bitLength / 8))
+    } catch (err) {
+      throw new Error(`Unable to extract AudioSpecificConfig: ${err.message}`)
     }
-    
-    throw new Error('Unable to extract AudioSpecificConfig')
   }
 
   /**
@@ -83,13 +154,9 @@ class FAAD2NodeDecoder {
    * @returns {Buffer} - Raw AAC data without header
    */
   _stripADTS(aacData) {
-    if (aacData.length >= 7) {
-      const syncword = (aacData[0] << 4) | (aacData[1] >> 4)
-      if (syncword === 0xFFF) {
-        const protectionAbsent = (aacData[1] & 0x01)
-        const headerSize = protectionAbsent ? 7 : 9
-        return aacData.slice(headerSize)
-      }
+    const header = parseADTSHeader(aacData)
+    if (header) {
+      return aacData.subarray(header.headerSize, header.frameLength)
     }
     return aacData
   }
@@ -97,146 +164,728 @@ class FAAD2NodeDecoder {
   /**
    * Initialize decoder with ASC (can be provided or auto-detected)
    * @param {Buffer} ascOrFirstFrame - ASC or first AAC frame
-   * @param {boolean} autoDetect - If true, attempts to auto-detect ASC
+   * @param {boolean|Object} [autoDetect=true] - If true, attempts to auto-detect ASC; may be replaced by the options object
+   * @param {Object} [options] - FAAD2 options, see checkDecoderOptions() in faad2_options.js, and the gapless
+   *   options encoderDelay, paddingSamples, sampleCount and timescale, see checkGaplessOptions() in faad2_gapless.js
    */
-  async configure(ascOrFirstFrame, autoDetect = true) {
+  async configure(ascOrFirstFrame, autoDetect = true, options = {}) {
+    if (typeof autoDetect === 'object' && autoDetect !== null) {
+      options = autoDetect
+      autoDetect = options.autoDetect ?? true
+    }
+
+    this._assertOpen()
+    const checked = checkDecoderOptions(options)
+    const gapless = checkGaplessOptions(options)
     await this.ready
-    
+    this._assertOpen()
+
     let asc
+    let loas = false
     if (autoDetect && ascOrFirstFrame.length > 2) {
       // Try to extract ASC automatically
       asc = this._extractASC(ascOrFirstFrame)
+      loas = isLOASSync(ascOrFirstFrame)
     } else {
       // Use provided ASC directly
       asc = ascOrFirstFrame
     }
 
-    const ascPtr = this.module._malloc(asc.length)
-    this.module.HEAPU8.set(asc, ascPtr)
+    this._loas = loas
+    this._latm = null
+    this.options = checked
+    this._trimmer = gapless && new GaplessTrimmer(gapless)
+    this._discard = 0
+    this._resetTiming()
+    this._initDecoder(asc)
+  }
+
+  _resetTiming() {
+    if (this._trimmer) {
+      this._trimmer.reset()
+      this._clock.reset(...this._trimmer.clockStart)
+    } else {
+      this._clock.reset()
+    }
+  }
+
+  /**
+   * Record access units that produced no output
+   * @param {number|null} timestamp - Input timestamp of the (first) unit
+   * @param {number} [units=1]
+   */
+  _hold(timestamp, units = 1) {
+    this._clock.hold(timestamp, units)
+    if (this._trimmer) this._trimmer.hold(units)
+  }
+
+  /**
+   * Initialize the native decoder with an ASC
+   * @param {Uint8Array} asc - AudioSpecificConfig
+   */
+  _initDecoder(asc) {
+    // FAAD2 cannot re-initialize a handle that has already been configured,
+    // so reconfiguring swaps in a fresh one and frees the old one.
+    if (this._handleConfigured) {
+      this.initialized = false
+      this._closeHandle()
+      this._openHandle()
+      this._handleConfigured = false
+    }
 
-    const result = this.module._init_decoder(ascPtr, asc.length)
-    this.module._free(ascPtr)
+    const result = initNativeDecoder(this.module, this.handle, asc, this.options)
+    this._handleConfigured = true
 
     if (result < 0) {
       throw new Error('Failed to initialize FAAD2 decoder')
     }
 
+    this._asc = asc
     this.initialized = true
   }
 
   /**
    * Decode AAC frame
-   * @param {Buffer} frameData - AAC frame (with or without ADTS header)
-   * @returns {Object} - { pcm: Float32Array, sampleRate: number, channels: number, samplesPerChannel: number }
+   * @param {Buffer} frameData - AAC frame: raw, ADTS, or LOAS/LATM when configured from a LOAS frame
+   * @param {Object} [options]
+   * @param {string} [options.format] - Output layout, one of PCM_FORMAT (see faad2_pcm.js); defaults to the
+   *   interleaved native output of the configured outputFormat
+   * @param {boolean} [options.dither=false] - Add TPDF dither when converting to 16 bits
+   * @param {number} [options.timestamp] - Presentation time of the frame in µs; continues from the previous output when absent
+   * @returns {Object|null} - { pcm, format: string, sampleRate: number, channels: number, channelLayout: string[], samplesPerChannel: number,
+   *   timestamp: number, duration: number, frameInfo: Object }, with channelData (one array per channel) in place of pcm for planar
+   *   formats, or null when the frame produced no output. timestamp and duration are in µs (see faad2_timing.js). With gapless
+   *   trimming, the output may belong to an earlier frame (see faad2_gapless.js) and flush() returns the rest.
+   * @throws {FAAD2DecodeError} - When FAAD2 rejects the frame and errorPolicy is 'throw'
    */
-  decode(frameData) {
+  decode(frameData, { format = null, dither = false, timestamp = null } = {}) {
+    this._assertOpen()
     if (!this.module || !this.initialized) {
       throw new Error('Decoder not initialized. Call configure() first.')
     }
+    if (format !== null) checkPCMFormat(format)
 
-    // Remove ADTS header if present
-    const rawAAC = this._stripADTS(frameData)
+    const output = { format, random: dither ? this._random : null, timestamp }
+    const results = this._loas
+      ? this._decodeLATM(frameData, output)
+      : [this._decodeRaw(this._stripADTS(frameData), output)] // Remove ADTS header if present
 
-    const inputLength = rawAAC.length
-    const pad = 64
-    const inPtr = this.module._malloc(inputLength + pad)
-    this.module.HEAPU8.set(rawAAC, inPtr)
-    this.module.HEAPU8.fill(0, inPtr + inputLength, inPtr + inputLength + pad)
+    // Several subframes in one AudioMuxElement come back as one result
+    return joinResults(this._trim(results))
+  }
 
-    const maxFrames = 2048 * 2
-    const maxChannels = 2
-    const maxSamples = maxFrames * maxChannels
-    const outputSize = maxSamples * Float32Array.BYTES_PER_ELEMENT
-    const outPtr = this.module._malloc(outputSize)
+  /**
+   * End of the stream: the output held back by gapless trimming, without the
+   * padding. Without gapless settings nothing is held back.
+   * @returns {Object|null} - A decode() result, or null
+   */
+  flush() {
+    this._assertOpen()
+    if (!this._trimmer) return null
+    return joinResults(this._trimmer.flush().map(({ block, start, end }) => sliceResult(block, start, end)))
+  }
 
-    const packed = this.module._decode_frame(inPtr, rawAAC.length, outPtr, outputSize)
-    this.module._free(inPtr)
+  /**
+   * Apply gapless trimming
+   * @param {Array<Object|null>} results - Decoded results in output order
+   * @returns {Object[]} - Results ready for output
+   */
+  _trim(results) {
+    const ready = []
+    for (const result of results) {
+      if (!result) continue
+      if (!this._trimmer) {
+        ready.push(result)
+        continue
+      }
+      for (const { block, start, end } of this._trimmer.push(result, result.samplesPerChannel, result.sampleRate)) {
+        ready.push(sliceResult(block, start, end))
+      }
+    }
+    return ready
+  }
 
-    if (packed <= 0) {
-      this.module._free(outPtr)
-      return null
+  /**
+   * Decode a LOAS frame, following in-band StreamMuxConfig changes
+   * @param {Buffer} frameData - LOAS frame including its sync header
+   * @param {Object} output - { format, random, timestamp } as set up by decode()
+   * @returns {Array<Object|null>} - Result of every subframe
+   */
+  _decodeLATM(frameData, output) {
+    if (!this._latm) {
+      this._latm = new LATMDemuxer()
     }
 
-    const samplerateIndex = (packed >>> 28) & 0xf
-    const numChannels = (packed >>> 24) & 0xf
-    const samples = packed & 0xffffff
-    const samplerate = SAMPLE_RATE[samplerateIndex] || 0
+    const mux = this._latm.parse(frameData)
+    if (!mux) return []
 
-    this.sampleRate = samplerate
-    this.channels = numChannels
+    if (mux.configChanged && !sameBytes(mux.asc, this._asc)) {
+      this._initDecoder(mux.asc)
+    }
+
+    return mux.payloads.map((payload) => this._decodeRaw(payload, output))
+  }
+
+  /**
+   * Decode one raw AAC access unit
+   * @param {Uint8Array} rawAAC
+   * @param {Object} output - { format, random, timestamp } as set up by decode(); the timestamp is used up here
+   * @returns {Object|null}
+   */
+  _decodeRaw(rawAAC, output) {
+    const { format, random, timestamp } = output
+    output.timestamp = null
+
+    const info = {}
+    const samples = this._decodeFrame(rawAAC, info)
+    if (samples <= 0) {
+      const silent = samples < 0 ? this._handleDecodeError(createDecodeError(this.module, samples, info), format) : null
+      if (!silent) {
+        this._hold(timestamp)
+        return null
+      }
+      return Object.assign(silent, this._clock.stamp(silent.samplesPerChannel, silent.sampleRate, timestamp))
+    }
 
-    const numFrames = samples / numChannels
+    const numChannels = info.channels
 
-    // Return interleaved Float32 PCM
-    const pcm = new Float32Array(this.module.HEAPU8.buffer, outPtr, samples).slice()
-    
-    this.module._free(outPtr)
+    // Read the PCM straight out of the heap in the requested channel order and format
+    const { ArrayType } = getOutputFormat(this.options.outputFormat)
+    const raw = this._heap.output(ArrayType).subarray(0, samples)
+    const channelMap = getChannelMap(numChannels, this.channelOrder)
+    const pcm = format
+      ? convertPCM(raw, this.options.outputFormat, numChannels, channelMap, format, random)
+      : { pcm: channelMap ? reorderInterleaved(raw, numChannels, channelMap) : raw.slice() }
 
     return {
-      pcm,
-      sampleRate: samplerate,
+      ...pcm,
+      format: format || nativePCMFormat(this.options.outputFormat),
+      sampleRate: info.sampleRate,
       channels: numChannels,
-      samplesPerChannel: numFrames,
+      channelLayout: getChannelLayout(numChannels, this.channelOrder),
+      samplesPerChannel: this.samplesPerChannel,
+      ...this._clock.stamp(this.samplesPerChannel, info.sampleRate, timestamp),
+      frameInfo: info,
     }
   }
 
   /**
-   * Decode and convert to PCM Int16 (compatible with most Node.js audio libraries)
-   * @param {Buffer} frameData - AAC frame
-   * @returns {Object} - { pcm: Int16Array, sampleRate: number, channels: number, samplesPerChannel: number }
+   * Run FAAD2 on one raw access unit, leaving the PCM in the heap output buffer
+   * @param {Uint8Array} rawAAC
+   * @param {Object} info - Filled in with the frame info
+   * @returns {number} - Samples over all channels, 0 without output, or a negative decode_frame() status
    */
-  decodeInt16(frameData) {
-    const result = this.decode(frameData)
-    if (!result) return null
+  _decodeFrame(rawAAC, info) {
+    const { ArrayType } = getOutputFormat(this.options.outputFormat)
+    const samples = this._heap.decode(this.handle, rawAAC, ArrayType.BYTES_PER_ELEMENT)
+    this._heap.readInfo(info)
+
+    if (samples > 0) {
+      this.sampleRate = info.sampleRate
+      this.channels = info.channels
+      this.samplesPerChannel = samples / info.channels
+
+      // Pre-roll after a seek: the output still overlaps the old position
+      if (this._discard) {
+        this._discard--
+        return 0
+      }
+    }
+    return samples
+  }
 
-    const pcmInt16 = new Int16Array(result.pcm.length)
-    for (let i = 0; i < result.pcm.length; i++) {
-      pcmInt16[i] = Math.max(-1, Math.min(1, result.pcm[i])) * 32767
+  /**
+   * Decode many frames with as few native calls as possible. Access units go
+   * to decode_batch() together and come back as one contiguous PCM block.
+   *
+   * @param {Buffer[]|Uint8Array} frames - AAC frames (raw, ADTS, or LOAS/LATM when configured from a LOAS frame), or one buffer holding them back to back
+   * @param {number[]} [offsets] - With a single buffer: start of every frame; each frame ends where the next starts
+   * @param {Object} [options] - format and dither as for decode(); planar formats are not supported. timestamp (µs)
+   *   applies to the first frame, the others continue from it
+   * @returns {Object|null} - { pcm, format, sampleRate, channels, channelLayout, samplesPerChannel, timestamp, duration, frames },
+   *   where frames lists { offset, samplesPerChannel, sampleRate, channels, timestamp, duration, frameInfo } for every frame
+   *   with output (offset is the index of its first sample in pcm), or null when no frame produced output
+   * @throws {FAAD2DecodeError} - When FAAD2 rejects a frame and errorPolicy is 'throw'; the output of the
+   *   frames before it is discarded
+   */
+  decodeBatch(frames, offsets, options) {
+    if (!Array.isArray(offsets)) {
+      options = offsets
+      offsets = null
     }
+    const { format = null, dither = false, timestamp = null } = options || {}
 
+    this._assertOpen()
+    if (!this.module || !this.initialized) {
+      throw new Error('Decoder not initialized. Call configure() first.')
+    }
+    if (format !== null && checkPCMFormat(format).endsWith('-planar')) {
+      throw new Error(`decodeBatch() does not support planar format ${format}`)
+    }
+
+    if (offsets) {
+      const data = frames
+      frames = offsets.map((start, i) => data.subarray(start, i + 1 < offsets.length ? offsets[i + 1] : data.length))
+    }
+
+    const output = { format, random: dither ? this._random : null, timestamp, parts: [], frames: [], length: 0 }
+    let units = []
+    for (const frame of frames) {
+      if (!this._loas) {
+        units.push(this._stripADTS(frame))
+        continue
+      }
+
+      if (!this._latm) {
+        this._latm = new LATMDemuxer()
+      }
+      const mux = this._latm.parse(frame)
+      if (!mux) continue
+      if (mux.configChanged && !sameBytes(mux.asc, this._asc)) {
+        // Decode what came before the new config with the old one
+        this._decodeUnits(units, output)
+        units = []
+        this._initDecoder(mux.asc)
+      }
+      units.push(...mux.payloads)
+    }
+    this._decodeUnits(units, output)
+
+    if (!output.frames.length) return null
+    const last = output.frames[output.frames.length - 1]
     return {
-      pcm: pcmInt16,
-      sampleRate: result.sampleRate,
-      channels: result.channels,
-      samplesPerChannel: result.samplesPerChannel,
+      pcm: concat(output.parts),
+      format: format || nativePCMFormat(this.options.outputFormat),
+      sampleRate: last.sampleRate,
+      channels: last.channels,
+      channelLayout: getChannelLayout(last.channels, this.channelOrder),
+      samplesPerChannel: output.frames.reduce((sum, frame) => sum + frame.samplesPerChannel, 0),
+      timestamp: output.frames[0].timestamp,
+      duration: output.frames.reduce((sum, frame) => sum + frame.duration, 0),
+      frames: output.frames,
     }
   }
 
+  /**
+   * Decode raw access units with decode_batch() and append them to output
+   * @param {Uint8Array[]} units
+   * @param {Object} output - Accumulator set up by decodeBatch()
+   */
+  _decodeUnits(units, output) {
+    if (!units.length) return
+
+    const { format, random } = output
+    const { ArrayType } = getOutputFormat(this.options.outputFormat)
+    const stopOnError = this.errorPolicy === ERROR_POLICY.THROW
+    this._heap.loadBatch(units)
+
+    for (let start = 0; start < units.length;) {
+      const processed = this._heap.decodeBatch(this.handle, start, ArrayType.BYTES_PER_ELEMENT, stopOnError)
+      if (!processed) {
+        throw new Error('decode_batch() made no progress')
+      }
+
+      const raw = this._heap.output(ArrayType)
+      let position = 0
+      for (let i = start; i < start + processed; i++) {
+        const { status, info } = this._heap.readBatchResult(i)
+        const { timestamp } = output
+        output.timestamp = null
+
+        let pcm
+        if (status < 0) {
+          const silent = this._handleDecodeError(createDecodeError(this.module, status, info), format)
+          if (!silent) {
+            this._hold(timestamp)
+            continue
+          }
+          pcm = silent.pcm
+        } else if (status > 0) {
+          this.sampleRate = info.sampleRate
+          this.channels = info.channels
+          this.samplesPerChannel = status / info.channels
+          if (this._discard) {
+            this._discard--
+            position += status
+            this._hold(timestamp)
+            continue
+          }
+
+          const src = raw.subarray(position, position + status)
+          const channelMap = getChannelMap(info.channels, this.channelOrder)
+          position += status
+          pcm = format
+            ? convertPCM(src, this.options.outputFormat, info.channels, channelMap, format, random).pcm
+            : channelMap ? reorderInterleaved(src, info.channels, channelMap) : src.slice()
+        } else {
+          this._hold(timestamp)
+          continue
+        }
+
+        const result = {
+          pcm,
+          format: format || nativePCMFormat(this.options.outputFormat),
+          sampleRate: this.sampleRate,
+          channels: this.channels,
+          channelLayout: getChannelLayout(this.channels, this.channelOrder),
+          samplesPerChannel: this.samplesPerChannel,
+          ...this._clock.stamp(this.samplesPerChannel, this.sampleRate, timestamp),
+          frameInfo: info,
+        }
+        for (const { pcm, samplesPerChannel, sampleRate, channels, timestamp, duration, frameInfo } of this._trim([result])) {
+          output.frames.push({ offset: output.length, samplesPerChannel, sampleRate, channels, timestamp, duration, frameInfo })
+          output.parts.push(pcm)
+          output.length += pcm.length
+        }
+      }
+      start += processed
+    }
+  }
+
+  /**
+   * Decode a frame into caller-provided arrays without allocating per frame.
+   *
+   * LOAS frames carrying several subframes are written back to back.
+   *
+   * @param {Buffer} frameData - AAC frame: raw, ADTS, or LOAS/LATM when configured from a LOAS frame
+   * @param {TypedArray|TypedArray[]} target - Interleaved Float32Array, Int16Array or Int32Array, or one
+   *   Float32Array or Int16Array per channel for planar output
+   * @param {Object} [options]
+   * @param {string} [options.format] - PCM_FORMAT to write, inferred from the target by default ('s24' needs it)
+   * @param {boolean} [options.dither=false] - Add TPDF dither when converting to 16 bits
+   * @param {number} [options.offset=0] - First sample frame (per channel) to write in target
+   * @param {number} [options.timestamp] - Presentation time of the frame in µs, as for decode()
+   * @returns {Object|null} - Frame info of the last decoded frame, with samples set to the total written over all
+   *   channels and timestamp and duration (µs) of the output, or null when the frame produced no output. The object
+   *   is reused by the next decodeInto() call.
+   * @throws {RangeError} - When target is too small; the frame is consumed
+   * @throws {FAAD2DecodeError} - When FAAD2 rejects the frame and errorPolicy is 'throw'
+   * @throws {Error} - When gapless padding would have to be held back (paddingSamples without sampleCount)
+   */
+  decodeInto(frameData, target, { format = null, dither = false, offset = 0, timestamp = null } = {}) {
+    this._assertOpen()
+    if (!this.module || !this.initialized) {
+      throw new Error('Decoder not initialized. Call configure() first.')
+    }
+    if (this._trimmer && this._trimmer.holdsBack) {
+      throw new Error('decodeInto() cannot hold back gapless padding; configure sampleCount or use decode()')
+    }
+    format = format === null ? formatForTarget(target) : checkPCMFormat(format)
+    const random = dither ? this._random : null
+    const info = this._intoInfo
+
+    if (!this._loas) {
+      const frames = this._decodeRawInto(this._stripADTS(frameData), target, offset, format, random, info, timestamp)
+      return frames ? info : null
+    }
+
+    if (!this._latm) {
+      this._latm = new LATMDemuxer()
+    }
+    const mux = this._latm.parse(frameData)
+    if (!mux) return null
+    if (mux.configChanged && !sameBytes(mux.asc, this._asc)) {
+      this._initDecoder(mux.asc)
+    }
+
+    let written = 0
+    const timing = { timestamp: null, duration: 0 }
+    for (const payload of mux.payloads) {
+      const frames = this._decodeRawInto(payload, target, offset + written, format, random, info, timestamp)
+      timestamp = null
+      if (!frames) continue
+      if (!written) timing.timestamp = info.timestamp
+      timing.duration += info.duration
+      written += frames
+    }
+    if (!written) return null
+    info.samples = written * info.channels
+    return Object.assign(info, timing)
+  }
+
+  /**
+   * Decode one raw AAC access unit into target, setting timestamp and duration in info
+   * @returns {number} - Sample frames written
+   */
+  _decodeRawInto(rawAAC, target, offset, format, random, info, timestamp) {
+    const samples = this._decodeFrame(rawAAC, info)
+    if (samples < 0) {
+      const err = createDecodeError(this.module, samples, info)
+      if (this.errorPolicy === ERROR_POLICY.THROW) throw err
+      // Nothing to model the silence on before the first good frame
+      if (this.errorPolicy === ERROR_POLICY.SKIP || !this.channels || !this.samplesPerChannel) {
+        this._hold(timestamp)
+        return 0
+      }
+
+      checkTarget(format, target, this.channels, offset + this.samplesPerChannel)
+      fillSilence(target, format, this.channels, offset, this.samplesPerChannel)
+      info.samples = this.samplesPerChannel * this.channels
+      info.sampleRate = this.sampleRate
+      info.channels = this.channels
+      Object.assign(info, this._clock.stamp(this.samplesPerChannel, this.sampleRate, timestamp))
+      return this._trimInto(target, offset, this.samplesPerChannel, info)
+    }
+    if (!samples) {
+      this._hold(timestamp)
+      return 0
+    }
+
+    const channels = info.channels
+    const frames = samples / channels
+    checkTarget(format, target, channels, offset + frames)
+
+    const { ArrayType } = getOutputFormat(this.options.outputFormat)
+    const channelMap = getChannelMap(channels, this.channelOrder)
+    writePCM(this._heap.output(ArrayType), samples, this.options.outputFormat, channels, channelMap, format, target, offset, random)
+    Object.assign(info, this._clock.stamp(frames, info.sampleRate, timestamp))
+    return this._trimInto(target, offset, frames, info)
+  }
+
+  /**
+   * Apply gapless trimming to sample frames just written to target, moving the kept ones to offset
+   * @returns {number} - Sample frames kept
+   */
+  _trimInto(target, offset, frames, info) {
+    if (!this._trimmer) return frames
+
+    const [kept] = this._trimmer.push(null, frames, info.sampleRate)
+    if (!kept) return 0
+    const { start, end } = kept
+    if (start) {
+      const planes = Array.isArray(target) ? target : null
+      if (planes) {
+        for (const plane of planes) plane.copyWithin(offset, offset + start, offset + end)
+      } else {
+        target.copyWithin(offset * info.channels, (offset + start) * info.channels, (offset + end) * info.channels)
+      }
+    }
+    info.samples = (end - start) * info.channels
+    Object.assign(info, trimTiming(info, frames, start, end))
+    return end - start
+  }
+
+  /**
+   * Apply the error policy to a failed frame
+   * @param {FAAD2DecodeError} err
+   * @param {string|null} format - Requested PCM format
+   * @returns {Object|null} - Silent frame, or null when skipping
+   */
+  _handleDecodeError(err, format) {
+    switch (this.errorPolicy) {
+      case ERROR_POLICY.SKIP:
+        return null
+      case ERROR_POLICY.SILENCE: {
+        // Nothing to model the silence on before the first good frame
+        if (!this.channels || !this.samplesPerChannel) return null
+        const pcm = format
+          ? silence(format, this.channels, this.samplesPerChannel)
+          : { pcm: new (getOutputFormat(this.options.outputFormat).ArrayType)(this.samplesPerChannel * this.channels) }
+        return {
+          ...pcm,
+          format: format || nativePCMFormat(this.options.outputFormat),
+          sampleRate: this.sampleRate,
+          channels: this.channels,
+          channelLayout: getChannelLayout(this.channels, this.channelOrder),
+          samplesPerChannel: this.samplesPerChannel,
+          frameInfo: err.frameInfo,
+        }
+      }
+      default:
+        throw err
+    }
+  }
+
+  /**
+   * Decode to interleaved Int16 PCM (compatible with most Node.js audio libraries)
+   * @param {Buffer} frameData - AAC frame
+   * @param {Object} [options]
+   * @param {boolean} [options.dither=false] - Add TPDF dither, see decode()
+   * @returns {Object|null} - decode() result with pcm as Int16Array
+   */
+  decodeInt16(frameData, { dither = false } = {}) {
+    return this.decode(frameData, { format: PCM_FORMAT.S16, dither })
+  }
+
   /**
    * Decode and return PCM separated by channel
    * @param {Buffer} frameData - AAC frame
-   * @returns {Object} - { channelData: Float32Array[], sampleRate: number, channels: number }
+   * @returns {Object|null} - decode() result with channelData: Float32Array[] in channelLayout order
    */
   decodePlanar(frameData) {
-    const result = this.decode(frameData)
-    if (!result) return null
-
-    const channelData = []
-    for (let ch = 0; ch < result.channels; ch++) {
-      const channelSamples = new Float32Array(result.samplesPerChannel)
-      for (let i = 0; i < result.samplesPerChannel; i++) {
-        channelSamples[i] = result.pcm[i * result.channels + ch]
-      }
-      channelData.push(channelSamples)
+    return this.decode(frameData, { format: PCM_FORMAT.F32_PLANAR })
+  }
+
+  /**
+   * Continue decoding at another access unit, e.g. when scrubbing. FAAD2's
+   * SBR state is reset with NeAACDecPostSeekReset, and timestamps,
+   * gapless trimming and FAAD2's frame count continue from the new position.
+   *
+   * The first output after a jump still overlaps audio of the old position.
+   * With preRoll, the access unit before the target is decoded first and its
+   * output dropped, so the target comes out clean. Feed access units from the
+   * returned startFrame on, e.g. from Mp4AudioSource.readSamples(startFrame)
+   * or the ADTSParser frames of the file.
+   *
+   * @param {number|Object} position - Index of the target access unit, or { timeUs }: a time on the output
+   *   timeline of a decoder fed from the start without input timestamps (see accessUnitAt() in faad2_timing.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.preRoll=true] - Decode and drop the access unit before the target
+   * @returns {Object} - { frameIndex, startFrame }: the target access unit and the first one to feed
+   */
+  seek(position, { preRoll = true } = {}) {
+    this._assertOpen()
+    if (!this.module || !this.initialized) {
+      throw new Error('Decoder not initialized. Call configure() first.')
     }
 
-    return {
-      channelData,
-      sampleRate: result.sampleRate,
-      channels: result.channels,
+    const frameIndex = typeof position === 'number' ? position : this._frameAt(position && position.timeUs)
+    if (!Number.isInteger(frameIndex) || frameIndex < 0) {
+      throw new RangeError(`Invalid seek position: ${JSON.stringify(position)}`)
     }
+    const startFrame = preRoll ? Math.max(0, frameIndex - 1) : frameIndex
+
+    // At index 0 FAAD2 withholds the output itself, as after configure()
+    this.module._post_seek_reset(this.handle, startFrame)
+    this._discard = startFrame > 0 && startFrame < frameIndex ? 1 : 0
+    this._resetTiming()
+    this._hold(null, startFrame)
+    return { frameIndex, startFrame }
   }
 
+  /**
+   * Access unit at a time on the output timeline
+   * @param {number} timeUs
+   * @returns {number}
+   */
+  _frameAt(timeUs) {
+    if (typeof timeUs !== 'number' || Number.isNaN(timeUs)) return NaN
+
+    const config = parseAudioSpecificConfig(this._asc)
+    const sampleRate = this.sampleRate || config.extensionSamplingFrequency || config.samplingFrequency
+    return accessUnitAt(timeUs, config, this._trimmer ? -this._trimmer.delayUs(sampleRate) : 0)
+  }
+
+  /**
+   * Return to the start of the stream without reconfiguring: FAAD2 is reset
+   * as for a seek to the first access unit, and timestamps and gapless
+   * trimming start over.
+   */
   reset() {
-    this.initialized = false
-    this.sampleRate = 0
-    this.channels = 0
+    this._assertOpen()
+    if (this.initialized) {
+      this.module._post_seek_reset(this.handle, 0)
+    }
+    this._discard = 0
+    this._resetTiming()
   }
 
+  /**
+   * Release the native decoder. The instance cannot be used afterwards;
+   * further configure() and decode() calls throw.
+   */
   destroy() {
-    this.reset()
-    // Note: WASM module doesn't require manual destruction
+    if (this.closed) return
+
+    this.initialized = false
+    this._latm = null
+    this.closed = true
+    if (this.module) {
+      this._closeHandle()
+    }
+    if (this._heap) {
+      this._heap.free()
+      this._heap = null
+    }
+  }
+
+  close() {
+    this.destroy()
+  }
+}
+
+/**
+ * Join results that follow each other into one
+ * @param {Object[]} results
+ * @returns {Object|null}
+ */
+function joinResults(results) {
+  if (results.length <= 1) return results[0] || null
+
+  const last = results[results.length - 1]
+  const timing = {
+    samplesPerChannel: results.reduce((sum, result) => sum + result.samplesPerChannel, 0),
+    timestamp: results[0].timestamp,
+    duration: results.reduce((sum, result) => sum + result.duration, 0),
+  }
+  if (last.channelData) {
+    const channelData = last.channelData.map((plane, ch) => concat(results.map((result) => result.channelData[ch])))
+    return { ...last, channelData, ...timing }
+  }
+  return { ...last, pcm: concat(results.map((result) => result.pcm)), ...timing }
+}
+
+/**
+ * Keep sample frames start to end of a result
+ * @returns {Object}
+ */
+function sliceResult(result, start, end) {
+  const { samplesPerChannel, channels } = result
+  if (start === 0 && end === samplesPerChannel) return result
+
+  const pcm = result.channelData
+    ? { channelData: result.channelData.map((plane) => plane.subarray(start, end)) }
+    : { pcm: result.pcm.subarray(start * channels, end * channels) }
+  return { ...result, ...pcm, samplesPerChannel: end - start, ...trimTiming(result, samplesPerChannel, start, end) }
+}
+
+/**
+ * Timing of the part start to end of a block of output
+ * @param {Object} block - { timestamp, duration, sampleRate }
+ * @param {number} samplesPerChannel - Length of the whole block
+ * @returns {Object} - { timestamp, duration }
+ */
+function trimTiming({ timestamp, duration, sampleRate }, samplesPerChannel, start, end) {
+  const startUs = timestamp + Math.round((start * 1e6) / sampleRate)
+  const endUs = end === samplesPerChannel ? timestamp + duration : timestamp + Math.round((end * 1e6) / sampleRate)
+  return { timestamp: startUs, duration: endUs - startUs }
+}
+
+function concat(arrays) {
+  const out = new arrays[0].constructor(arrays.reduce((sum, array) => sum + array.length, 0))
+  let offset = 0
+  for (const array of arrays) {
+    out.set(array, offset)
+    offset += array.length
+  }
+  return out
+}
+
+function sameBytes(a, b) {
+  if (!a || !b || a.length !== b.length) return false
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false
+  }
+  return true
+}
+
+if (Symbol.dispose) {
+  FAAD2NodeDecoder.prototype[Symbol.dispose] = function () {
+    this.destroy()
+  }
+}
+
+if (Symbol.asyncDispose) {
+  FAAD2NodeDecoder.prototype[Symbol.asyncDispose] = async function () {
+    await this.ready.catch(() => {})
+    this.destroy()
   }
 }
 
+export { FAAD2DecodeError } from './faad2_errors.js'
+export { ADTSParser, parseADTSHeader } from './faad2_adts.js'
+export { OUTPUT_FORMAT } from './faad2_options.js'
+export { PCM_FORMAT } from './faad2_pcm.js'
+export { LOASParser, LATMDemuxer } from './faad2_latm.js'
+export { fromCodecString, parseAudioSpecificConfig, serializeAudioSpecificConfig } from './faad2_asc.js'
 export default FAAD2NodeDecoder
@@ -0,0 +1,127 @@
+import { Transform } from 'node:stream'
+import FAAD2NodeDecoder from './faad2_node_decoder.js'
+import { createTransportParser } from './faad2_latm.js'
+import { PCM_FORMAT } from './faad2_pcm.js'
+
+const PCM_FORMATS = {
+  s16le: { bitsPerSample: 16, float: false, format: PCM_FORMAT.S16 },
+  f32le: { bitsPerSample: 32, float: true, format: PCM_FORMAT.F32 },
+}
+
+/**
+ * Transform stream that turns AAC bytes into interleaved PCM.
+ *
+ * ADTS or LOAS/LATM input may be split at any byte boundary and configures
+ * the decoder from its first frame. Raw AAC needs the `asc` option and every
+ * written chunk must then be exactly one access unit.
+ *
+ * Emits 'format' with { sampleRate, channels, channelLayout, format, bitsPerSample }
+ * before the first PCM chunk and again whenever the stream format changes.
+ */
+export class FAAD2DecodeStream extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.format='s16le'] - Output sample format: 's16le' or 'f32le'
+   * @param {boolean} [options.dither=false] - Add TPDF dither to 's16le' output
+   * @param {Buffer} [options.asc] - AudioSpecificConfig for raw (non-ADTS) input
+   * @param {Object} [options.gapless] - { encoderDelay, paddingSamples } to trim, see faad2_gapless.js
+   * @param {FAAD2NodeDecoder} [options.decoder] - Decoder to use instead of creating one; it is not destroyed with the stream
+   * @param {string} [options.channelOrder] - Passed to FAAD2NodeDecoder
+   * @param {string} [options.errorPolicy] - Passed to FAAD2NodeDecoder
+   */
+  constructor({ format = 's16le', dither = false, asc, gapless = {}, decoder, channelOrder, errorPolicy, ...streamOptions } = {}) {
+    super(streamOptions)
+
+    if (!PCM_FORMATS[format]) {
+      throw new Error(`Unsupported PCM format: ${format}`)
+    }
+
+    this.format = format
+    this.dither = dither
+    this.asc = asc
+    this.gapless = gapless
+    this.ownsDecoder = !decoder
+    this.decoder = decoder || new FAAD2NodeDecoder({ channelOrder, errorPolicy })
+    this.parser = null
+    this.outputFormat = null
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._decodeFrames(this._splitFrames(chunk)).then(() => callback(), callback)
+  }
+
+  _splitFrames(chunk) {
+    if (this.asc) return [chunk]
+    if (!this.parser) {
+      this.parser = createTransportParser(chunk)
+    }
+    return this.parser.push(chunk).map((frame) => frame.data)
+  }
+
+  _flush(callback) {
+    const frames = this.parser ? this.parser.flush().map((frame) => frame.data) : []
+    this._decodeFrames(frames)
+      .then(() => {
+        // Output held back for gapless padding
+        if (this.decoder.initialized) this._pushResult(this.decoder.flush())
+      })
+      .then(() => callback(), callback)
+  }
+
+  _destroy(err, callback) {
+    if (this.ownsDecoder) {
+      this.decoder.destroy()
+    }
+    callback(err)
+  }
+
+  async _decodeFrames(frames) {
+    if (!frames.length) return
+
+    if (!this.decoder.initialized) {
+      await this.decoder.ready
+      if (this.asc) {
+        await this.decoder.configure(this.asc, { autoDetect: false, ...this.gapless })
+      } else {
+        await this.decoder.configure(frames[0], { autoDetect: true, ...this.gapless })
+      }
+    }
+
+    for (const frame of frames) {
+      this._pushResult(this.decoder.decode(frame, { format: PCM_FORMATS[this.format].format, dither: this.dither }))
+    }
+  }
+
+  _pushResult(result) {
+    if (!result) return
+
+    this._updateFormat(result)
+    const { pcm } = result
+    this.push(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength))
+  }
+
+  _updateFormat({ sampleRate, channels, channelLayout }) {
+    const current = this.outputFormat
+    if (current && current.sampleRate === sampleRate && current.channels === channels) return
+
+    this.outputFormat = {
+      sampleRate,
+      channels,
+      channelLayout,
+      format: this.format,
+      bitsPerSample: PCM_FORMATS[this.format].bitsPerSample,
+    }
+    this.emit('format', this.outputFormat)
+  }
+}
+
+/**
+ * Create an AAC to PCM transform stream
+ * @param {Object} [options] - See FAAD2DecodeStream
+ * @returns {FAAD2DecodeStream}
+ */
+export function createDecodeStream(options) {
+  return new FAAD2DecodeStream(options)
+}
+
+export default createDecodeStream
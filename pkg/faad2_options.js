@@ -0,0 +1,103 @@
+/**
+ * NeAACDecConfiguration options that configure() passes to init_decoder()
+ * (see src/faad2_wasm.c).
+ */
+
+/**
+ * Sample formats FAAD2 can output natively (FAAD_FMT_*). '24bit' samples are
+ * stored in 32-bit words with 24-bit range.
+ */
+export const OUTPUT_FORMAT = {
+  INT16: '16bit',
+  INT24: '24bit',
+  INT32: '32bit',
+  FLOAT: 'float',
+  DOUBLE: 'double',
+}
+
+// FAAD_FMT_* code, typed array and full-scale value for every output format
+const FORMATS = {
+  [OUTPUT_FORMAT.INT16]: { code: 1, ArrayType: Int16Array, scale: 0x8000 },
+  [OUTPUT_FORMAT.INT24]: { code: 2, ArrayType: Int32Array, scale: 0x800000 },
+  [OUTPUT_FORMAT.INT32]: { code: 3, ArrayType: Int32Array, scale: 0x80000000 },
+  [OUTPUT_FORMAT.FLOAT]: { code: 4, ArrayType: Float32Array, scale: 1 },
+  [OUTPUT_FORMAT.DOUBLE]: { code: 5, ArrayType: Float64Array, scale: 1 },
+}
+
+export const DEFAULT_DECODER_OPTIONS = Object.freeze({
+  outputFormat: OUTPUT_FORMAT.FLOAT,
+  defSampleRate: 48000,
+  defObjectType: 2,
+  downMatrix: false,
+  useOldADTSFormat: false,
+  dontUpSampleImplicitSBR: false,
+})
+
+const BOOLEAN_OPTIONS = ['downMatrix', 'useOldADTSFormat', 'dontUpSampleImplicitSBR']
+
+/**
+ * Validate decoder options and fill in the defaults
+ * @param {Object} [options]
+ * @param {string} [options.outputFormat='float'] - One of OUTPUT_FORMAT
+ * @param {number} [options.defSampleRate=48000] - Sample rate FAAD2 assumes when the stream does not specify one
+ * @param {number} [options.defObjectType=2] - Object type FAAD2 assumes when the stream does not specify one
+ * @param {boolean} [options.downMatrix=false] - Downmix 5.1 to stereo
+ * @param {boolean} [options.useOldADTSFormat=false] - Accept ADTS headers with the old 58-bit layout
+ * @param {boolean} [options.dontUpSampleImplicitSBR=false] - Output implicitly signaled HE-AAC at the core rate
+ * @returns {Object} - Complete options
+ */
+export function checkDecoderOptions(options = {}) {
+  const checked = { ...DEFAULT_DECODER_OPTIONS }
+  for (const key of Object.keys(DEFAULT_DECODER_OPTIONS)) {
+    if (options[key] !== undefined) checked[key] = options[key]
+  }
+
+  if (!FORMATS[checked.outputFormat]) {
+    throw new Error(`Unknown output format: ${checked.outputFormat}`)
+  }
+  if (!Number.isInteger(checked.defSampleRate) || checked.defSampleRate <= 0) {
+    throw new Error(`Invalid defSampleRate: ${checked.defSampleRate}`)
+  }
+  if (!Number.isInteger(checked.defObjectType) || checked.defObjectType <= 0) {
+    throw new Error(`Invalid defObjectType: ${checked.defObjectType}`)
+  }
+  for (const key of BOOLEAN_OPTIONS) {
+    checked[key] = Boolean(checked[key])
+  }
+  return checked
+}
+
+/**
+ * @param {string} outputFormat - One of OUTPUT_FORMAT
+ * @returns {Object} - { code, ArrayType, scale }
+ */
+export function getOutputFormat(outputFormat) {
+  return FORMATS[outputFormat]
+}
+
+/**
+ * Initialize a native decoder handle
+ * @param {Object} module - Emscripten module
+ * @param {number} handle - Handle from open_decoder()
+ * @param {Uint8Array} asc - AudioSpecificConfig
+ * @param {Object} options - Options from checkDecoderOptions()
+ * @returns {number} - init_decoder() result, negative on failure
+ */
+export function initNativeDecoder(module, handle, asc, options) {
+  const ascPtr = module._malloc(asc.length)
+  module.HEAPU8.set(asc, ascPtr)
+
+  const result = module._init_decoder(
+    handle,
+    ascPtr,
+    asc.length,
+    FORMATS[options.outputFormat].code,
+    options.defSampleRate,
+    options.defObjectType,
+    options.downMatrix ? 1 : 0,
+    options.useOldADTSFormat ? 1 : 0,
+    options.dontUpSampleImplicitSBR ? 1 : 0
+  )
+  module._free(ascPtr)
+  return result
+}
@@ -0,0 +1,226 @@
+import { OUTPUT_FORMAT, getOutputFormat } from './faad2_options.js'
+
+/**
+ * PCM layouts decode() can return, and the conversion from FAAD2's native
+ * output straight out of the WASM heap into them.
+ *
+ * Interleaved formats fill `pcm`, planar formats fill `channelData` with one
+ * array per channel. 's24' samples use 24-bit range in an Int32Array, like
+ * FAAD2's '24bit' output format.
+ */
+
+export const PCM_FORMAT = {
+  F32: 'f32',
+  F32_PLANAR: 'f32-planar',
+  S16: 's16',
+  S16_PLANAR: 's16-planar',
+  S24: 's24',
+  S32: 's32',
+}
+
+const FORMATS = {
+  [PCM_FORMAT.F32]: { ArrayType: Float32Array, scale: 1, planar: false },
+  [PCM_FORMAT.F32_PLANAR]: { ArrayType: Float32Array, scale: 1, planar: true },
+  [PCM_FORMAT.S16]: { ArrayType: Int16Array, scale: 0x8000, planar: false },
+  [PCM_FORMAT.S16_PLANAR]: { ArrayType: Int16Array, scale: 0x8000, planar: true },
+  [PCM_FORMAT.S24]: { ArrayType: Int32Array, scale: 0x800000, planar: false },
+  [PCM_FORMAT.S32]: { ArrayType: Int32Array, scale: 0x80000000, planar: false },
+}
+
+// Format name of FAAD2's native output for every outputFormat option
+const NATIVE_FORMATS = {
+  [OUTPUT_FORMAT.INT16]: PCM_FORMAT.S16,
+  [OUTPUT_FORMAT.INT24]: PCM_FORMAT.S24,
+  [OUTPUT_FORMAT.INT32]: PCM_FORMAT.S32,
+  [OUTPUT_FORMAT.FLOAT]: PCM_FORMAT.F32,
+  [OUTPUT_FORMAT.DOUBLE]: 'f64',
+}
+
+/**
+ * Validate a PCM format option
+ * @param {string} format
+ * @returns {string} - The format
+ */
+export function checkPCMFormat(format) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown PCM format: ${format}`)
+  }
+  return format
+}
+
+/**
+ * @param {string} outputFormat - FAAD2 output format, see OUTPUT_FORMAT
+ * @returns {string} - Name of the layout decode() returns when no format is requested
+ */
+export function nativePCMFormat(outputFormat) {
+  return NATIVE_FORMATS[outputFormat]
+}
+
+/**
+ * Small xorshift32 generator for dither noise, so dithered output is
+ * reproducible for a given seed
+ * @param {number} [seed]
+ * @returns {Function} - Returns uniform values in [0, 1)
+ */
+export function createDitherSource(seed = 0x9E3779B9) {
+  let state = seed >>> 0 || 1
+  return () => {
+    state ^= state << 13
+    state ^= state >>> 17
+    state ^= state << 5
+    state >>>= 0
+    return state / 0x100000000
+  }
+}
+
+/**
+ * Allocate silence in a PCM format
+ * @param {string} format - One of PCM_FORMAT
+ * @param {number} channels
+ * @param {number} frames - Samples per channel
+ * @returns {Object} - { pcm } or { channelData }
+ */
+export function silence(format, channels, frames) {
+  const { ArrayType, planar } = FORMATS[format]
+  if (planar) {
+    return { channelData: Array.from({ length: channels }, () => new ArrayType(frames)) }
+  }
+  return { pcm: new ArrayType(frames * channels) }
+}
+
+/**
+ * Write silence into existing arrays
+ * @param {TypedArray|TypedArray[]} out - Interleaved array, or one array per channel for planar formats
+ * @param {string} format - One of PCM_FORMAT
+ * @param {number} channels
+ * @param {number} offset - First sample frame to clear
+ * @param {number} frames - Sample frames to clear
+ */
+export function fillSilence(out, format, channels, offset, frames) {
+  if (FORMATS[format].planar) {
+    for (let ch = 0; ch < channels; ch++) out[ch].fill(0, offset, offset + frames)
+  } else {
+    out.fill(0, offset * channels, (offset + frames) * channels)
+  }
+}
+
+/**
+ * Convert interleaved native FAAD2 samples to a PCM format in one pass
+ * @param {ArrayLike<number>} src - Interleaved samples in FAAD2 channel order, e.g. a view into the WASM heap
+ * @param {string} outputFormat - FAAD2 output format of src, see OUTPUT_FORMAT
+ * @param {number} channels
+ * @param {number[]|null} channelMap - Source channel for every output channel, see getChannelMap()
+ * @param {string} format - Target format, one of PCM_FORMAT
+ * @param {Function} [random] - Uniform [0, 1) source, enables dither for 16-bit targets
+ * @returns {Object} - { pcm } for interleaved formats, { channelData } for planar ones
+ */
+export function convertPCM(src, outputFormat, channels, channelMap, format, random = null) {
+  const { ArrayType, planar } = FORMATS[format]
+  const frames = src.length / channels
+  const out = planar
+    ? Array.from({ length: channels }, () => new ArrayType(frames))
+    : new ArrayType(src.length)
+
+  writePCM(src, src.length, outputFormat, channels, channelMap, format, out, 0, random)
+  return planar ? { channelData: out } : { pcm: out }
+}
+
+/**
+ * Convert interleaved native FAAD2 samples into existing arrays, without
+ * allocating.
+ *
+ * Integer targets are rounded and clamped. With `random`, TPDF dither of
+ * +-1 LSB is added when converting to 16 bits from a wider format.
+ *
+ * @param {ArrayLike<number>} src - Interleaved samples in FAAD2 channel order
+ * @param {number} length - Number of samples in src to convert
+ * @param {string} outputFormat - FAAD2 output format of src, see OUTPUT_FORMAT
+ * @param {number} channels
+ * @param {number[]|null} channelMap - Source channel for every output channel, see getChannelMap()
+ * @param {string} format - Target format, one of PCM_FORMAT
+ * @param {TypedArray|TypedArray[]} out - Interleaved array, or one array per channel for planar formats
+ * @param {number} offset - First sample frame to write in out
+ * @param {Function} [random] - Uniform [0, 1) source, enables dither for 16-bit targets
+ */
+export function writePCM(src, length, outputFormat, channels, channelMap, format, out, offset, random = null) {
+  const { ArrayType, scale, planar } = FORMATS[format]
+  const native = getOutputFormat(outputFormat)
+  const frames = length / channels
+  const gain = scale / native.scale
+  const integer = ArrayType !== Float32Array
+  const dither = random && ArrayType === Int16Array && native.ArrayType !== Int16Array
+  const min = -scale
+  const max = scale - 1
+
+  for (let ch = 0; ch < channels; ch++) {
+    const source = channelMap ? channelMap[ch] : ch
+    const plane = planar ? out[ch] : out
+    const start = planar ? offset : offset * channels + ch
+    const stride = planar ? 1 : channels
+
+    if (!integer || (gain === 1 && native.ArrayType !== Float32Array && native.ArrayType !== Float64Array)) {
+      // Same integer scale, or a float target: no rounding needed
+      for (let i = 0, s = source, d = start; i < frames; i++, s += channels, d += stride) {
+        plane[d] = src[s] * gain
+      }
+    } else if (dither) {
+      for (let i = 0, s = source, d = start; i < frames; i++, s += channels, d += stride) {
+        const value = Math.round(src[s] * gain + random() - random())
+        plane[d] = value < min ? min : value > max ? max : value
+      }
+    } else {
+      for (let i = 0, s = source, d = start; i < frames; i++, s += channels, d += stride) {
+        const value = Math.round(src[s] * gain)
+        plane[d] = value < min ? min : value > max ? max : value
+      }
+    }
+  }
+}
+
+/**
+ * PCM format matching a decodeInto() target
+ * @param {TypedArray|TypedArray[]} target - Interleaved array, or one array per channel
+ * @returns {string} - 'f32', 's16' or 's32', or the planar variant for arrays of planes
+ * @throws {TypeError} - For unsupported array types
+ */
+export function formatForTarget(target) {
+  const planar = Array.isArray(target)
+  const sample = planar ? target[0] : target
+  let format = null
+  if (sample instanceof Float32Array) format = PCM_FORMAT.F32
+  else if (sample instanceof Int16Array) format = PCM_FORMAT.S16
+  else if (sample instanceof Int32Array && !planar) format = PCM_FORMAT.S32
+  if (!format) {
+    throw new TypeError('Target must be a Float32Array, Int16Array or Int32Array, or an array of Float32Array or Int16Array planes')
+  }
+  return planar ? `${format}-planar` : format
+}
+
+/**
+ * Check that a PCM format and a decodeInto() target match
+ * @param {string} format - One of PCM_FORMAT
+ * @param {TypedArray|TypedArray[]} target
+ * @param {number} channels
+ * @param {number} frames - Sample frames needed, including any offset
+ * @throws {RangeError|TypeError}
+ */
+export function checkTarget(format, target, channels, frames) {
+  const { ArrayType, planar } = FORMATS[format]
+  if (planar) {
+    if (!Array.isArray(target) || target.length < channels) {
+      throw new TypeError(`${format} needs an array of at least ${channels} planes`)
+    }
+    for (let ch = 0; ch < channels; ch++) {
+      if (!(target[ch] instanceof ArrayType)) throw new TypeError(`${format} planes must be ${ArrayType.name}s`)
+      if (target[ch].length < frames) {
+        throw new RangeError(`Target plane holds ${target[ch].length} samples, the frame needs ${frames}`)
+      }
+    }
+    return
+  }
+
+  if (!(target instanceof ArrayType)) throw new TypeError(`${format} needs a ${ArrayType.name} target`)
+  if (target.length < frames * channels) {
+    throw new RangeError(`Target holds ${target.length} samples, the frame needs ${frames * channels}`)
+  }
+}
@@ -0,0 +1,314 @@
+import { FAAD2DecodeError } from './faad2_errors.js'
+
+/**
+ * Decoding off the calling thread: a DecoderPool starts worker_threads (Node)
+ * or module Web Workers (browser), each running its own FAAD2 module (see
+ * faad2_pool_worker.js).
+ *
+ * Every stream created with createDecoder() stays on one worker for its whole
+ * life, so its frames are decoded and answered in the order they were sent.
+ * Frames are copied into a fresh ArrayBuffer and transferred, decoded PCM is
+ * transferred back.
+ */
+
+const isNode = typeof process !== 'undefined' && Boolean(process.versions && process.versions.node)
+
+const WORKER_URL = new URL('./faad2_pool_worker.js', import.meta.url)
+
+function defaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2
+  return Math.max(1, cores - 1)
+}
+
+/**
+ * Start one worker and wrap the Node and browser APIs alike
+ * @param {URL|string} url - Worker script
+ * @returns {Promise<Object>} - { post, onMessage, onError, terminate }
+ */
+async function startWorker(url) {
+  if (isNode) {
+    const { Worker } = await import('node:worker_threads')
+    const worker = new Worker(url)
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      onMessage: (handler) => worker.on('message', handler),
+      onError: (handler) => {
+        worker.on('error', handler)
+        worker.on('exit', (code) => handler(new Error(`Decoder worker exited with code ${code}`)))
+      },
+      terminate: () => worker.terminate(),
+    }
+  }
+
+  const worker = new Worker(url, { type: 'module' })
+  return {
+    post: (message, transfer) => worker.postMessage(message, transfer),
+    onMessage: (handler) => worker.addEventListener('message', (event) => handler(event.data)),
+    onError: (handler) => worker.addEventListener('error', (event) => handler(event.error || new Error(event.message))),
+    terminate: () => worker.terminate(),
+  }
+}
+
+/**
+ * Rebuild an error posted by a worker
+ * @param {Object} error - { name, message, code, faadMessage, frameInfo }
+ * @returns {Error}
+ */
+function reviveError({ name, message, code, faadMessage, frameInfo }) {
+  if (name === 'FAAD2DecodeError') {
+    return new FAAD2DecodeError(code, faadMessage, frameInfo)
+  }
+  const err = name === 'TypeError' ? new TypeError(message) : name === 'RangeError' ? new RangeError(message) : new Error(message)
+  if (err.name !== name) err.name = name
+  return err
+}
+
+/**
+ * Copy encoded input into a transferable buffer
+ * @param {Uint8Array|ArrayBuffer|EncodedAudioChunk} frame
+ * @returns {Object} - { data: ArrayBuffer, timestamp }
+ */
+function copyInput(frame) {
+  if (typeof frame.copyTo === 'function') {
+    const data = new Uint8Array(frame.byteLength)
+    frame.copyTo(data)
+    return { data: data.buffer, timestamp: frame.timestamp }
+  }
+  const bytes = frame instanceof ArrayBuffer ? new Uint8Array(frame) : frame
+  return { data: bytes.slice().buffer, timestamp: undefined }
+}
+
+export class DecoderPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Number of workers, defaults to one less than the number of cores
+   * @param {URL|string} [options.workerUrl] - Location of faad2_pool_worker.js, for bundlers that move it
+   */
+  constructor({ size = defaultPoolSize(), workerUrl = WORKER_URL } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid pool size: ${size}`)
+    }
+    this.size = size
+    this.closed = false
+    this._workers = []
+    this._nextStream = 1
+    this._nextRequest = 1
+    this._workerUrl = workerUrl
+    this.ready = this._start()
+  }
+
+  async _start() {
+    this._workers = await Promise.all(Array.from({ length: this.size }, () => this._spawn()))
+    if (this.closed) await this._terminate()
+  }
+
+  async _spawn() {
+    const port = await startWorker(this._workerUrl)
+    const worker = { port, pending: new Map(), streams: 0, failure: null, replacement: null }
+    port.onMessage((message) => this._onMessage(worker, message))
+    port.onError((err) => this._onFailure(worker, err))
+    return worker
+  }
+
+  _onMessage(worker, { id, result, error }) {
+    const request = worker.pending.get(id)
+    if (!request) return
+    worker.pending.delete(id)
+    if (error) request.reject(reviveError(error))
+    else request.resolve(result)
+  }
+
+  _onFailure(worker, err) {
+    if (worker.failure) return
+    worker.failure = this.closed ? new Error('Decoder pool is closed') : err
+    for (const request of worker.pending.values()) request.reject(worker.failure)
+    worker.pending.clear()
+  }
+
+  /**
+   * Worker with the fewest streams, for a new stream
+   * @returns {Promise<Object>}
+   */
+  async _assign() {
+    await this.ready
+    this._assertOpen()
+    await Promise.all(this._workers.filter((worker) => worker.failure).map((worker) => this._replace(worker)))
+    this._assertOpen()
+    const worker = this._workers.reduce((best, candidate) => (candidate.streams < best.streams ? candidate : best))
+    worker.streams++
+    return worker
+  }
+
+  /**
+   * Start a new worker in place of one that crashed or exited. Streams
+   * already on the old worker keep failing; new streams go to the new one.
+   * @param {Object} worker - The failed worker
+   * @returns {Promise<void>}
+   */
+  _replace(worker) {
+    if (!worker.replacement) {
+      worker.replacement = this._spawn().then(
+        async (replacement) => {
+          const index = this._workers.indexOf(worker)
+          if (this.closed || index < 0) {
+            await replacement.port.terminate()
+            return
+          }
+          this._workers[index] = replacement
+        },
+        (err) => {
+          worker.replacement = null
+          throw err
+        }
+      )
+    }
+    return worker.replacement
+  }
+
+  _request(worker, message, transfer = []) {
+    if (worker.failure) return Promise.reject(worker.failure)
+    return new Promise((resolve, reject) => {
+      const id = this._nextRequest++
+      worker.pending.set(id, { resolve, reject })
+      worker.port.post({ ...message, id }, transfer)
+    })
+  }
+
+  _assertOpen() {
+    if (this.closed) {
+      throw new Error('Decoder pool is closed')
+    }
+  }
+
+  /**
+   * Create a decoding stream pinned to one worker
+   * @param {Object} [options]
+   * @param {string} [options.channelOrder] - See CHANNEL_ORDER
+   * @param {string} [options.errorPolicy] - See ERROR_POLICY
+   * @returns {PooledDecoder}
+   */
+  createDecoder(options = {}) {
+    this._assertOpen()
+    return new PooledDecoder(this, this._nextStream++, options)
+  }
+
+  /**
+   * Stop all workers. Requests still in flight are rejected.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return
+    this.closed = true
+    await this.ready.catch(() => {})
+    await this._terminate()
+  }
+
+  async _terminate() {
+    const workers = this._workers
+    this._workers = []
+    await Promise.all(
+      workers.map((worker) => {
+        this._onFailure(worker, null)
+        return worker.port.terminate()
+      })
+    )
+  }
+}
+
+/**
+ * One stream of a DecoderPool. Mirrors the decoder surface with promises:
+ * in Node, configure() and decode() take the arguments of FAAD2NodeDecoder;
+ * in browsers, configure() takes an AudioDecoderConfig (or a bare
+ * AudioSpecificConfig) and decode() resolves with the frame's planes.
+ */
+export class PooledDecoder {
+  /**
+   * @param {DecoderPool} pool
+   * @param {number} id - Stream id
+   * @param {Object} options - channelOrder and errorPolicy for the worker-side decoder
+   */
+  constructor(pool, id, options) {
+    this.pool = pool
+    this.id = id
+    this.options = options
+    this.closed = false
+    this._worker = null
+  }
+
+  _assertOpen() {
+    if (this.closed) {
+      throw new Error('Decoder is closed')
+    }
+  }
+
+  async _send(type, message = {}, transfer = []) {
+    this._assertOpen()
+    // Every call waits on the same assignment, so requests are posted in call order
+    if (!this._worker) this._worker = this.pool._assign()
+    const worker = await this._worker
+    return this.pool._request(worker, { ...message, type, stream: this.id, options: this.options }, transfer)
+  }
+
+  /**
+   * Configure the worker-side decoder
+   * @param {Uint8Array|Object} config - ASC or first frame (Node), or AudioDecoderConfig / ASC (browser)
+   * @param {Object} [options] - Node: autoDetect and FAAD2 options as for FAAD2NodeDecoder.configure();
+   *   browser: extra AudioDecoderConfig fields
+   * @returns {Promise<void>}
+   */
+  async configure(config, options = {}) {
+    if (ArrayBuffer.isView(config) || config instanceof ArrayBuffer) {
+      const { data } = copyInput(config)
+      return this._send('configure', { config: data, configureOptions: options }, [data])
+    }
+    return this._send('configure', { config, configureOptions: options })
+  }
+
+  /**
+   * Decode one frame
+   * @param {Uint8Array|ArrayBuffer|EncodedAudioChunk} frame
+   * @param {Object} [options] - Node: format and dither as for FAAD2NodeDecoder.decode(); browser: timestamp
+   * @returns {Promise<Object|null>} - Node: the decode() result; browser: { channelData, format, sampleRate,
+   *   channels, samplesPerChannel, timestamp, duration, frameInfo }; null when the frame produced no output
+   */
+  async decode(frame, options = {}) {
+    const { data, timestamp } = copyInput(frame)
+    const decodeOptions = timestamp === undefined ? options : { timestamp, ...options }
+    return this._send('decode', { data, decodeOptions }, [data])
+  }
+
+  /**
+   * Resolves once every frame sent before it has been decoded, with the
+   * output gapless trimming held back for the padding (see faad2_gapless.js)
+   * @returns {Promise<Object|null>} - A result shaped like decode()'s, or null
+   */
+  async flush() {
+    return this._send('flush')
+  }
+
+  /**
+   * Continue at another access unit, as FAAD2NodeDecoder.seek()
+   * @param {number|Object} position - Access unit index, or { timeUs }
+   * @param {Object} [options] - { preRoll }
+   * @returns {Promise<Object>} - { frameIndex, startFrame }
+   */
+  async seek(position, options = {}) {
+    return this._send('seek', { position, seekOptions: options })
+  }
+
+  /**
+   * Release the worker-side decoder
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return
+    const closing = this._worker ? this._send('close') : null
+    this.closed = true
+    if (!closing) return
+    // Settle both, so a failed assignment doesn't leave closing unhandled
+    const [assigned, closed] = await Promise.allSettled([this._worker, closing])
+    if (assigned.status === 'rejected') throw assigned.reason
+    assigned.value.streams--
+    if (closed.status === 'rejected') throw closed.reason
+  }
+}
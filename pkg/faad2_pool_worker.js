@@ -0,0 +1,201 @@
+/**
+ * Worker side of DecoderPool (see faad2_pool.js).
+ *
+ * Runs under worker_threads in Node, with a FAAD2NodeDecoder per stream, and
+ * as a module Web Worker in browsers, with a FAAD2Decoder per stream. Each
+ * worker loads its own FAAD2 module. Messages of one stream are handled
+ * strictly in order.
+ */
+
+const isNode = typeof process !== 'undefined' && Boolean(process.versions && process.versions.node)
+
+const port = isNode ? await nodePort() : webPort()
+const streams = new Map()
+
+async function nodePort() {
+  const { parentPort } = await import('node:worker_threads')
+  return {
+    post: (message, transfer) => parentPort.postMessage(message, transfer),
+    listen: (handler) => parentPort.on('message', handler),
+  }
+}
+
+function webPort() {
+  return {
+    post: (message, transfer) => self.postMessage(message, transfer),
+    listen: (handler) => self.addEventListener('message', (event) => handler(event.data)),
+  }
+}
+
+port.listen((message) => {
+  let stream = streams.get(message.stream)
+  if (!stream) {
+    stream = { backend: null, queue: Promise.resolve() }
+    streams.set(message.stream, stream)
+  }
+
+  stream.queue = stream.queue
+    .then(() => handle(stream, message))
+    .then(
+      (result) => port.post({ id: message.id, result }, transferList(result)),
+      (err) => port.post({ id: message.id, error: serializeError(err) })
+    )
+})
+
+async function handle(stream, message) {
+  if (!stream.backend) {
+    stream.backend = await (isNode ? createNodeBackend : createWebBackend)(message.options || {})
+  }
+  const { backend } = stream
+
+  switch (message.type) {
+    case 'configure':
+      await backend.configure(message.config, message.configureOptions)
+      return null
+    case 'decode':
+      return backend.decode(new Uint8Array(message.data), message.decodeOptions)
+    case 'flush':
+      return backend.flush()
+    case 'seek':
+      return backend.seek(message.position, message.seekOptions)
+    case 'close':
+      backend.close()
+      streams.delete(message.stream)
+      return null
+    default:
+      throw new Error(`Unknown message type: ${message.type}`)
+  }
+}
+
+async function createNodeBackend({ channelOrder, errorPolicy }) {
+  const { default: FAAD2NodeDecoder } = await import('./faad2_node_decoder.js')
+  const decoder = new FAAD2NodeDecoder({ channelOrder, errorPolicy })
+  await decoder.ready
+
+  return {
+    configure: (config, options = {}) => decoder.configure(new Uint8Array(config), options),
+    decode: (data, options) => decoder.decode(data, options),
+    flush: () => (decoder.initialized ? decoder.flush() : null),
+    seek: (position, options) => decoder.seek(position, options),
+    close: () => decoder.destroy(),
+  }
+}
+
+async function createWebBackend({ channelOrder, errorPolicy }) {
+  const { default: FAAD2Decoder } = await import('./faad2_decoder.js')
+  const { parseAudioSpecificConfig } = await import('./faad2_asc.js')
+
+  let outputs = []
+  let failure = null
+  const decoder = new FAAD2Decoder({
+    output: (audioData, frameInfo) => outputs.push(fromAudioData(audioData, frameInfo)),
+    error: (err) => {
+      failure = err
+    },
+    channelOrder,
+    errorPolicy,
+  })
+
+  // Results of the last call, or the error that closed the decoder meanwhile
+  const take = () => {
+    if (failure) throw failure
+    const taken = outputs
+    outputs = []
+    return taken
+  }
+
+  return {
+    async configure(config, options = {}) {
+      if (ArrayBuffer.isView(config) || config instanceof ArrayBuffer) {
+        // A bare AudioSpecificConfig: derive the codec string from it
+        const description = new Uint8Array(config)
+        const { objectType, sbrPresent, psPresent } = parseAudioSpecificConfig(description)
+        const codecType = psPresent ? 29 : sbrPresent ? 5 : objectType
+        config = { codec: `mp4a.40.${codecType}`, description }
+      }
+      await decoder.configure({ ...config, ...options })
+      take()
+    },
+    async decode(data, { timestamp = 0 } = {}) {
+      await decoder.decode({ byteLength: data.byteLength, timestamp, copyTo: (target) => target.set(data) })
+      // Gapless trimming can release several held-back frames at once
+      return joinOutputs(take())
+    },
+    async flush() {
+      await decoder.flush()
+      return joinOutputs(take())
+    },
+    async seek(position, options) {
+      const result = await decoder.seek(position, options)
+      take()
+      return result
+    },
+    close: () => decoder.close(),
+  }
+}
+
+function fromAudioData(audioData, frameInfo) {
+  const { format, numberOfChannels, numberOfFrames, sampleRate, timestamp, duration } = audioData
+  const ArrayType = format.startsWith('s16') ? Int16Array : format.startsWith('s32') ? Int32Array : Float32Array
+
+  const channelData = []
+  for (let ch = 0; ch < numberOfChannels; ch++) {
+    const plane = new ArrayType(numberOfFrames)
+    audioData.copyTo(plane, { planeIndex: ch })
+    channelData.push(plane)
+  }
+  audioData.close()
+
+  return {
+    channelData,
+    format,
+    sampleRate,
+    channels: numberOfChannels,
+    samplesPerChannel: numberOfFrames,
+    timestamp,
+    duration,
+    frameInfo,
+  }
+}
+
+/**
+ * Join the frames one decode or flush emitted (gapless output held back for the padding)
+ * @returns {Object|null}
+ */
+function joinOutputs(outputs) {
+  if (outputs.length <= 1) return outputs[0] || null
+
+  const last = outputs[outputs.length - 1]
+  const channelData = last.channelData.map((plane, ch) => {
+    const joined = new plane.constructor(outputs.reduce((sum, output) => sum + output.samplesPerChannel, 0))
+    let offset = 0
+    for (const output of outputs) {
+      joined.set(output.channelData[ch], offset)
+      offset += output.samplesPerChannel
+    }
+    return joined
+  })
+  return {
+    ...last,
+    channelData,
+    samplesPerChannel: channelData[0].length,
+    timestamp: outputs[0].timestamp,
+    duration: outputs.reduce((sum, output) => sum + output.duration, 0),
+  }
+}
+
+function transferList(result) {
+  if (!result) return []
+  if (result.channelData) return result.channelData.map((plane) => plane.buffer)
+  return result.pcm ? [result.pcm.buffer] : []
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    faadMessage: err.faadMessage,
+    frameInfo: err.frameInfo,
+  }
+}
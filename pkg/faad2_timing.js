@@ -0,0 +1,105 @@
+import { AUDIO_OBJECT_TYPE } from './faad2_asc.js'
+
+/**
+ * Presentation timestamps and durations of decoded output, in microseconds.
+ *
+ * FAAD2 returns no samples for the first frame after a decoder is opened
+ * (the overlap-add of that frame has nothing to complete), so the output of
+ * access unit k covers the time span starting at unit k's own timestamp.
+ * Without input timestamps, a running sample counter at the output sample
+ * rate (twice the core rate with SBR) is used, and frames that produced no
+ * output still move it forward by one frame.
+ */
+
+/**
+ * Duration of one access unit
+ * @param {Object} config - Parsed AudioSpecificConfig (see faad2_asc.js)
+ * @returns {number} - Microseconds, not rounded
+ */
+export function accessUnitDuration(config) {
+  const short = Boolean(config.gaSpecificConfig && config.gaSpecificConfig.frameLengthFlag)
+  const length = config.objectType === AUDIO_OBJECT_TYPE.ER_AAC_LD ? (short ? 480 : 512) : short ? 960 : 1024
+  return (length * 1e6) / config.samplingFrequency
+}
+
+/**
+ * Index of the access unit whose output contains a time, on the timeline of
+ * a decoder fed from the first access unit without input timestamps
+ * @param {number} timeUs
+ * @param {Object} config - Parsed AudioSpecificConfig of the stream
+ * @param {number} [startUs=0] - Time of the first output sample, negative when gapless priming is trimmed
+ * @returns {number}
+ */
+export function accessUnitAt(timeUs, config, startUs = 0) {
+  return Math.max(0, Math.floor((timeUs - startUs) / accessUnitDuration(config)))
+}
+
+export class OutputClock {
+  constructor() {
+    this.reset()
+  }
+
+  /**
+   * Start over at a time
+   * @param {number} [startUs=0] - Timestamp of the next output without an input timestamp
+   * @param {number} [leadSamples=0] - Output samples to count before startUs is reached (gapless priming)
+   */
+  reset(startUs = 0, leadSamples = 0) {
+    this._baseUs = startUs
+    this._samples = -leadSamples
+    this._sampleRate = 0
+    this._heldFrames = 0
+  }
+
+  /**
+   * Current position of the running counter
+   * @returns {number} - Microseconds, not rounded
+   */
+  get position() {
+    return this._sampleRate ? this._baseUs + (this._samples * 1e6) / this._sampleRate : this._baseUs
+  }
+
+  /**
+   * Record an access unit that produced no output (decoder start-up, or a
+   * frame dropped by the 'skip' error policy). Its time span is added in
+   * front of the next output.
+   * @param {number|null} [timestamp] - Input timestamp of the unit in µs
+   * @param {number} [units=1] - Number of access units, e.g. the ones skipped by a seek
+   */
+  hold(timestamp = null, units = 1) {
+    if (timestamp !== null && timestamp !== undefined) {
+      this._rebase(timestamp)
+      this._heldFrames = 0
+    }
+    this._heldFrames += units
+  }
+
+  /**
+   * Timing of one block of output
+   * @param {number} samplesPerChannel
+   * @param {number} sampleRate - Output sample rate
+   * @param {number|null} [timestamp] - Input timestamp of the access unit in µs, continues the counter when absent
+   * @returns {Object} - { timestamp, duration } in whole microseconds; consecutive blocks tile exactly
+   */
+  stamp(samplesPerChannel, sampleRate, timestamp = null) {
+    if (timestamp !== null && timestamp !== undefined) {
+      this._rebase(timestamp)
+      this._heldFrames = 0
+    } else if (sampleRate !== this._sampleRate && this._sampleRate) {
+      this._rebase(this.position)
+    }
+    this._sampleRate = sampleRate
+
+    this._samples += this._heldFrames * samplesPerChannel
+    this._heldFrames = 0
+
+    const start = Math.round(this.position)
+    this._samples += samplesPerChannel
+    return { timestamp: start, duration: Math.round(this.position) - start }
+  }
+
+  _rebase(startUs) {
+    this._baseUs = startUs
+    this._samples = 0
+  }
+}
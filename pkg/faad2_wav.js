@@ -0,0 +1,514 @@
+import { isISOBMFF } from './faad2_isobmff.js'
+
+/**
+ * WAV, RF64, AIFF and raw PCM writers for decoded frames.
+ *
+ * WavWriter encodes the frames returned by decode() (interleaved or planar, any
+ * PCM_FORMAT) as they arrive and emits the header with the first one. Sizes in
+ * that header are unknown (0xFFFFFFFF) until finalize() returns the patched
+ * header, which has the same length and goes back over the start of the file.
+ *
+ * WAV output reserves a JUNK chunk that finalize() turns into an RF64 ds64
+ * chunk once the file passes 4 GiB (EBU Tech 3306), so long recordings stay
+ * readable. Multichannel and non-16-bit WAV uses WAVE_FORMAT_EXTENSIBLE with
+ * a channel mask for the decoder's 'wav' channel order. AIFF carries no
+ * channel mask, and float samples go into AIFF-C 'fl32'.
+ */
+
+export const CONTAINER = {
+  WAV: 'wav',
+  RF64: 'rf64',
+  AIFF: 'aiff',
+  RAW: 'raw',
+}
+
+export const SAMPLE_FORMAT = {
+  S16: 's16',
+  S24: 's24',
+  S32: 's32',
+  F32: 'f32',
+}
+
+const SAMPLE_FORMATS = {
+  [SAMPLE_FORMAT.S16]: { bytes: 2, scale: 0x8000, float: false },
+  [SAMPLE_FORMAT.S24]: { bytes: 3, scale: 0x800000, float: false },
+  [SAMPLE_FORMAT.S32]: { bytes: 4, scale: 0x80000000, float: false },
+  [SAMPLE_FORMAT.F32]: { bytes: 4, scale: 1, float: true },
+}
+
+// Full-scale value of every layout decode() returns
+const INPUT_SCALES = {
+  'f32': 1,
+  'f32-planar': 1,
+  'f64': 1,
+  's16': 0x8000,
+  's16-planar': 0x8000,
+  's24': 0x800000,
+  's32': 0x80000000,
+}
+
+// WAVE_FORMAT_EXTENSIBLE speaker positions for the decoder's channel labels
+const SPEAKER_POSITIONS = {
+  L: 0x1,
+  R: 0x2,
+  C: 0x4,
+  LFE: 0x8,
+  Ls: 0x10,
+  Rs: 0x20,
+  Lrs: 0x10,
+  Rrs: 0x20,
+  Cs: 0x100,
+  Lss: 0x200,
+  Rss: 0x400,
+}
+
+const WAVE_FORMAT_PCM = 1
+const WAVE_FORMAT_IEEE_FLOAT = 3
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE
+// Trailing 14 bytes of the KSDATAFORMAT_SUBTYPE_* GUIDs
+const SUBFORMAT_GUID_TAIL = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71]
+
+const AIFC_VERSION = 0xA2805140
+const MAX_UINT32 = 0xFFFFFFFF
+
+/**
+ * WAVE_FORMAT_EXTENSIBLE channel mask for a channel layout
+ * @param {string[]} layout - Channel labels as in decode() results' channelLayout
+ * @returns {number} - Mask, or 0 (unspecified) when the labels are unknown or not in WAV order
+ */
+export function channelMask(layout) {
+  let mask = 0
+  let previous = 0
+  for (const label of layout) {
+    const position = SPEAKER_POSITIONS[label]
+    if (!position || position <= previous) return 0
+    mask |= position
+    previous = position
+  }
+  return mask
+}
+
+function writeType(bytes, offset, type) {
+  for (let i = 0; i < 4; i++) bytes[offset + i] = type.charCodeAt(i)
+}
+
+function setUint64LE(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true)
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true)
+}
+
+/**
+ * Write a positive integer as an 80-bit IEEE 754 extended value (AIFF sample rate)
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} value
+ */
+function setExtended(view, offset, value) {
+  let exponent = 16383 + 31
+  let mantissa = value
+  while (mantissa < 0x80000000) {
+    mantissa *= 2
+    exponent--
+  }
+  view.setUint16(offset, exponent)
+  view.setUint32(offset + 2, mantissa)
+  view.setUint32(offset + 6, 0)
+}
+
+function frameLength(frame, channels) {
+  return frame.channelData ? frame.channelData[0].length : frame.pcm.length / channels
+}
+
+/**
+ * Encode a decoded frame as packed samples
+ * @param {Object} frame - { pcm } or { channelData } with format, as returned by decode()
+ * @param {number} channels
+ * @param {string} sampleFormat - One of SAMPLE_FORMAT
+ * @param {boolean} littleEndian
+ * @returns {Uint8Array}
+ */
+function encodeSamples(frame, channels, sampleFormat, littleEndian) {
+  const { bytes, scale, float } = SAMPLE_FORMATS[sampleFormat]
+  const inputScale = INPUT_SCALES[frame.format]
+  if (!inputScale) {
+    throw new Error(`Unknown PCM format: ${frame.format}`)
+  }
+
+  const frames = frameLength(frame, channels)
+  const out = new Uint8Array(frames * channels * bytes)
+  const view = new DataView(out.buffer)
+  const gain = scale / inputScale
+  const min = -scale
+  const max = scale - 1
+  const { pcm, channelData } = frame
+
+  let position = 0
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels; ch++) {
+      const sample = (channelData ? channelData[ch][i] : pcm[i * channels + ch]) * gain
+      if (float) {
+        view.setFloat32(position, sample, littleEndian)
+        position += 4
+        continue
+      }
+
+      const rounded = Math.round(sample)
+      const value = rounded < min ? min : rounded > max ? max : rounded
+      if (bytes === 2) {
+        view.setInt16(position, value, littleEndian)
+      } else if (bytes === 4) {
+        view.setInt32(position, value, littleEndian)
+      } else {
+        out[position + (littleEndian ? 0 : 2)] = value & 0xFF
+        out[position + 1] = (value >> 8) & 0xFF
+        out[position + (littleEndian ? 2 : 0)] = (value >> 16) & 0xFF
+      }
+      position += bytes
+    }
+  }
+  return out
+}
+
+export class WavWriter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.container='wav'] - One of CONTAINER
+   * @param {string} [options.sampleFormat='s16'] - One of SAMPLE_FORMAT
+   * @param {number} [options.sampleRate] - Taken from the first frame when not given
+   * @param {number} [options.channels] - Taken from the first frame when not given
+   * @param {string[]} [options.channelLayout] - Channel labels for the WAV channel mask, taken from the first frame when not given
+   * @param {boolean} [options.reserveRF64=true] - Reserve room to turn WAV output into RF64 past 4 GiB
+   */
+  constructor({
+    container = CONTAINER.WAV,
+    sampleFormat = SAMPLE_FORMAT.S16,
+    sampleRate = 0,
+    channels = 0,
+    channelLayout = null,
+    reserveRF64 = true,
+  } = {}) {
+    if (!Object.values(CONTAINER).includes(container)) {
+      throw new Error(`Unknown container: ${container}`)
+    }
+    if (!SAMPLE_FORMATS[sampleFormat]) {
+      throw new Error(`Unknown sample format: ${sampleFormat}`)
+    }
+    this.container = container
+    this.sampleFormat = sampleFormat
+    this.sampleRate = sampleRate
+    this.channels = channels
+    this.channelLayout = channelLayout
+    this.reserveRF64 = container === CONTAINER.RF64 || (container === CONTAINER.WAV && reserveRF64)
+    this.dataSize = 0
+    this.frames = 0
+    this.started = false
+    this.finalized = false
+  }
+
+  get bytesPerFrame() {
+    return SAMPLE_FORMATS[this.sampleFormat].bytes * this.channels
+  }
+
+  /**
+   * Length of the header emitted with the first frame and returned by finalize()
+   * @returns {number}
+   */
+  get headerLength() {
+    return this._header(null).length
+  }
+
+  /**
+   * Encode a decoded frame
+   * @param {Object} frame - A decode() result: { pcm } or { channelData }, with format, sampleRate and channels
+   * @returns {Uint8Array} - Bytes to append to the output, starting with the header for the first frame
+   */
+  write(frame) {
+    if (this.finalized) {
+      throw new Error('Writer is finalized')
+    }
+
+    let header = null
+    if (!this.started) {
+      this.sampleRate ||= frame.sampleRate
+      this.channels ||= frame.channels
+      this.channelLayout ||= frame.channelLayout || null
+      this._checkFormat()
+      header = this._header(null)
+      this.started = true
+    } else if ((frame.sampleRate && frame.sampleRate !== this.sampleRate) || (frame.channels && frame.channels !== this.channels)) {
+      throw new Error(
+        `Format changed mid-stream: ${frame.sampleRate} Hz, ${frame.channels} ch after ${this.sampleRate} Hz, ${this.channels} ch`
+      )
+    }
+
+    const data = encodeSamples(frame, this.channels, this.sampleFormat, this.container !== CONTAINER.AIFF)
+    this._checkSize(this.dataSize + data.length)
+    this.dataSize += data.length
+    this.frames += data.length / this.bytesPerFrame
+
+    if (!header) return data
+    const out = new Uint8Array(header.length + data.length)
+    out.set(header)
+    out.set(data, header.length)
+    return out
+  }
+
+  /**
+   * Finish the output
+   * @returns {Object} - { header, trailer }: header replaces the first headerLength bytes of the
+   *   output, trailer (a pad byte or nothing) is appended. A writer that got no frames needs
+   *   sampleRate and channels from its options, and header is then the whole output.
+   */
+  finalize() {
+    if (!this.started) {
+      this._checkFormat()
+    }
+    this.finalized = true
+    const padded = this.container !== CONTAINER.RAW && this.dataSize % 2 === 1
+    return { header: this._header(this.dataSize), trailer: new Uint8Array(padded ? 1 : 0) }
+  }
+
+  _checkFormat() {
+    if (!Number.isInteger(this.sampleRate) || this.sampleRate <= 0) {
+      throw new Error(`Invalid sample rate: ${this.sampleRate}`)
+    }
+    if (!Number.isInteger(this.channels) || this.channels <= 0 || this.channels > 0xFFFF) {
+      throw new Error(`Invalid channel count: ${this.channels}`)
+    }
+  }
+
+  _checkSize(dataSize) {
+    if (this.container === CONTAINER.RAW || this.reserveRF64) return
+    if (this.headerLength + dataSize + 1 > MAX_UINT32) {
+      const hint = this.container === CONTAINER.WAV ? '; enable reserveRF64 or use the rf64 container' : ''
+      throw new RangeError(`${this.container.toUpperCase()} output cannot exceed 4 GiB${hint}`)
+    }
+  }
+
+  /**
+   * @param {number|null} dataSize - Final data size, or null while it is unknown
+   * @returns {Uint8Array}
+   */
+  _header(dataSize) {
+    switch (this.container) {
+      case CONTAINER.RAW:
+        return new Uint8Array(0)
+      case CONTAINER.AIFF:
+        return this._aiffHeader(dataSize)
+      default:
+        return this._wavHeader(dataSize)
+    }
+  }
+
+  _wavHeader(dataSize) {
+    const { bytes, float } = SAMPLE_FORMATS[this.sampleFormat]
+    const extensible = this.channels > 2 || bytes > 2
+    const fmtSize = extensible ? 40 : 16
+    const reserved = this.reserveRF64 ? 36 : 0
+    const length = 12 + reserved + 8 + fmtSize + (float ? 12 : 0) + 8
+
+    const riffSize = dataSize === null ? null : length - 8 + dataSize + (dataSize % 2)
+    const rf64 = this.container === CONTAINER.RF64 || (riffSize !== null && this.reserveRF64 && riffSize > MAX_UINT32)
+    const size32 = (value) => (value === null || rf64 ? MAX_UINT32 : value)
+
+    const out = new Uint8Array(length)
+    const view = new DataView(out.buffer)
+    writeType(out, 0, rf64 ? 'RF64' : 'RIFF')
+    view.setUint32(4, size32(riffSize), true)
+    writeType(out, 8, 'WAVE')
+
+    let position = 12
+    if (reserved) {
+      // ds64 for RF64, otherwise a JUNK chunk of the same size kept free for it
+      writeType(out, position, rf64 ? 'ds64' : 'JUNK')
+      view.setUint32(position + 4, 28, true)
+      if (rf64) {
+        setUint64LE(view, position + 8, riffSize ?? 0)
+        setUint64LE(view, position + 16, dataSize ?? 0)
+        setUint64LE(view, position + 24, dataSize === null ? 0 : this.frames)
+      }
+      position += reserved
+    }
+
+    writeType(out, position, 'fmt ')
+    view.setUint32(position + 4, fmtSize, true)
+    view.setUint16(position + 8, extensible ? WAVE_FORMAT_EXTENSIBLE : float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true)
+    view.setUint16(position + 10, this.channels, true)
+    view.setUint32(position + 12, this.sampleRate, true)
+    view.setUint32(position + 16, this.sampleRate * this.bytesPerFrame, true)
+    view.setUint16(position + 20, this.bytesPerFrame, true)
+    view.setUint16(position + 22, bytes * 8, true)
+    if (extensible) {
+      view.setUint16(position + 24, 22, true)
+      view.setUint16(position + 26, bytes * 8, true)
+      view.setUint32(position + 28, this.channelLayout ? channelMask(this.channelLayout) : 0, true)
+      view.setUint16(position + 32, float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true)
+      out.set(SUBFORMAT_GUID_TAIL, position + 34)
+    }
+    position += 8 + fmtSize
+
+    if (float) {
+      writeType(out, position, 'fact')
+      view.setUint32(position + 4, 4, true)
+      view.setUint32(position + 8, dataSize === null ? MAX_UINT32 : size32(this.frames), true)
+      position += 12
+    }
+
+    writeType(out, position, 'data')
+    view.setUint32(position + 4, size32(dataSize), true)
+    return out
+  }
+
+  _aiffHeader(dataSize) {
+    const { bytes, float } = SAMPLE_FORMATS[this.sampleFormat]
+    // AIFF-C adds the compression type and an empty, padded name
+    const commSize = float ? 24 : 18
+    const length = 12 + (float ? 12 : 0) + 8 + commSize + 16
+    const size32 = (value) => (dataSize === null ? MAX_UINT32 : value)
+
+    const out = new Uint8Array(length)
+    const view = new DataView(out.buffer)
+    writeType(out, 0, 'FORM')
+    view.setUint32(4, size32(length - 8 + dataSize + (dataSize % 2)))
+    writeType(out, 8, float ? 'AIFC' : 'AIFF')
+
+    let position = 12
+    if (float) {
+      writeType(out, position, 'FVER')
+      view.setUint32(position + 4, 4)
+      view.setUint32(position + 8, AIFC_VERSION)
+      position += 12
+    }
+
+    writeType(out, position, 'COMM')
+    view.setUint32(position + 4, commSize)
+    view.setUint16(position + 8, this.channels)
+    view.setUint32(position + 10, size32(this.frames))
+    view.setUint16(position + 14, bytes * 8)
+    setExtended(view, position + 16, this.sampleRate)
+    if (float) writeType(out, position + 26, 'fl32')
+    position += 8 + commSize
+
+    writeType(out, position, 'SSND')
+    view.setUint32(position + 4, size32(8 + dataSize))
+    return out
+  }
+}
+
+/**
+ * Encode decoded frames into one file in memory
+ * @param {Iterable<Object>} frames - decode() results
+ * @param {Object} [options] - WavWriter options
+ * @returns {Uint8Array}
+ */
+export function encodeWav(frames, options = {}) {
+  const writer = new WavWriter(options)
+  const parts = []
+  for (const frame of frames) parts.push(writer.write(frame))
+  return assemble(writer, parts)
+}
+
+function assemble(writer, parts) {
+  const { header, trailer } = writer.finalize()
+  if (!parts.length) return header
+
+  const length = parts.reduce((sum, part) => sum + part.length, 0) + trailer.length
+  const out = new Uint8Array(length)
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  out.set(trailer, offset)
+  out.set(header)
+  return out
+}
+
+/**
+ * Streaming writer to a file (Node). The header is patched in place on close().
+ */
+export class WavFileWriter {
+  /**
+   * @param {string} path
+   * @param {Object} [options] - WavWriter options
+   * @returns {Promise<WavFileWriter>}
+   */
+  static async open(path, options = {}) {
+    const { open } = await import('node:fs/promises')
+    const file = new WavFileWriter(await open(path, 'w'), options)
+    file.path = path
+    return file
+  }
+
+  /**
+   * @param {FileHandle} handle - Writable, seekable file handle
+   * @param {Object} [options] - WavWriter options
+   */
+  constructor(handle, options = {}) {
+    this.handle = handle
+    this.writer = new WavWriter(options)
+    this.path = null
+  }
+
+  /**
+   * Whether a frame has been written, i.e. close() has a format to finalize
+   * @returns {boolean}
+   */
+  get started() {
+    return this.writer.started
+  }
+
+  /**
+   * @param {Object} frame - A decode() result
+   */
+  async write(frame) {
+    await this.handle.write(this.writer.write(frame))
+  }
+
+  async close() {
+    try {
+      const { header, trailer } = this.writer.finalize()
+      if (trailer.length) await this.handle.write(trailer)
+      await this.handle.write(header, 0, header.length, 0)
+    } finally {
+      await this.handle.close()
+    }
+  }
+
+  /**
+   * Close without finalizing and remove the file, if it was opened by path
+   */
+  async abort() {
+    await this.handle.close()
+    if (this.path) {
+      const { unlink } = await import('node:fs/promises')
+      await unlink(this.path)
+    }
+  }
+}
+
+/**
+ * Decode a complete AAC file (ADTS, LOAS/LATM or MP4) to WAV in memory
+ * @param {Uint8Array|ArrayBuffer} input - File bytes
+ * @param {Object} [options] - WavWriter options (container, sampleFormat, reserveRF64), plus
+ *   channelOrder, errorPolicy and gapless for the decoder and track selection for MP4 (see decodeMp4())
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decodeToWav(input, options = {}) {
+  const { container, sampleFormat, reserveRF64, ...decodeOptions } = options
+  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : input
+  const writer = new WavWriter({ container, sampleFormat, reserveRF64 })
+
+  let frames
+  if (isISOBMFF(bytes)) {
+    const { decodeMp4 } = await import('./faad2_mp4.js')
+    frames = decodeMp4(bytes, decodeOptions)
+  } else {
+    const { decodeIterable } = await import('./faad2_web_stream.js')
+    frames = decodeIterable([bytes], decodeOptions)
+  }
+
+  const parts = []
+  for await (const frame of frames) parts.push(writer.write(frame))
+  return assemble(writer, parts)
+}
@@ -0,0 +1,208 @@
+import { createTransportParser } from './faad2_latm.js'
+
+/**
+ * WHATWG stream and async-iterator decoding on top of FAAD2NodeDecoder
+ * (or any decoder with the same configure()/decode() surface).
+ *
+ * Decoded frames are the objects returned by FAAD2NodeDecoder.decode().
+ */
+
+function abortReason(signal) {
+  return signal.reason ?? new DOMException('The operation was aborted', 'AbortError')
+}
+
+function checkAborted(signal) {
+  if (signal && signal.aborted) throw abortReason(signal)
+}
+
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk)
+  throw new TypeError('Expected Uint8Array, ArrayBuffer or ArrayBufferView chunks')
+}
+
+/**
+ * Iterate a ReadableStream or async iterable, stopping when signal aborts
+ * @param {ReadableStream|AsyncIterable} source
+ * @param {AbortSignal} [signal]
+ */
+async function* iterate(source, signal) {
+  if (typeof source.getReader !== 'function') {
+    for await (const chunk of source) {
+      checkAborted(signal)
+      yield chunk
+    }
+    return
+  }
+
+  const reader = source.getReader()
+  const onAbort = () => reader.cancel(abortReason(signal)).catch(() => {})
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      checkAborted(signal)
+      if (done) return
+      yield value
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Shared state of one decoding run: ADTS/LOAS framing, lazy decoder setup and
+ * auto-configuration from the first frame.
+ */
+class DecodeSession {
+  constructor({ decoder, asc, signal, gapless, ...decoderOptions } = {}) {
+    this.decoder = decoder || null
+    this.ownsDecoder = !decoder
+    this.decoderOptions = decoderOptions
+    // true/false select MP4 metadata in decodeToWav(); only explicit counts apply here
+    this.gapless = typeof gapless === 'object' && gapless !== null ? gapless : {}
+    this.asc = asc
+    this.parser = null
+  }
+
+  async push(chunk) {
+    const bytes = toBytes(chunk)
+    if (this.asc) {
+      return this._decodeFrames([bytes])
+    }
+    if (!this.parser) {
+      this.parser = createTransportParser(bytes)
+    }
+    return this._decodeFrames(this.parser.push(bytes).map((frame) => frame.data))
+  }
+
+  async flush() {
+    const frames = this.parser ? this.parser.flush().map((frame) => frame.data) : []
+    const results = await this._decodeFrames(frames)
+
+    // Output held back for gapless padding
+    const rest = this.decoder && this.decoder.initialized && this.decoder.flush ? this.decoder.flush() : null
+    return rest ? [...results, rest] : results
+  }
+
+  close() {
+    if (this.ownsDecoder && this.decoder) {
+      this.decoder.destroy()
+    }
+  }
+
+  async _getDecoder() {
+    if (!this.decoder) {
+      const { default: FAAD2NodeDecoder } = await import('./faad2_node_decoder.js')
+      this.decoder = new FAAD2NodeDecoder(this.decoderOptions)
+    }
+    await this.decoder.ready
+    return this.decoder
+  }
+
+  async _decodeFrames(frames) {
+    if (!frames.length) return []
+
+    const decoder = await this._getDecoder()
+    if (!decoder.initialized) {
+      await decoder.configure(this.asc || frames[0], { autoDetect: !this.asc, ...this.gapless })
+    }
+
+    const results = []
+    for (const frame of frames) {
+      const result = decoder.decode(frame)
+      if (result) results.push(result)
+    }
+    return results
+  }
+}
+
+/**
+ * Create a TransformStream<Uint8Array, DecodedFrame>
+ * @param {Object} [options]
+ * @param {Object} [options.decoder] - Decoder to use; by default a FAAD2NodeDecoder is created and destroyed with the stream
+ * @param {Uint8Array} [options.asc] - AudioSpecificConfig for raw AAC; every chunk must then be one access unit
+ * @param {Object} [options.gapless] - { encoderDelay, paddingSamples } to trim, see faad2_gapless.js
+ * @param {AbortSignal} [options.signal] - Errors the stream with signal.reason when aborted
+ * @returns {TransformStream}
+ */
+export function createDecoderTransformStream(options = {}) {
+  const { signal } = options
+  const session = new DecodeSession(options)
+  let onAbort = null
+
+  // Also drop the abort listener, so a long-lived signal doesn't keep the stream alive
+  const finish = () => {
+    signal?.removeEventListener('abort', onAbort)
+    session.close()
+  }
+
+  return new TransformStream({
+    start(controller) {
+      checkAborted(signal)
+      onAbort = () => {
+        controller.error(abortReason(signal))
+        session.close()
+      }
+      signal?.addEventListener('abort', onAbort, { once: true })
+    },
+
+    async transform(chunk, controller) {
+      try {
+        checkAborted(signal)
+        for (const frame of await session.push(chunk)) {
+          controller.enqueue(frame)
+        }
+      } catch (err) {
+        // The stream errors and flush() never runs
+        finish()
+        throw err
+      }
+    },
+
+    async flush(controller) {
+      try {
+        for (const frame of await session.flush()) {
+          controller.enqueue(frame)
+        }
+      } finally {
+        finish()
+      }
+    },
+
+    cancel() {
+      finish()
+    },
+  })
+}
+
+/**
+ * Decode a byte source frame by frame
+ *
+ * @example
+ * for await (const frame of decodeIterable(response.body, { signal })) {
+ *   play(frame.pcm, frame.sampleRate, frame.channels)
+ * }
+ *
+ * @param {ReadableStream|AsyncIterable<Uint8Array>} source - AAC bytes (ADTS or LOAS unless options.asc is set)
+ * @param {Object} [options] - Same options as createDecoderTransformStream()
+ * @returns {AsyncGenerator<Object>} - Decoded frames
+ */
+export async function* decodeIterable(source, options = {}) {
+  const { signal } = options
+  const session = new DecodeSession(options)
+
+  try {
+    checkAborted(signal)
+    for await (const chunk of iterate(source, signal)) {
+      yield* await session.push(chunk)
+      checkAborted(signal)
+    }
+    yield* await session.flush()
+  } finally {
+    session.close()
+  }
+}
@@ -2,34 +2,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import FAAD2Decoder from '../faad2_node_decoder.js';
+import { SIGNALING, fromCodecString, outputSampleRate, parseAudioSpecificConfig } from '../faad2_asc.js';
+import { encodeWav } from '../faad2_wav.js';
 import * as MP4Box from 'mp4box';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create WAV file header
-function createWAVHeader(dataSize, sampleRate, channels, bitsPerSample) {
-    const header = Buffer.alloc(44);
-    const byteRate = sampleRate * channels * (bitsPerSample / 8);
-    const blockAlign = channels * (bitsPerSample / 8);
-    
-    header.write('RIFF', 0);
-    header.writeUInt32LE(36 + dataSize, 4);
-    header.write('WAVE', 8);
-    header.write('fmt ', 12);
-    header.writeUInt32LE(16, 16); // fmt chunk size
-    header.writeUInt16LE(1, 20);  // PCM format
-    header.writeUInt16LE(channels, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(byteRate, 28);
-    header.writeUInt16LE(blockAlign, 32);
-    header.writeUInt16LE(bitsPerSample, 34);
-    header.write('data', 36);
-    header.writeUInt32LE(dataSize, 40);
-    
-    return header;
-}
-
 async function extractAudioWithMP4Box(mp4FilePath) {
     return new Promise((resolve, reject) => {
         console.log('=== Parsing MP4 with MP4Box ===\n');
@@ -97,53 +76,17 @@ async function extractAudioWithMP4Box(mp4FilePath) {
             
             // If no AudioSpecificConfig found, create one from codec string
             if (!audioConfig && audioTrack.codec) {
-                // Parse codec string like "mp4a.40.5"
-                const codecParts = audioTrack.codec.split('.');
-                if (codecParts.length >= 3 && codecParts[0] === 'mp4a' && codecParts[1] === '40') {
-                    const objectType = parseInt(codecParts[2], 10);
-                    console.log(`\nCreating AudioSpecificConfig from codec string:`);
-                    console.log(`  Codec: ${audioTrack.codec}`);
-                    console.log(`  Object Type: ${objectType} (${objectType === 5 ? 'HE-AAC' : objectType === 2 ? 'AAC-LC' : 'Unknown'})`);
-                    
-                    // For HE-AAC (objectType 5), we need to create proper ASC
-                    // HE-AAC uses AAC-LC (2) as base + SBR extension
-                    const sampleRate = audioTrack.audio.sample_rate;
-                    const channels = audioTrack.audio.channel_count;
-                    
-                    // Get sample rate index
-                    const sampleRates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
-                    let sampleRateIndex = sampleRates.indexOf(sampleRate);
-                    if (sampleRateIndex === -1) sampleRateIndex = 15; // escape value
-                    
-                    if (objectType === 5) {
-                        // HE-AAC: use half sample rate for core
-                        const coreSampleRate = sampleRate / 2;
-                        let coreSampleRateIndex = sampleRates.indexOf(coreSampleRate);
-                        if (coreSampleRateIndex === -1) coreSampleRateIndex = 15;
-                        
-                        // ASC for HE-AAC: [5 bits audioObjectType][4 bits sampleRateIndex][4 bits channelConfig]
-                        //                 [5 bits extensionAudioObjectType=5][4 bits extSampleRateIndex]
-                        audioConfig = Buffer.alloc(4);
-                        audioConfig[0] = (objectType << 3) | (coreSampleRateIndex >> 1);
-                        audioConfig[1] = ((coreSampleRateIndex & 0x1) << 7) | (channels << 3) | 0x04; // syncExtensionType start
-                        audioConfig[2] = 0x56; // syncExtensionType continued + SBR flag
-                        audioConfig[3] = 0xE5 | (sampleRateIndex << 3); // actual output sample rate
-                        
-                        console.log(`  Core Sample Rate: ${coreSampleRate} Hz (index ${coreSampleRateIndex})`);
-                        console.log(`  Output Sample Rate: ${sampleRate} Hz (index ${sampleRateIndex})`);
-                        console.log(`  Channels: ${channels}`);
-                        console.log(`  ✓ Generated HE-AAC AudioSpecificConfig: ${audioConfig.toString('hex')}`);
-                    } else {
-                        // Standard AAC-LC
-                        audioConfig = Buffer.alloc(2);
-                        audioConfig[0] = (objectType << 3) | (sampleRateIndex >> 1);
-                        audioConfig[1] = ((sampleRateIndex & 0x1) << 7) | (channels << 3);
-                        
-                        console.log(`  Sample Rate: ${sampleRate} Hz (index ${sampleRateIndex})`);
-                        console.log(`  Channels: ${channels}`);
-                        console.log(`  ✓ Generated AAC-LC AudioSpecificConfig: ${audioConfig.toString('hex')}`);
-                    }
-                }
+                const sampleRate = audioTrack.audio.sample_rate;
+                const channels = audioTrack.audio.channel_count;
+                audioConfig = Buffer.from(fromCodecString(audioTrack.codec, sampleRate, channels));
+
+                const config = parseAudioSpecificConfig(audioConfig);
+                console.log(`\nCreating AudioSpecificConfig from codec string:`);
+                console.log(`  Codec: ${audioTrack.codec}`);
+                console.log(`  Core Sample Rate: ${config.samplingFrequency} Hz (index ${config.samplingFrequencyIndex})`);
+                console.log(`  Output Sample Rate: ${outputSampleRate(config)} Hz`);
+                console.log(`  Channels: ${channels}`);
+                console.log(`  ✓ Generated AudioSpecificConfig: ${audioConfig.toString('hex')}`);
             }
             
             console.log(`\n=== Extracting Audio Samples ===\n`);
@@ -221,20 +164,15 @@ async function testMP4NativeDecode() {
         
         if (track && track.codec === 'mp4a.40.5') {
             // HE-AAC v1: Use AAC-LC ASC and let FAAD2 detect SBR implicitly
-            const channels = track.audio.channel_count;
-            
-            // Use 22050 Hz (core rate) for HE-AAC
-            const sampleRates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
-            const sampleRateIndex = 7; // 22050 Hz
-            
-            finalASC = Buffer.alloc(2);
-            finalASC[0] = (2 << 3) | (sampleRateIndex >> 1); // AAC-LC (2)
-            finalASC[1] = ((sampleRateIndex & 0x1) << 7) | (channels << 3);
+            finalASC = Buffer.from(fromCodecString(track.codec, track.audio.sample_rate, track.audio.channel_count, {
+                signaling: SIGNALING.IMPLICIT
+            }));
+            const config = parseAudioSpecificConfig(finalASC);
             
             console.log(`Generated ASC for HE-AAC (implicit SBR):`);
             console.log(`  Profile: AAC-LC (2) - SBR will be detected from bitstream`);
-            console.log(`  Core Sample Rate: 22050 Hz (index ${sampleRateIndex})`);
-            console.log(`  Channels: ${channels}`);
+            console.log(`  Core Sample Rate: ${config.samplingFrequency} Hz (index ${config.samplingFrequencyIndex})`);
+            console.log(`  Channels: ${track.audio.channel_count}`);
             console.log(`  ASC bytes: ${finalASC.toString('hex')}`);
             console.log(``);
         } else if (audioConfig) {
@@ -335,8 +273,7 @@ async function testMP4NativeDecode() {
             
             // Create WAV file with proper header
             const wavFile = path.join(__dirname, 'decoded_native.wav');
-            const wavHeader = createWAVHeader(pcm16.buffer.byteLength, sampleRate, 2, 16);
-            const wavData = Buffer.concat([wavHeader, Buffer.from(pcm16.buffer)]);
+            const wavData = encodeWav([{ pcm: pcm16, format: 's16', sampleRate, channels: 2 }]);
             fs.writeFileSync(wavFile, wavData);
             console.log(`✓ Saved WAV file: ${path.basename(wavFile)}`);
             console.log(`  Size: ${(wavData.length / 1024 / 1024).toFixed(2)} MB`);
@@ -0,0 +1,131 @@
+import assert from 'assert/strict';
+import { ADTSParser, parseADTSHeader } from '../faad2_adts.js';
+
+// AAC-LC, 44100 Hz, stereo, no CRC, frame_length 16, buffer fullness 0x7FF
+const HEADER = [0xFF, 0xF1, 0x50, 0x80, 0x02, 0x1F, 0xFC];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function frame(fill) {
+    return Uint8Array.from([...HEADER, ...new Array(9).fill(fill)]);
+}
+
+function concat(...parts) {
+    return Uint8Array.from(parts.flatMap((part) => [...part]));
+}
+
+// Push data in chunks of `size` bytes, then flush
+function split(data, size) {
+    const parser = new ADTSParser();
+    const frames = [];
+    for (let offset = 0; offset < data.length; offset += size) {
+        frames.push(...parser.push(data.subarray(offset, offset + size)));
+    }
+    frames.push(...parser.flush());
+    return { frames, skippedBytes: parser.skippedBytes };
+}
+
+function testHeader() {
+    console.log('=== parseADTSHeader ===\n');
+
+    check('AAC-LC 44100 Hz stereo', () => {
+        assert.deepEqual(parseADTSHeader(Uint8Array.from(HEADER)), {
+            mpegVersion: 4,
+            protectionAbsent: 1,
+            profile: 2,
+            sampleRateIndex: 4,
+            sampleRate: 44100,
+            channelConfig: 2,
+            channels: 2,
+            frameLength: 16,
+            headerSize: 7,
+            rawDataBlocks: 1,
+        });
+    });
+    check('MPEG-2 ID bit', () => {
+        assert.equal(parseADTSHeader(Uint8Array.from([0xFF, 0xF9, ...HEADER.slice(2)])).mpegVersion, 2);
+    });
+    check('CRC present: 9-byte header', () => {
+        assert.equal(parseADTSHeader(Uint8Array.from([0xFF, 0xF0, ...HEADER.slice(2)])).headerSize, 9);
+    });
+    check('24000 Hz, channel configuration 7 (8 channels)', () => {
+        // profile 1 (LC), sampling_frequency_index 6, channel_configuration 7
+        const header = parseADTSHeader(Uint8Array.from([0xFF, 0xF1, 0x59, 0xC0, 0x02, 0x1F, 0xFC]));
+        assert.equal(header.sampleRate, 24000);
+        assert.equal(header.channelConfig, 7);
+        assert.equal(header.channels, 8);
+    });
+    check('rejects layer != 0', () => {
+        assert.equal(parseADTSHeader(Uint8Array.from([0xFF, 0xF3, ...HEADER.slice(2)])), null);
+    });
+    check('rejects sampling_frequency_index 13', () => {
+        assert.equal(parseADTSHeader(Uint8Array.from([0xFF, 0xF1, 0x74, 0x80, 0x02, 0x1F, 0xFC])), null);
+    });
+    check('rejects frame_length <= header size', () => {
+        assert.equal(parseADTSHeader(Uint8Array.from([0xFF, 0xF1, 0x50, 0x80, 0x00, 0xFF, 0xFC])), null);
+    });
+    check('rejects a short buffer', () => {
+        assert.equal(parseADTSHeader(Uint8Array.from(HEADER.slice(0, 6))), null);
+    });
+}
+
+function testSplitter() {
+    console.log('\n=== ADTSParser ===\n');
+
+    const stream = concat(frame(1), frame(2), frame(3));
+
+    for (const size of [1, 5, 16, 48]) {
+        check(`three frames in chunks of ${size} bytes`, () => {
+            const { frames, skippedBytes } = split(stream, size);
+            assert.deepEqual(frames.map((f) => f.offset), [0, 16, 32]);
+            assert.deepEqual(frames.map((f) => f.data[7]), [1, 2, 3]);
+            assert.equal(frames[0].data.length, 16);
+            assert.equal(skippedBytes, 0);
+        });
+    }
+
+    check('resyncs after garbage with a false syncword', () => {
+        // A valid-looking header (frame_length 8) whose next syncword is missing
+        const garbage = [0x00, 0x12, 0xFF, 0xF1, 0x50, 0x80, 0x01, 0x1F, 0xFC, 0xAB, 0xCD];
+        const { frames, skippedBytes } = split(concat(garbage, stream), 4);
+        assert.deepEqual(frames.map((f) => f.offset), [11, 27, 43]);
+        assert.deepEqual(frames.map((f) => f.data[7]), [1, 2, 3]);
+        assert.equal(skippedBytes, 11);
+    });
+
+    check('resyncs after a corrupt frame in the middle', () => {
+        const corrupt = concat(frame(1), [0xFF, 0x00, 0x00, 0x00, 0x00], frame(2), frame(3));
+        const { frames, skippedBytes } = split(corrupt, 7);
+        assert.deepEqual(frames.map((f) => f.offset), [0, 21, 37]);
+        assert.equal(skippedBytes, 5);
+    });
+
+    check('drops a truncated frame at the end of the stream', () => {
+        const { frames, skippedBytes } = split(concat(stream, frame(4).subarray(0, 10)), 16);
+        assert.deepEqual(frames.map((f) => f.data[7]), [1, 2, 3]);
+        assert.equal(skippedBytes, 10);
+    });
+
+    check('reset() forgets buffered bytes', () => {
+        const parser = new ADTSParser();
+        assert.deepEqual(parser.push(frame(1).subarray(0, 10)), []);
+        parser.reset();
+        assert.deepEqual(parser.push(frame(2)).map((f) => f.data[7]), [2]);
+    });
+}
+
+testHeader();
+testSplitter();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,187 @@
+import assert from 'assert/strict';
+import { parseADTSHeader } from '../faad2_adts.js';
+import {
+    AUDIO_OBJECT_TYPE,
+    SIGNALING,
+    channelCount,
+    fromADTSHeader,
+    fromCodecString,
+    outputSampleRate,
+    parseAudioSpecificConfig,
+    pceChannelCount,
+    serializeAudioSpecificConfig,
+} from '../faad2_asc.js';
+
+// Known AudioSpecificConfigs (ISO/IEC 14496-3 1.6.2.1)
+const VECTORS = [
+    {
+        name: 'AAC-LC 44100 Hz stereo',
+        bytes: [0x12, 0x10],
+        objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+        samplingFrequency: 44100,
+        channels: 2,
+        outputRate: 44100,
+        signaling: SIGNALING.IMPLICIT,
+        sbrPresent: null,
+        psPresent: null,
+    },
+    {
+        name: 'HE-AAC, hierarchical (object type 5), 24000/48000 Hz stereo',
+        bytes: [0x2B, 0x11, 0x88, 0x00],
+        objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+        samplingFrequency: 24000,
+        channels: 2,
+        outputRate: 48000,
+        signaling: SIGNALING.HIERARCHICAL,
+        sbrPresent: true,
+        psPresent: null,
+    },
+    {
+        name: 'HE-AAC v2, hierarchical (object type 29), 24000/48000 Hz mono core',
+        bytes: [0xEB, 0x09, 0x88, 0x00],
+        objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+        samplingFrequency: 24000,
+        channels: 2,
+        outputRate: 48000,
+        signaling: SIGNALING.HIERARCHICAL,
+        sbrPresent: true,
+        psPresent: true,
+    },
+    {
+        name: 'HE-AAC, backward-compatible sync extension 0x2B7',
+        bytes: [0x13, 0x10, 0x56, 0xE5, 0x98],
+        objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+        samplingFrequency: 24000,
+        channels: 2,
+        outputRate: 48000,
+        signaling: SIGNALING.BACKWARD_COMPATIBLE,
+        sbrPresent: true,
+        psPresent: null,
+    },
+    {
+        name: 'HE-AAC v2, backward-compatible with PS sync extension 0x548',
+        bytes: [0x13, 0x08, 0x56, 0xE5, 0x9D, 0x48, 0x80],
+        objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+        samplingFrequency: 24000,
+        channels: 2,
+        outputRate: 48000,
+        signaling: SIGNALING.BACKWARD_COMPATIBLE,
+        sbrPresent: true,
+        psPresent: true,
+    },
+    {
+        name: 'AAC-LC with an explicit 24-bit sampling frequency (44000 Hz)',
+        bytes: [0x17, 0x80, 0x55, 0xF0, 0x10],
+        objectType: AUDIO_OBJECT_TYPE.AAC_LC,
+        samplingFrequency: 44000,
+        channels: 2,
+        outputRate: 44000,
+        signaling: SIGNALING.IMPLICIT,
+        sbrPresent: null,
+        psPresent: null,
+    },
+];
+
+// channelConfiguration 0 with a program_config_element for 5.1 at 48000 Hz:
+// front SCE 0 + CPE 0, back CPE 1, LFE 0, empty comment
+const PCE_5_1 = [0x11, 0x80, 0x04, 0xC8, 0x05, 0x00, 0x01, 0x08, 0x80, 0x00];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function testVectors() {
+    console.log('=== parseAudioSpecificConfig / serializeAudioSpecificConfig ===\n');
+
+    for (const vector of VECTORS) {
+        check(vector.name, () => {
+            const config = parseAudioSpecificConfig(Uint8Array.from(vector.bytes));
+            assert.equal(config.objectType, vector.objectType);
+            assert.equal(config.samplingFrequency, vector.samplingFrequency);
+            assert.equal(config.signaling, vector.signaling);
+            assert.equal(config.sbrPresent, vector.sbrPresent);
+            assert.equal(config.psPresent, vector.psPresent);
+            assert.equal(channelCount(config), vector.channels);
+            assert.equal(outputSampleRate(config), vector.outputRate);
+            assert.deepEqual([...serializeAudioSpecificConfig(config)], vector.bytes);
+        });
+    }
+
+    check('escaped object type 42 is not interpreted', () => {
+        // audioObjectType 31 + 6-bit extension 10, 48000 Hz, stereo
+        const config = parseAudioSpecificConfig(Uint8Array.from([0xF9, 0x46, 0x40]));
+        assert.equal(config.objectType, 42);
+        assert.equal(config.samplingFrequency, 48000);
+        assert.equal(config.channelConfiguration, 2);
+        assert.equal(config.gaSpecificConfig, null);
+        assert.equal(config.bitLength, 19);
+    });
+
+    check('960-sample frames (frameLengthFlag)', () => {
+        const config = parseAudioSpecificConfig(Uint8Array.from([0x12, 0x14]));
+        assert.equal(config.gaSpecificConfig.frameLengthFlag, 1);
+    });
+
+    check('program_config_element for 5.1', () => {
+        const config = parseAudioSpecificConfig(Uint8Array.from(PCE_5_1));
+        const pce = config.gaSpecificConfig.programConfigElement;
+        assert.equal(config.channelConfiguration, 0);
+        assert.deepEqual(pce.frontElements, [{ isCpe: 0, tagSelect: 0 }, { isCpe: 1, tagSelect: 0 }]);
+        assert.deepEqual(pce.backElements, [{ isCpe: 1, tagSelect: 1 }]);
+        assert.deepEqual(pce.lfeElements, [0]);
+        assert.equal(pceChannelCount(pce), 6);
+        assert.equal(channelCount(config), 6);
+        assert.equal(config.bitLength, 80);
+        assert.deepEqual([...serializeAudioSpecificConfig(config)], PCE_5_1);
+    });
+
+    check('rejects a config cut short', () => {
+        assert.throws(() => parseAudioSpecificConfig(Uint8Array.from([0x12])));
+    });
+}
+
+function testBuilders() {
+    console.log('\n=== fromCodecString / fromADTSHeader ===\n');
+
+    const cases = [
+        ['mp4a.40.2', 44100, 2, {}, [0x12, 0x10]],
+        ['mp4a.40.5', 48000, 2, {}, [0x2B, 0x11, 0x88, 0x00]],
+        ['mp4a.40.29', 48000, 2, {}, [0xEB, 0x09, 0x88, 0x00]],
+        ['mp4a.40.5', 48000, 2, { signaling: SIGNALING.BACKWARD_COMPATIBLE }, [0x13, 0x10, 0x56, 0xE5, 0x98]],
+        ['mp4a.40.29', 48000, 2, { signaling: SIGNALING.BACKWARD_COMPATIBLE }, [0x13, 0x08, 0x56, 0xE5, 0x9D, 0x48, 0x80]],
+        ['mp4a.40.5', 48000, 2, { signaling: SIGNALING.IMPLICIT }, [0x13, 0x10]],
+        ['mp4a.67', 48000, 6, {}, [0x11, 0xB0]],
+    ];
+    for (const [codec, rate, channels, options, expected] of cases) {
+        const label = options.signaling ? `, ${options.signaling}` : '';
+        check(`${codec} ${rate} Hz ${channels} ch${label}`, () => {
+            assert.deepEqual([...fromCodecString(codec, rate, channels, options)], expected);
+        });
+    }
+
+    check('rejects HE-AAC v2 with more than 2 channels', () => {
+        assert.throws(() => fromCodecString('mp4a.40.29', 48000, 6), /HE-AAC v2/);
+    });
+    check('rejects a non-AAC codec string', () => {
+        assert.throws(() => fromCodecString('opus', 48000, 2), /Not an AAC codec string/);
+    });
+
+    check('ADTS header to ASC', () => {
+        const header = parseADTSHeader(Uint8Array.from([0xFF, 0xF1, 0x50, 0x80, 0x02, 0x1F, 0xFC]));
+        assert.deepEqual([...fromADTSHeader(header)], [0x12, 0x10]);
+    });
+}
+
+testVectors();
+testBuilders();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const pkgDir = path.join(__dirname, '..');
+const rootDir = path.join(pkgDir, '..');
+
+// Build scripts that pass the export list to emcc
+const BUILD_FILES = ['Makefile', 'Makefile.win', 'build.bat'];
+// Exported by Emscripten itself rather than src/faad2_wasm.c
+const RUNTIME_EXPORTS = ['_malloc', '_free'];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+// Every `module._name` the package's JavaScript calls
+function usedExports() {
+    const used = new Set();
+    for (const file of fs.readdirSync(pkgDir).filter((name) => name.endsWith('.js'))) {
+        const source = fs.readFileSync(path.join(pkgDir, file), 'utf8');
+        for (const [, name] of source.matchAll(/\bmodule\._([A-Za-z0-9_]+)/g)) {
+            used.add(`_${name}`);
+        }
+    }
+    return [...used].sort();
+}
+
+// EMSCRIPTEN_KEEPALIVE functions of the glue
+function glueExports() {
+    const source = fs.readFileSync(path.join(rootDir, 'src', 'faad2_wasm.c'), 'utf8');
+    return [...source.matchAll(/EMSCRIPTEN_KEEPALIVE\s+[^(]*?\b(\w+)\s*\(/g)].map(([, name]) => `_${name}`).sort();
+}
+
+// Every EXPORTED_FUNCTIONS list of a build file
+function buildExports(file) {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    return [...source.matchAll(/EXPORTED_FUNCTIONS=['"]\[([^\]]*)\]/g)].map(([, list]) => list.match(/_[A-Za-z]\w*/g).sort());
+}
+
+function checkSources() {
+    console.log('=== Export lists ===\n');
+
+    const used = usedExports();
+    const glue = glueExports();
+    console.log(`JavaScript calls: ${used.join(', ')}`);
+    console.log(`Glue exports:     ${glue.join(', ')}\n`);
+
+    const expected = [...glue, ...RUNTIME_EXPORTS].sort();
+    for (const file of BUILD_FILES) {
+        const lists = buildExports(file);
+        check(`${file} has an EXPORTED_FUNCTIONS list`, () => assert.ok(lists.length > 0));
+        lists.forEach((list, index) => {
+            check(`${file} list ${index + 1} matches the glue`, () => assert.deepEqual(list, expected));
+        });
+    }
+    check('JavaScript only calls exported functions', () => {
+        assert.deepEqual(used.filter((name) => !expected.includes(name)), []);
+    });
+    check('every glue export is called from JavaScript', () => {
+        assert.deepEqual(glue.filter((name) => !used.includes(name)), []);
+    });
+
+    return used;
+}
+
+// The first count ADTS frames of a file, by their frame_length fields
+function adtsFrames(data, count) {
+    const frames = [];
+    for (let offset = 0; frames.length < count && offset + 7 <= data.length;) {
+        const length = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+        frames.push(data.subarray(offset, offset + length));
+        offset += length;
+    }
+    return frames;
+}
+
+async function checkModule(used) {
+    console.log('\n=== Built module ===\n');
+
+    const wasmFile = path.join(pkgDir, 'faad2_wasm.wasm');
+    if (!fs.existsSync(path.join(pkgDir, 'faad2_wasm.mjs')) || !fs.existsSync(wasmFile) || !fs.statSync(wasmFile).size) {
+        failures++;
+        console.error('✗ faad2_wasm.mjs / faad2_wasm.wasm not built; see "Build" in README.md');
+        return;
+    }
+
+    // Loads the module on import
+    const { default: FAAD2Decoder } = await import('../faad2_node_decoder.js');
+    const decoder = new FAAD2Decoder();
+    await decoder.ready;
+    const { module } = decoder;
+
+    check('module exposes every function the JavaScript calls', () => {
+        assert.deepEqual(used.filter((name) => typeof module[name] !== 'function'), []);
+    });
+
+    // Record the calls made through the public API
+    const called = new Set();
+    for (const name of used) {
+        const fn = module[name];
+        if (typeof fn !== 'function') continue;
+        module[name] = (...args) => {
+            called.add(name);
+            return fn(...args);
+        };
+    }
+
+    const frames = adtsFrames(fs.readFileSync(path.join(__dirname, 'output.aac')), 12);
+    const stream = new FAAD2Decoder({ errorPolicy: 'skip' });
+    try {
+        await stream.ready;
+        await stream.configure(frames[0]);
+        stream.decode(frames[0]);
+        stream.decode(frames[1]);
+        stream.decodeBatch(frames.slice(2, 6));
+        stream.seek(8);
+        for (const frame of frames.slice(7)) stream.decode(frame);
+        stream.reset();
+    } finally {
+        stream.destroy();
+        decoder.destroy();
+    }
+
+    console.log(`capabilities: 0x${module._get_faad_capabilities().toString(16)}`);
+    check('get_error_message returns a message', () => {
+        assert.ok(module.UTF8ToString(module._get_error_message(1)).length > 0);
+    });
+    check('every function the JavaScript calls was called', () => {
+        assert.deepEqual(used.filter((name) => !called.has(name)), []);
+    });
+}
+
+async function testExports() {
+    const used = checkSources();
+    await checkModule(used);
+
+    console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+    process.exitCode = failures ? 1 : 0;
+}
+
+testExports().catch((error) => {
+    console.error('\n✗ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+});
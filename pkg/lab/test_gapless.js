@@ -0,0 +1,142 @@
+import assert from 'assert/strict';
+import { GaplessTrimmer, checkGaplessOptions } from '../faad2_gapless.js';
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function trimmer(options) {
+    return new GaplessTrimmer(checkGaplessOptions(options));
+}
+
+// Blocks as [name, start, end]
+const ranges = (entries) => entries.map(({ block, start, end }) => [block, start, end]);
+
+function testOptions() {
+    console.log('=== Options ===\n');
+
+    check('nothing to trim', () => {
+        assert.equal(checkGaplessOptions(), null);
+        assert.equal(checkGaplessOptions({ encoderDelay: 0, paddingSamples: 0 }), null);
+        assert.equal(checkGaplessOptions({ timescale: 44100 }), null);
+    });
+
+    check('defaults', () => {
+        assert.deepEqual(checkGaplessOptions({ encoderDelay: 2112 }), {
+            encoderDelay: 2112, paddingSamples: 0, sampleCount: null, timescale: null,
+        });
+        assert.equal(checkGaplessOptions({ sampleCount: 0 }).sampleCount, 0);
+    });
+
+    check('invalid values', () => {
+        assert.throws(() => checkGaplessOptions({ encoderDelay: -1 }), /Invalid encoderDelay/);
+        assert.throws(() => checkGaplessOptions({ paddingSamples: 1.5 }), /Invalid paddingSamples/);
+        assert.throws(() => checkGaplessOptions({ encoderDelay: 1, timescale: 0 }), /Invalid timescale/);
+    });
+}
+
+function testKnownLength() {
+    console.log('\n=== Known length ===\n');
+
+    check('cuts priming and end by position', () => {
+        const gapless = trimmer({ encoderDelay: 2112, paddingSamples: 960, sampleCount: 3000 });
+        // The first access unit returns no samples
+        gapless.hold();
+        const out = ['a', 'b', 'c', 'd', 'e'].flatMap((name) => gapless.push(name, 1024, 44100));
+        assert.deepEqual(ranges(out), [['b', 64, 1024], ['c', 0, 1024], ['d', 0, 1016]]);
+        assert.equal(gapless.holdsBack, false);
+        assert.deepEqual(gapless.flush(), []);
+    });
+
+    check('counts in a timescale are converted to the output rate', () => {
+        // 44.1 kHz track with SBR: output at 88.2 kHz
+        const gapless = trimmer({ encoderDelay: 1024, sampleCount: 2048, timescale: 44100 });
+        const out = ['a', 'b', 'c', 'd'].flatMap((name) => gapless.push(name, 2048, 88200));
+        assert.deepEqual(ranges(out), [['b', 0, 2048], ['c', 0, 2048]]);
+    });
+
+    check('clock start', () => {
+        assert.deepEqual(trimmer({ encoderDelay: 2112 }).clockStart, [0, 2112]);
+        assert.deepEqual(trimmer({ encoderDelay: 2112, timescale: 44100 }).clockStart, [-47891, 0]);
+    });
+}
+
+function testUnknownLength() {
+    console.log('\n=== Unknown length ===\n');
+
+    check('padding longer than one block is held back', () => {
+        const gapless = trimmer({ paddingSamples: 1500 });
+        assert.equal(gapless.holdsBack, true);
+        assert.deepEqual(gapless.push('a', 1024, 44100), []);
+        assert.deepEqual(gapless.push('b', 1024, 44100), []);
+        assert.deepEqual(ranges(gapless.push('c', 1024, 44100)), [['a', 0, 1024]]);
+        assert.deepEqual(ranges(gapless.flush()), [['b', 0, 548]]);
+    });
+
+    check('one push can release several blocks', () => {
+        const gapless = trimmer({ paddingSamples: 1500 });
+        const early = ['a', 'b', 'c', 'd'].flatMap((name) => gapless.push(name, 512, 44100));
+        assert.deepEqual(ranges(early), [['a', 0, 512]]);
+        assert.deepEqual(ranges(gapless.push('e', 4096, 44100)), [['b', 0, 512], ['c', 0, 512], ['d', 0, 512]]);
+        assert.deepEqual(ranges(gapless.flush()), [['e', 0, 2596]]);
+    });
+
+    check('priming and padding together', () => {
+        const gapless = trimmer({ encoderDelay: 2112, paddingSamples: 500 });
+        gapless.hold();
+        const out = ['a', 'b', 'c', 'd'].flatMap((name) => gapless.push(name, 1024, 44100));
+        assert.deepEqual(ranges(out), [['b', 64, 1024], ['c', 0, 1024]]);
+        assert.deepEqual(ranges(gapless.flush()), [['d', 0, 524]]);
+    });
+
+    check('stream shorter than the padding', () => {
+        const gapless = trimmer({ paddingSamples: 4096 });
+        assert.deepEqual(gapless.push('a', 1024, 44100), []);
+        assert.deepEqual(gapless.push('b', 1024, 44100), []);
+        assert.deepEqual(gapless.flush(), []);
+    });
+
+    check('output after flush passes through until reset', () => {
+        const gapless = trimmer({ encoderDelay: 100, paddingSamples: 100 });
+        gapless.push('a', 1024, 44100);
+        gapless.flush();
+        assert.equal(gapless.holdsBack, false);
+        assert.deepEqual(ranges(gapless.push('b', 1024, 44100)), [['b', 0, 1024]]);
+
+        gapless.reset();
+        assert.equal(gapless.holdsBack, true);
+        assert.deepEqual(gapless.push('c', 1024, 44100), []);
+        assert.deepEqual(ranges(gapless.flush()), [['c', 100, 924]]);
+    });
+}
+
+function testHeldUnits() {
+    console.log('\n=== Held units ===\n');
+
+    check('several units without output at once', () => {
+        const gapless = trimmer({ encoderDelay: 2112 });
+        gapless.hold(2);
+        assert.deepEqual(ranges(gapless.push('a', 1024, 44100)), [['a', 64, 1024]]);
+    });
+
+    check('priming length', () => {
+        assert.equal(trimmer({ encoderDelay: 2112 }).delayUs(44100), 2112 * 1e6 / 44100);
+        assert.equal(trimmer({ encoderDelay: 2112, timescale: 48000 }).delayUs(88200), 44000);
+    });
+}
+
+testOptions();
+testKnownLength();
+testUnknownLength();
+testHeldUnits();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
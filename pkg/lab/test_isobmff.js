@@ -0,0 +1,262 @@
+import assert from 'assert/strict';
+import { isISOBMFF, parseMovie } from '../faad2_isobmff.js';
+import { Mp4AudioSource } from '../faad2_mp4.js';
+
+// AAC-LC, 44100 Hz, stereo
+const ASC = [0x12, 0x10];
+// Three access units of 4, 5 and 6 bytes
+const SAMPLES = [[1, 1, 1, 1], [2, 2, 2, 2, 2], [3, 3, 3, 3, 3, 3]];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function ascii(text) {
+    return [...text].map((char) => char.charCodeAt(0));
+}
+
+function u16(value) {
+    return [(value >> 8) & 0xFF, value & 0xFF];
+}
+
+function u32(value) {
+    return [value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+function box(type, ...parts) {
+    const body = parts.flat();
+    return [...u32(8 + body.length), ...ascii(type), ...body];
+}
+
+function fullBox(type, version, flags, ...parts) {
+    return box(type, [version, (flags >> 16) & 0xFF, (flags >> 8) & 0xFF, flags & 0xFF], ...parts);
+}
+
+function esds(oti, asc) {
+    const specificInfo = [0x05, asc.length, ...asc];
+    const decoderConfig = [0x04, 13 + specificInfo.length, oti, 0x15, 0, 0, 0, ...u32(0), ...u32(0), ...specificInfo];
+    const es = [0x03, 3 + decoderConfig.length, ...u16(1), 0, ...decoderConfig];
+    return fullBox('esds', 0, 0, es);
+}
+
+function sampleEntry(type, { oti = 0x40, asc = ASC } = {}) {
+    return box(type,
+        new Array(6).fill(0), u16(1), // reserved, data_reference_index
+        u16(0), u16(0), u32(0), // version, revision, vendor
+        u16(2), u16(16), u16(0), u16(0), // channels, sample size, compression id, packet size
+        u32(44100 * 0x10000),
+        esds(oti, asc));
+}
+
+// A file with one track: stbl(mdatOffset) returns its sample table boxes, trak and moov
+// add boxes to those containers, after adds top-level boxes between moov and mdat
+function buildFile({ entry = sampleEntry('mp4a'), stbl, trak = [], moov = [], after = [], handler = 'soun' }) {
+    const build = (mdatOffset) => {
+        const track = box('trak',
+            fullBox('tkhd', 0, 3, u32(0), u32(0), u32(7), new Array(68).fill(0)),
+            ...trak,
+            box('mdia',
+                fullBox('mdhd', 0, 0, u32(0), u32(0), u32(44100), u32(3072), u16(0x15C7), u16(0)), // 'eng'
+                fullBox('hdlr', 0, 0, u32(0), ascii(handler), new Array(12).fill(0), [0]),
+                box('minf', box('stbl', fullBox('stsd', 0, 0, u32(1), entry), ...stbl(mdatOffset)))));
+        return [
+            ...box('ftyp', ascii('M4A '), u32(0), ascii('isom')),
+            ...box('moov', fullBox('mvhd', 0, 0, u32(0), u32(0), u32(1000), u32(70), new Array(80).fill(0)), track, ...moov),
+            ...after.flat(),
+        ];
+    };
+    const head = build(0);
+    return Uint8Array.from([...build(head.length + 8), ...box('mdat', ...SAMPLES)]);
+}
+
+// Samples 0-1 in the first chunk, sample 2 in the second
+function progressiveTables(mdatOffset, { co64 = false, extra = [] } = {}) {
+    const chunks = [mdatOffset, mdatOffset + 9];
+    return [
+        fullBox('stts', 0, 0, u32(1), u32(3), u32(1024)),
+        fullBox('stsc', 0, 0, u32(2), u32(1), u32(2), u32(1), u32(2), u32(1), u32(1)),
+        fullBox('stsz', 0, 0, u32(0), u32(3), ...SAMPLES.map((sample) => u32(sample.length))),
+        co64
+            ? fullBox('co64', 0, 0, u32(2), ...chunks.map((offset) => [...u32(0), ...u32(offset)]))
+            : fullBox('stco', 0, 0, u32(2), ...chunks.map(u32)),
+        ...extra,
+    ];
+}
+
+const emptyTables = () => [
+    fullBox('stts', 0, 0, u32(0)),
+    fullBox('stsc', 0, 0, u32(0)),
+    fullBox('stsz', 0, 0, u32(0), u32(0)),
+    fullBox('stco', 0, 0, u32(0)),
+];
+
+function testProgressive() {
+    console.log('=== Progressive MP4 ===\n');
+
+    const file = buildFile({ stbl: (offset) => progressiveTables(offset) });
+
+    check('isISOBMFF', () => {
+        assert.equal(isISOBMFF(file), true);
+        assert.equal(isISOBMFF(Uint8Array.from([0xFF, 0xF1, 0x50, 0x80, 0x02, 0x1F, 0xFC, 0x00])), false);
+    });
+
+    check('track fields', () => {
+        const movie = parseMovie(file);
+        assert.deepEqual(movie.brands, { major: 'M4A ', compatible: ['isom'] });
+        assert.equal(movie.fragmented, false);
+        assert.equal(movie.timescale, 1000);
+        const [track] = movie.tracks;
+        assert.equal(track.id, 7);
+        assert.equal(track.type, 'audio');
+        assert.equal(track.codec, 'mp4a.40.2');
+        assert.equal(track.language, 'eng');
+        assert.equal(track.timescale, 44100);
+        assert.equal(track.sampleRate, 44100);
+        assert.equal(track.channels, 2);
+        assert.equal(track.objectTypeIndication, 0x40);
+        assert.deepEqual([...track.asc], ASC);
+        assert.equal(track.encrypted, false);
+    });
+
+    check('stsc runs and stco offsets', () => {
+        const source = new Mp4AudioSource(file);
+        assert.deepEqual(source.samples.map((sample) => sample.dts), [0, 1024, 2048]);
+        assert.deepEqual(SAMPLES.map((_, i) => [...source.readSample(i)]), SAMPLES);
+    });
+
+    check('co64 offsets', () => {
+        const source = new Mp4AudioSource(buildFile({ stbl: (offset) => progressiveTables(offset, { co64: true }) }));
+        assert.deepEqual([...source.readSample(2)], SAMPLES[2]);
+    });
+
+    check('ctts version 1 and stss', () => {
+        const extra = [
+            fullBox('ctts', 1, 0, u32(1), u32(3), u32(-1024 >>> 0)),
+            fullBox('stss', 0, 0, u32(1), u32(2)),
+        ];
+        const [track] = parseMovie(buildFile({ stbl: (offset) => progressiveTables(offset, { extra }) })).tracks;
+        assert.deepEqual(track.samples.map((sample) => sample.cts), [-1024, 0, 1024]);
+        assert.deepEqual(track.samples.map((sample) => sample.isSync), [false, true, false]);
+    });
+
+    check('sample past the end of the file', () => {
+        const source = new Mp4AudioSource(file.subarray(0, file.length - 1));
+        assert.throws(() => source.readSample(2), /past the end/);
+    });
+}
+
+function testFragmented() {
+    console.log('\n=== Fragmented MP4 ===\n');
+
+    // trex defaults: duration 1024, size 4; the trun overrides the sizes
+    const trex = fullBox('trex', 0, 0, u32(7), u32(1), u32(1024), u32(4), u32(0));
+    const moof = (dataOffset) => box('moof',
+        fullBox('mfhd', 0, 0, u32(1)),
+        box('traf',
+            fullBox('tfhd', 0, 0x020000, u32(7)), // default-base-is-moof
+            fullBox('tfdt', 1, 0, u32(0), u32(90000)),
+            fullBox('trun', 0, 0x000201, u32(3), u32(dataOffset), ...SAMPLES.map((sample) => u32(sample.length)))));
+
+    // The trun data offset is relative to the moof, which ends right before mdat
+    const moofLength = moof(0).length;
+    const file = buildFile({ stbl: emptyTables, moov: [box('mvex', trex)], after: [moof(moofLength + 8)] });
+
+    check('moof/traf/trun samples', () => {
+        const movie = parseMovie(file);
+        assert.equal(movie.fragmented, true);
+        const [track] = movie.tracks;
+        assert.deepEqual(track.samples.map((sample) => sample.dts), [90000, 91024, 92048]);
+        assert.deepEqual(track.samples.map((sample) => sample.duration), [1024, 1024, 1024]);
+
+        const source = new Mp4AudioSource(file);
+        assert.deepEqual(SAMPLES.map((_, i) => [...source.readSample(i)]), SAMPLES);
+    });
+}
+
+function testTrackSelection() {
+    console.log('\n=== Track selection ===\n');
+
+    check('encrypted enca track', () => {
+        const file = buildFile({ entry: sampleEntry('enca'), stbl: (offset) => progressiveTables(offset) });
+        assert.equal(parseMovie(file).tracks[0].encrypted, true);
+        assert.throws(() => new Mp4AudioSource(file), /encrypted/);
+    });
+    check('MPEG-1 audio track is not AAC', () => {
+        const file = buildFile({ entry: sampleEntry('mp4a', { oti: 0x6B }), stbl: (offset) => progressiveTables(offset) });
+        assert.throws(() => new Mp4AudioSource(file), /No AAC audio track/);
+    });
+    check('video track is skipped', () => {
+        const file = buildFile({ handler: 'vide', stbl: (offset) => progressiveTables(offset) });
+        assert.throws(() => new Mp4AudioSource(file), /No AAC audio track/);
+    });
+    check('missing moov', () => {
+        assert.throws(() => parseMovie(Uint8Array.from(box('ftyp', ascii('isom'), u32(0)))), /no moov/);
+    });
+}
+
+function testPriming() {
+    console.log('\n=== Priming and padding ===\n');
+
+    // The media is 3 × 1024 samples long
+    const elst = (mediaTime, segmentDuration = 0) =>
+        box('edts', fullBox('elst', 0, 0, u32(1), u32(segmentDuration), u32(mediaTime >>> 0), u16(1), u16(0)));
+    const smpb = (delay, padding, count) => {
+        const value = ` 00000000 ${[delay, padding].map((n) => n.toString(16).toUpperCase().padStart(8, '0')).join(' ')} ${count.toString(16).toUpperCase().padStart(16, '0')}`;
+        return box('udta', fullBox('meta', 0, 0,
+            fullBox('hdlr', 0, 0, u32(0), ascii('mdir'), new Array(12).fill(0), [0]),
+            box('ilst', box('----',
+                fullBox('mean', 0, 0, ascii('com.apple.iTunes')),
+                fullBox('name', 0, 0, ascii('iTunSMPB')),
+                box('data', u32(1), u32(0), ascii(value))))));
+    };
+    const roll = fullBox('sgpd', 1, 0, ascii('roll'), u32(2), u32(1), u16(-1 & 0xFFFF));
+    const gapless = (options) => new Mp4AudioSource(buildFile({ stbl: (offset) => progressiveTables(offset, options.tables), ...options })).gapless;
+
+    check('elst media_time and segment duration', () => {
+        // 1000 presented samples at the movie timescale 1000 Hz
+        assert.deepEqual(gapless({ trak: [elst(1024, 25)] }), {
+            encoderDelay: 1024, paddingSamples: 3072 - 1024 - 1103, sampleCount: 1103, timescale: 44100, source: 'elst',
+        });
+    });
+    check('elst takes precedence over iTunSMPB and roll', () => {
+        const result = gapless({ trak: [elst(1024), smpb(512, 100, 2000)], tables: { extra: [roll] } });
+        assert.equal(result.source, 'elst');
+        assert.equal(result.encoderDelay, 1024);
+        assert.equal(result.sampleCount, 2048);
+    });
+    check('iTunSMPB when the edit starts at media time 0', () => {
+        const result = gapless({ trak: [elst(0), smpb(512, 100, 2000)], tables: { extra: [roll] } });
+        assert.deepEqual(result, { encoderDelay: 512, paddingSamples: 100, sampleCount: 2000, timescale: 44100, source: 'iTunSMPB' });
+    });
+    check('movie-level iTunSMPB', () => {
+        assert.equal(gapless({ moov: [smpb(512, 100, 2000)] }).source, 'iTunSMPB');
+    });
+    check('roll sample group as the last resort', () => {
+        assert.deepEqual(gapless({ tables: { extra: [roll] } }), {
+            encoderDelay: 1024, paddingSamples: 0, sampleCount: null, timescale: 44100, source: 'roll',
+        });
+    });
+    check('no priming information', () => {
+        assert.equal(gapless({}), null);
+    });
+    check('priming output has negative timestamps', () => {
+        const source = new Mp4AudioSource(buildFile({ trak: [elst(1024)], stbl: (offset) => progressiveTables(offset) }));
+        assert.deepEqual(source.samples.map((sample) => sample.timestamp), [-23220, 0, 23220]);
+    });
+}
+
+testProgressive();
+testFragmented();
+testTrackSelection();
+testPriming();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,134 @@
+import assert from 'assert/strict';
+import { BitReader } from '../faad2_bits.js';
+import { ADTSParser } from '../faad2_adts.js';
+import { LATMDemuxer, LOASParser, createTransportParser, parseLOASHeader, parseStreamMuxConfig } from '../faad2_latm.js';
+
+// AudioMuxElement with a StreamMuxConfig (audioMuxVersion 0, one program and
+// layer, frameLengthType 0, latmBufferFullness 0xFF) for the ASC 11 90
+// (AAC-LC, 48000 Hz, stereo) and a 3-byte payload AA BB CC
+const FRAME_WITH_CONFIG = [0x56, 0xE0, 0x0A, 0x20, 0x00, 0x11, 0x90, 0x1F, 0xE0, 0x1D, 0x55, 0xDE, 0x60];
+// useSameStreamMux = 1 and a 2-byte payload 01 02
+const FRAME_SAME_CONFIG = [0x56, 0xE0, 0x04, 0x81, 0x00, 0x81, 0x00];
+// As FRAME_WITH_CONFIG with the ASC 12 10 (AAC-LC, 44100 Hz, stereo)
+const FRAME_NEW_CONFIG = [0x56, 0xE0, 0x0A, 0x20, 0x00, 0x12, 0x10, 0x1F, 0xE0, 0x1D, 0x55, 0xDE, 0x60];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function bytes(array) {
+    return Uint8Array.from(array);
+}
+
+function testStreamMuxConfig() {
+    console.log('=== parseLOASHeader / parseStreamMuxConfig ===\n');
+
+    check('LOAS header', () => {
+        assert.deepEqual(parseLOASHeader(bytes(FRAME_WITH_CONFIG)), { muxLength: 10, frameLength: 13, headerSize: 3 });
+    });
+    check('rejects a zero audioMuxLengthBytes', () => {
+        assert.equal(parseLOASHeader(bytes([0x56, 0xE0, 0x00])), null);
+    });
+    check('rejects a missing syncword', () => {
+        assert.equal(parseLOASHeader(bytes([0x56, 0xC0, 0x0A])), null);
+    });
+
+    check('StreamMuxConfig fields', () => {
+        const reader = new BitReader(bytes(FRAME_WITH_CONFIG), 3);
+        assert.equal(reader.readBit(), 0); // useSameStreamMux
+        const config = parseStreamMuxConfig(reader);
+        assert.equal(config.audioMuxVersion, 0);
+        assert.equal(config.allStreamsSameTimeFraming, 1);
+        assert.equal(config.numSubFrames, 0);
+        assert.equal(config.otherDataLenBits, 0);
+        assert.equal(config.streams.length, 1);
+        assert.equal(config.streams[0].frameLengthType, 0);
+        assert.deepEqual([...config.asc], [0x11, 0x90]);
+        // The reader stops at PayloadLengthInfo
+        assert.equal(reader.readBits(8), 3);
+    });
+    check('rejects allStreamsSameTimeFraming 0', () => {
+        assert.throws(() => parseStreamMuxConfig(new BitReader(bytes([0x00, 0x00, 0x00, 0x00]))), /allStreamsSameTimeFraming/);
+    });
+}
+
+function testDemuxer() {
+    console.log('\n=== LATMDemuxer ===\n');
+
+    const demuxer = new LATMDemuxer();
+    check('no output before the first StreamMuxConfig', () => {
+        assert.equal(demuxer.parse(bytes(FRAME_SAME_CONFIG)), null);
+    });
+    check('frame with StreamMuxConfig', () => {
+        const result = demuxer.parse(bytes(FRAME_WITH_CONFIG));
+        assert.deepEqual([...result.asc], [0x11, 0x90]);
+        assert.equal(result.configChanged, true);
+        assert.deepEqual(result.payloads.map((payload) => [...payload]), [[0xAA, 0xBB, 0xCC]]);
+    });
+    check('frame reusing the StreamMuxConfig', () => {
+        const result = demuxer.parse(bytes(FRAME_SAME_CONFIG));
+        assert.equal(result.configChanged, false);
+        assert.deepEqual(result.payloads.map((payload) => [...payload]), [[0x01, 0x02]]);
+    });
+    check('repeated StreamMuxConfig is not a change', () => {
+        assert.equal(demuxer.parse(bytes(FRAME_WITH_CONFIG)).configChanged, false);
+    });
+    check('new AudioSpecificConfig is reported', () => {
+        const result = demuxer.parse(bytes(FRAME_NEW_CONFIG));
+        assert.equal(result.configChanged, true);
+        assert.deepEqual([...result.asc], [0x12, 0x10]);
+    });
+    check('rejects a frame without LOAS header', () => {
+        assert.throws(() => demuxer.parse(bytes([0x00, 0x01, 0x02])), /Invalid LOAS frame/);
+    });
+}
+
+function testParser() {
+    console.log('\n=== LOASParser ===\n');
+
+    const stream = bytes([...FRAME_WITH_CONFIG, ...FRAME_SAME_CONFIG, ...FRAME_NEW_CONFIG]);
+
+    for (const size of [1, 4, stream.length]) {
+        check(`three frames in chunks of ${size} bytes`, () => {
+            const parser = new LOASParser();
+            const frames = [];
+            for (let offset = 0; offset < stream.length; offset += size) {
+                frames.push(...parser.push(stream.subarray(offset, offset + size)));
+            }
+            frames.push(...parser.flush());
+            assert.deepEqual(frames.map((frame) => frame.offset), [0, 13, 20]);
+            assert.deepEqual([...frames[1].data], FRAME_SAME_CONFIG);
+            assert.equal(parser.skippedBytes, 0);
+        });
+    }
+
+    check('resyncs after garbage', () => {
+        const parser = new LOASParser();
+        const frames = [...parser.push(bytes([0x01, 0x56, 0x02, ...stream])), ...parser.flush()];
+        assert.deepEqual(frames.map((frame) => frame.offset), [3, 16, 23]);
+        assert.equal(parser.skippedBytes, 3);
+    });
+
+    check('createTransportParser picks LOAS', () => {
+        assert.ok(createTransportParser(stream) instanceof LOASParser);
+    });
+    check('createTransportParser picks ADTS', () => {
+        const parser = createTransportParser(bytes([0xFF, 0xF1, 0x50, 0x80, 0x02, 0x1F, 0xFC]));
+        assert.ok(parser instanceof ADTSParser && !(parser instanceof LOASParser));
+    });
+}
+
+testStreamMuxConfig();
+testDemuxer();
+testParser();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,192 @@
+import assert from 'assert/strict';
+import { ADTSParser } from '../faad2_adts.js';
+import { LOASParser } from '../faad2_latm.js';
+import { STREAM_TYPE, TSDemuxer, TS_PACKET_SIZE, ptsToMicroseconds } from '../faad2_mpegts.js';
+
+const PMT_PID = 0x100;
+const AUDIO_PID = 0x101;
+const VIDEO_PID = 0x102;
+const PTS_WRAP = 2 ** 33;
+
+// AAC-LC, 44100 Hz, stereo, no CRC, frame_length 16
+const ADTS_HEADER = [0xFF, 0xF1, 0x50, 0x80, 0x02, 0x1F, 0xFC];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function adtsFrame(fill) {
+    return [...ADTS_HEADER, ...new Array(9).fill(fill)];
+}
+
+/**
+ * One TS packet, padded to 188 bytes with adaptation field stuffing
+ */
+function packet(pid, { start = false, cc = 0, payload }) {
+    const header = [0x47, (start ? 0x40 : 0) | (pid >> 8), pid & 0xFF];
+    const stuffing = 184 - payload.length;
+    if (!stuffing) return [...header, 0x10 | cc, ...payload];
+    const adaptation = stuffing === 1 ? [0] : [stuffing - 1, 0x00, ...new Array(stuffing - 2).fill(0xFF)];
+    return [...header, 0x30 | cc, ...adaptation, ...payload];
+}
+
+// PSI section with pointer_field; the CRC is not checked
+function section(tableId, body) {
+    const length = 5 + body.length + 4;
+    return [0x00, tableId, 0xB0 | (length >> 8), length & 0xFF, 0x00, 0x01, 0xC1, 0x00, 0x00, ...body, 0, 0, 0, 0];
+}
+
+function pat() {
+    return packet(0, { start: true, payload: section(0x00, [0x00, 0x01, 0xE0 | (PMT_PID >> 8), PMT_PID & 0xFF]) });
+}
+
+function pmt(streams) {
+    const loop = streams.flatMap(([type, pid]) => [type, 0xE0 | (pid >> 8), pid & 0xFF, 0xF0, 0x00]);
+    return packet(PMT_PID, { start: true, payload: section(0x02, [0xE0 | (AUDIO_PID >> 8), AUDIO_PID & 0xFF, 0xF0, 0x00, ...loop]) });
+}
+
+function pesHeader(pts, payloadLength) {
+    const ptsBytes = [
+        0x21 | (Math.floor(pts / 2 ** 30) & 0x07) << 1,
+        (Math.floor(pts / 2 ** 22)) & 0xFF,
+        ((Math.floor(pts / 2 ** 15) & 0x7F) << 1) | 1,
+        (Math.floor(pts / 2 ** 7)) & 0xFF,
+        ((pts & 0x7F) << 1) | 1,
+    ];
+    const length = 3 + ptsBytes.length + payloadLength;
+    return [0x00, 0x00, 0x01, 0xC0, length >> 8, length & 0xFF, 0x80, 0x80, ptsBytes.length, ...ptsBytes];
+}
+
+/**
+ * TS packets of one PES packet for the audio PID
+ * @returns {number[][]}
+ */
+function pes(pts, frames, cc) {
+    const payload = frames.flat();
+    const data = [...pesHeader(pts, payload.length), ...payload];
+    const packets = [];
+    for (let pos = 0; pos < data.length; pos += 184) {
+        packets.push(packet(AUDIO_PID, { start: pos === 0, cc: (cc + packets.length) & 0x0F, payload: data.slice(pos, pos + 184) }));
+    }
+    return packets;
+}
+
+function stream(...packets) {
+    return Uint8Array.from(packets.flat(2));
+}
+
+function demux(data, size = data.length, options) {
+    const demuxer = new TSDemuxer(options);
+    const frames = [];
+    for (let offset = 0; offset < data.length; offset += size) {
+        frames.push(...demuxer.push(data.subarray(offset, offset + size)));
+    }
+    frames.push(...demuxer.flush());
+    return { demuxer, frames };
+}
+
+const fills = (frames) => frames.map((frame) => frame.data[7]);
+
+function testDemuxer() {
+    console.log('=== TSDemuxer ===\n');
+
+    // PES 1: frames 1 and 2 at PTS 90000; PES 2: frame 3 at PTS 92090
+    const data = stream(pat(), pmt([[0x1B, VIDEO_PID], [STREAM_TYPE.ADTS, AUDIO_PID]]),
+        pes(90000, [adtsFrame(1), adtsFrame(2)], 0), pes(92090, [adtsFrame(3)], 1));
+
+    for (const size of [1, 100, TS_PACKET_SIZE, data.length]) {
+        check(`ADTS stream in chunks of ${size} bytes`, () => {
+            const { demuxer, frames } = demux(data, size);
+            assert.equal(demuxer.pid, AUDIO_PID);
+            assert.ok(demuxer.parser instanceof ADTSParser);
+            assert.deepEqual(fills(frames), [1, 2, 3]);
+            assert.deepEqual(frames.map((frame) => frame.pts), [90000, null, 92090]);
+            assert.deepEqual(frames.map((frame) => frame.timestamp), [1000000, null, 1023222]);
+            assert.equal(demuxer.skippedBytes, 0);
+        });
+    }
+
+    check('PES spanning several TS packets', () => {
+        const frames = Array.from({ length: 20 }, (_, i) => adtsFrame(i + 1));
+        const result = demux(stream(pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]), pes(0, frames, 0), pes(1920 * 20, [adtsFrame(99)], 2)));
+        assert.deepEqual(fills(result.frames), [...frames.map((_, i) => i + 1), 99]);
+    });
+
+    check('LATM stream type uses the LOAS parser', () => {
+        const { demuxer } = demux(stream(pat(), pmt([[STREAM_TYPE.LATM, AUDIO_PID]])));
+        assert.equal(demuxer.streamType, STREAM_TYPE.LATM);
+        assert.ok(demuxer.parser instanceof LOASParser);
+    });
+
+    check('resyncs after garbage', () => {
+        const { demuxer, frames } = demux(stream([0x00, 0x12, 0xFF], pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]), pes(0, [adtsFrame(1)], 0)));
+        assert.deepEqual(fills(frames), [1]);
+        assert.equal(demuxer.skippedBytes, 3);
+    });
+
+    check('rejects a requested PID that is not AAC', () => {
+        assert.throws(() => demux(stream(pat(), pmt([[0x1B, VIDEO_PID]])), undefined, { pid: VIDEO_PID }), /not AAC/);
+    });
+}
+
+function testContinuity() {
+    console.log('\n=== Continuity ===\n');
+
+    const frames = Array.from({ length: 20 }, (_, i) => adtsFrame(i + 1));
+    const first = pes(0, frames, 0);
+
+    check('lost packet: the incomplete PES is dropped', () => {
+        // Second packet of the first PES is missing, the next PES continues with cc 2
+        const result = demux(stream(pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]), first[0], pes(38400, [adtsFrame(99)], 2)));
+        assert.deepEqual(fills(result.frames), [99]);
+        assert.deepEqual(result.frames.map((frame) => frame.pts), [38400]);
+    });
+
+    check('duplicate packet is ignored', () => {
+        const result = demux(stream(pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]), first[0], first[0], first[1], pes(38400, [adtsFrame(99)], 2)));
+        assert.deepEqual(fills(result.frames), [...frames.map((_, i) => i + 1), 99]);
+    });
+
+    check('continuity counter wraps from 15 to 0', () => {
+        const result = demux(stream(pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]), pes(0, [adtsFrame(1)], 15), pes(1920, [adtsFrame(2)], 0)));
+        assert.deepEqual(fills(result.frames), [1, 2]);
+    });
+}
+
+function testPTS() {
+    console.log('\n=== PTS ===\n');
+
+    check('90 kHz to microseconds', () => {
+        assert.equal(ptsToMicroseconds(90000), 1000000);
+        assert.equal(ptsToMicroseconds(1), 11);
+    });
+
+    check('unwraps the 33-bit PTS', () => {
+        const last = PTS_WRAP - 1000;
+        const { frames } = demux(stream(pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]),
+            pes(last, [adtsFrame(1)], 0), pes(920, [adtsFrame(2)], 1), pes(2840, [adtsFrame(3)], 2)));
+        assert.deepEqual(frames.map((frame) => frame.pts), [last, PTS_WRAP + 920, PTS_WRAP + 2840]);
+        assert.ok(frames[1].timestamp > frames[0].timestamp);
+    });
+
+    check('a PTS slightly backwards does not wrap', () => {
+        const { frames } = demux(stream(pat(), pmt([[STREAM_TYPE.ADTS, AUDIO_PID]]),
+            pes(100000, [adtsFrame(1)], 0), pes(99000, [adtsFrame(2)], 1)));
+        assert.deepEqual(frames.map((frame) => frame.pts), [100000, 99000]);
+    });
+}
+
+testDemuxer();
+testContinuity();
+testPTS();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,187 @@
+import assert from 'assert/strict';
+import { OUTPUT_FORMAT } from '../faad2_options.js';
+import {
+    PCM_FORMAT, checkPCMFormat, checkTarget, convertPCM, createDitherSource, fillSilence, formatForTarget, nativePCMFormat, silence, writePCM,
+} from '../faad2_pcm.js';
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+const S16_MAX = 0x7FFF;
+const S24_MAX = 0x7FFFFF;
+const S32_MAX = 0x7FFFFFFF;
+
+// Full scale, past full scale and half scale, positive and negative
+const FLOAT_SAMPLES = [1, -1, 1.5, -1.5, 0.5, -0.5];
+
+function testFormats() {
+    console.log('=== Formats ===\n');
+
+    check('native formats', () => {
+        assert.equal(nativePCMFormat(OUTPUT_FORMAT.INT16), PCM_FORMAT.S16);
+        assert.equal(nativePCMFormat(OUTPUT_FORMAT.INT24), PCM_FORMAT.S24);
+        assert.equal(nativePCMFormat(OUTPUT_FORMAT.INT32), PCM_FORMAT.S32);
+        assert.equal(nativePCMFormat(OUTPUT_FORMAT.FLOAT), PCM_FORMAT.F32);
+        assert.equal(nativePCMFormat(OUTPUT_FORMAT.DOUBLE), 'f64');
+    });
+
+    check('rejects unknown formats', () => {
+        assert.equal(checkPCMFormat('s24'), 's24');
+        assert.throws(() => checkPCMFormat('f64'), /Unknown PCM format/);
+        assert.throws(() => checkPCMFormat('u8'), /Unknown PCM format/);
+    });
+
+    check('silence', () => {
+        assert.deepEqual(silence('s16', 2, 3), { pcm: new Int16Array(6) });
+        const { channelData } = silence('f32-planar', 2, 3);
+        assert.deepEqual(channelData, [new Float32Array(3), new Float32Array(3)]);
+    });
+}
+
+function testClamping() {
+    console.log('\n=== Clamping at full scale ===\n');
+
+    check('float to s16', () => {
+        const { pcm } = convertPCM(Float32Array.from(FLOAT_SAMPLES), OUTPUT_FORMAT.FLOAT, 1, null, 's16');
+        assert.deepEqual([...pcm], [S16_MAX, -0x8000, S16_MAX, -0x8000, 0x4000, -0x4000]);
+    });
+
+    check('float to s24', () => {
+        const { pcm } = convertPCM(Float32Array.from(FLOAT_SAMPLES), OUTPUT_FORMAT.FLOAT, 1, null, 's24');
+        assert.deepEqual([...pcm], [S24_MAX, -0x800000, S24_MAX, -0x800000, 0x400000, -0x400000]);
+    });
+
+    check('float to s32', () => {
+        const { pcm } = convertPCM(Float32Array.from(FLOAT_SAMPLES), OUTPUT_FORMAT.FLOAT, 1, null, 's32');
+        assert.deepEqual([...pcm], [S32_MAX, -0x80000000, S32_MAX, -0x80000000, 0x40000000, -0x40000000]);
+    });
+
+    check('double to s32', () => {
+        const { pcm } = convertPCM(Float64Array.from(FLOAT_SAMPLES), OUTPUT_FORMAT.DOUBLE, 1, null, 's32');
+        assert.deepEqual([...pcm], [S32_MAX, -0x80000000, S32_MAX, -0x80000000, 0x40000000, -0x40000000]);
+    });
+
+    check('s32 to s16 rounds and clamps', () => {
+        const src = Int32Array.from([S32_MAX, -0x80000000, 0x7FFF8000, 0x00018000, -0x00018000]);
+        const { pcm } = convertPCM(src, OUTPUT_FORMAT.INT32, 1, null, 's16');
+        assert.deepEqual([...pcm], [S16_MAX, -0x8000, S16_MAX, 2, -1]);
+    });
+
+    check('s24 to s32 and s16 to s32 keep full scale', () => {
+        const s24 = convertPCM(Int32Array.from([S24_MAX, -0x800000]), OUTPUT_FORMAT.INT24, 1, null, 's32');
+        assert.deepEqual([...s24.pcm], [0x7FFFFF00, -0x80000000]);
+        const s16 = convertPCM(Int16Array.from([S16_MAX, -0x8000]), OUTPUT_FORMAT.INT16, 1, null, 's32');
+        assert.deepEqual([...s16.pcm], [0x7FFF0000, -0x80000000]);
+    });
+
+    check('s16 to f32 stays inside [-1, 1)', () => {
+        const { pcm } = convertPCM(Int16Array.from([S16_MAX, -0x8000, 0]), OUTPUT_FORMAT.INT16, 1, null, 'f32');
+        assert.deepEqual([...pcm], [S16_MAX / 0x8000, -1, 0]);
+    });
+}
+
+function testLayout() {
+    console.log('\n=== Layout ===\n');
+
+    // Two frames of three channels
+    const src = Int16Array.from([1, 2, 3, 4, 5, 6]);
+
+    check('planar output', () => {
+        const { channelData } = convertPCM(src, OUTPUT_FORMAT.INT16, 3, null, 's16-planar');
+        assert.deepEqual(channelData.map((plane) => [...plane]), [[1, 4], [2, 5], [3, 6]]);
+    });
+
+    check('channel map reorders channels', () => {
+        const { pcm } = convertPCM(src, OUTPUT_FORMAT.INT16, 3, [1, 2, 0], 's16');
+        assert.deepEqual([...pcm], [2, 3, 1, 5, 6, 4]);
+    });
+}
+
+function testDither() {
+    console.log('\n=== Dither ===\n');
+
+    check('dither source is reproducible and in [0, 1)', () => {
+        const a = createDitherSource(1);
+        const b = createDitherSource(1);
+        for (let i = 0; i < 1000; i++) {
+            const value = a();
+            assert.equal(value, b());
+            assert.ok(value >= 0 && value < 1);
+        }
+        assert.notEqual(createDitherSource(0)(), 0);
+    });
+
+    check('dither stays within 1 LSB and never wraps at full scale', () => {
+        const src = new Float32Array(4000);
+        for (let i = 0; i < src.length; i++) src[i] = [1, -1, 0.25, 0][i % 4];
+        const { pcm } = convertPCM(src, OUTPUT_FORMAT.FLOAT, 1, null, 's16', createDitherSource());
+        for (let i = 0; i < pcm.length; i++) {
+            const exact = Math.min(src[i] * 0x8000, S16_MAX);
+            assert.ok(Math.abs(pcm[i] - exact) <= 1, `sample ${i}: ${pcm[i]}`);
+        }
+        assert.ok(pcm.some((value, i) => i % 4 === 2 && value !== 0x2000), 'no noise added');
+    });
+
+    check('no dither for 16-bit sources or wider targets', () => {
+        const random = () => 0.99;
+        const s16 = convertPCM(Int16Array.from([100]), OUTPUT_FORMAT.INT16, 1, null, 's16', random);
+        assert.deepEqual([...s16.pcm], [100]);
+        const s32 = convertPCM(Float32Array.from([0.5]), OUTPUT_FORMAT.FLOAT, 1, null, 's32', random);
+        assert.deepEqual([...s32.pcm], [0x40000000]);
+    });
+}
+
+function testTargets() {
+    console.log('\n=== Targets ===\n');
+
+    check('format follows the target array', () => {
+        assert.equal(formatForTarget(new Float32Array(1)), 'f32');
+        assert.equal(formatForTarget(new Int16Array(1)), 's16');
+        assert.equal(formatForTarget(new Int32Array(1)), 's32');
+        assert.equal(formatForTarget([new Float32Array(1), new Float32Array(1)]), 'f32-planar');
+        assert.equal(formatForTarget([new Int16Array(1)]), 's16-planar');
+        assert.throws(() => formatForTarget(new Uint8Array(1)), TypeError);
+        assert.throws(() => formatForTarget([new Int32Array(1)]), TypeError);
+    });
+
+    check('target size and type are checked', () => {
+        checkTarget('s16', new Int16Array(8), 2, 4);
+        assert.throws(() => checkTarget('s16', new Int16Array(7), 2, 4), RangeError);
+        assert.throws(() => checkTarget('s16', new Float32Array(8), 2, 4), TypeError);
+        checkTarget('f32-planar', [new Float32Array(4), new Float32Array(4)], 2, 4);
+        assert.throws(() => checkTarget('f32-planar', [new Float32Array(4)], 2, 4), TypeError);
+        assert.throws(() => checkTarget('f32-planar', [new Float32Array(4), new Float32Array(3)], 2, 4), RangeError);
+    });
+
+    check('writes at an offset and clamps', () => {
+        const out = new Int16Array(8).fill(-7);
+        writePCM(Float32Array.from([1, -1, 0.5, -1.5]), 4, OUTPUT_FORMAT.FLOAT, 2, null, 's16', out, 1);
+        assert.deepEqual([...out], [-7, -7, S16_MAX, -0x8000, 0x4000, -0x8000, -7, -7]);
+        fillSilence(out, 's16', 2, 3, 1);
+        assert.deepEqual([...out], [-7, -7, S16_MAX, -0x8000, 0x4000, -0x8000, 0, 0]);
+    });
+
+    check('writes planes at an offset', () => {
+        const out = [new Float32Array(3).fill(9), new Float32Array(3).fill(9)];
+        writePCM(Int16Array.from([0x4000, -0x8000, 0, S16_MAX]), 4, OUTPUT_FORMAT.INT16, 2, [1, 0], 'f32-planar', out, 1);
+        assert.deepEqual(out.map((plane) => [...plane]), [[9, -1, S16_MAX / 0x8000], [9, 0.5, 0]]);
+    });
+}
+
+testFormats();
+testClamping();
+testLayout();
+testDither();
+testTargets();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,130 @@
+import assert from 'assert/strict';
+import { AUDIO_OBJECT_TYPE } from '../faad2_asc.js';
+import { OutputClock, accessUnitAt, accessUnitDuration } from '../faad2_timing.js';
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+// One AAC-LC access unit at 44.1 kHz
+const FRAME_US = 1024 * 1e6 / 44100;
+
+function testOutputClock() {
+    console.log('=== OutputClock ===\n');
+
+    check('counts samples without input timestamps', () => {
+        const clock = new OutputClock();
+        const stamps = [0, 1, 2].map(() => clock.stamp(1024, 44100));
+        assert.deepEqual(stamps, [
+            { timestamp: 0, duration: 23220 },
+            { timestamp: 23220, duration: 23220 },
+            { timestamp: 46440, duration: 23220 },
+        ]);
+    });
+
+    check('consecutive blocks tile exactly over a long run', () => {
+        const clock = new OutputClock();
+        let end = 0;
+        for (let i = 0; i < 10000; i++) {
+            const { timestamp, duration } = clock.stamp(1024, 44100);
+            assert.equal(timestamp, end);
+            end = timestamp + duration;
+        }
+        assert.equal(end, Math.round(10000 * FRAME_US));
+    });
+
+    check('input timestamps rebase the counter', () => {
+        const clock = new OutputClock();
+        clock.stamp(1024, 44100);
+        assert.deepEqual(clock.stamp(1024, 44100, 5000000), { timestamp: 5000000, duration: 23220 });
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: 5023220, duration: 23220 });
+    });
+
+    check('units without output move the next block', () => {
+        const clock = new OutputClock();
+        clock.hold();
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: 23220, duration: 23220 });
+        clock.hold();
+        clock.hold();
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: 92880, duration: 23220 });
+    });
+
+    check('a held unit with a timestamp places the next block after it', () => {
+        const clock = new OutputClock();
+        clock.hold(1000000);
+        assert.deepEqual(clock.stamp(2048, 88200), { timestamp: 1023220, duration: 23220 });
+    });
+
+    check('a timestamp on the output block replaces held units', () => {
+        const clock = new OutputClock();
+        clock.hold();
+        assert.deepEqual(clock.stamp(1024, 44100, 2000000), { timestamp: 2000000, duration: 23220 });
+    });
+
+    check('sample rate change continues from the current position', () => {
+        const clock = new OutputClock();
+        clock.stamp(1024, 44100);
+        assert.deepEqual(clock.stamp(2048, 88200), { timestamp: 23220, duration: 23220 });
+        assert.deepEqual(clock.stamp(1024, 48000), { timestamp: 46440, duration: 21333 });
+        assert.deepEqual(clock.stamp(1024, 48000), { timestamp: 67773, duration: 21334 });
+    });
+
+    check('reset starts over at a time', () => {
+        const clock = new OutputClock();
+        clock.stamp(1024, 44100);
+        clock.hold();
+        clock.reset(1000000);
+        assert.equal(clock.position, 1000000);
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: 1000000, duration: 23220 });
+    });
+
+    check('lead samples are counted before the start time', () => {
+        const clock = new OutputClock();
+        clock.reset(0, 2112);
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: -47891, duration: 23220 });
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: -24671, duration: 23220 });
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: -1451, duration: 23220 });
+        assert.equal(Math.round(clock.position), 21769);
+    });
+
+    check('several held units at once', () => {
+        const clock = new OutputClock();
+        clock.hold(null, 10);
+        assert.deepEqual(clock.stamp(1024, 44100), { timestamp: 232200, duration: 23220 });
+    });
+}
+
+function testAccessUnits() {
+    console.log('\n=== Access units ===\n');
+
+    const lc = { objectType: AUDIO_OBJECT_TYPE.AAC_LC, samplingFrequency: 44100, gaSpecificConfig: { frameLengthFlag: 0 } };
+
+    check('access unit durations', () => {
+        assert.equal(accessUnitDuration(lc), FRAME_US);
+        assert.equal(accessUnitDuration({ ...lc, gaSpecificConfig: { frameLengthFlag: 1 } }), 960 * 1e6 / 44100);
+        assert.equal(accessUnitDuration({ objectType: AUDIO_OBJECT_TYPE.ER_AAC_LD, samplingFrequency: 48000, gaSpecificConfig: { frameLengthFlag: 0 } }), 512 * 1e6 / 48000);
+        assert.equal(accessUnitDuration({ objectType: AUDIO_OBJECT_TYPE.ER_AAC_LD, samplingFrequency: 48000, gaSpecificConfig: { frameLengthFlag: 1 } }), 10000);
+    });
+
+    check('access unit at a time', () => {
+        assert.equal(accessUnitAt(0, lc), 0);
+        assert.equal(accessUnitAt(FRAME_US - 1, lc), 0);
+        assert.equal(accessUnitAt(FRAME_US, lc), 1);
+        assert.equal(accessUnitAt(-1000, lc), 0);
+        assert.equal(accessUnitAt(0, lc, -FRAME_US * 2), 2);
+    });
+}
+
+testOutputClock();
+testAccessUnits();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
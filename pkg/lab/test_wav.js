@@ -0,0 +1,198 @@
+import assert from 'assert/strict';
+import { CONTAINER, SAMPLE_FORMAT, WavWriter, channelMask, encodeWav } from '../faad2_wav.js';
+
+// Two stereo frames at 44100 Hz: 0.5, -0.5, then full scale (clamped in s16)
+const FRAME = { pcm: Float32Array.from([0.5, -0.5, 1, -1]), format: 'f32', sampleRate: 44100, channels: 2 };
+const S16_LE = [0x00, 0x40, 0x00, 0xC0, 0xFF, 0x7F, 0x00, 0x80];
+const S16_BE = [0x40, 0x00, 0xC0, 0x00, 0x7F, 0xFF, 0x80, 0x00];
+
+const FMT_S16_STEREO_44100 = [
+    ...ascii('fmt '), 0x10, 0x00, 0x00, 0x00,
+    0x01, 0x00, // WAVE_FORMAT_PCM
+    0x02, 0x00, // channels
+    0x44, 0xAC, 0x00, 0x00, // 44100 Hz
+    0x10, 0xB1, 0x02, 0x00, // 176400 bytes/s
+    0x04, 0x00, // block align
+    0x10, 0x00, // 16 bits
+];
+
+// 44-byte canonical WAV header
+const WAV = [
+    ...ascii('RIFF'), 0x2C, 0x00, 0x00, 0x00, ...ascii('WAVE'),
+    ...FMT_S16_STEREO_44100,
+    ...ascii('data'), 0x08, 0x00, 0x00, 0x00,
+    ...S16_LE,
+];
+
+// With the 36-byte JUNK chunk reserved for ds64
+const WAV_RESERVED = [
+    ...ascii('RIFF'), 0x50, 0x00, 0x00, 0x00, ...ascii('WAVE'),
+    ...ascii('JUNK'), 0x1C, 0x00, 0x00, 0x00, ...new Array(28).fill(0),
+    ...FMT_S16_STEREO_44100,
+    ...ascii('data'), 0x08, 0x00, 0x00, 0x00,
+    ...S16_LE,
+];
+
+// EBU Tech 3306: sizes in ds64, 0xFFFFFFFF in RIFF and data
+const RF64 = [
+    ...ascii('RF64'), 0xFF, 0xFF, 0xFF, 0xFF, ...ascii('WAVE'),
+    ...ascii('ds64'), 0x1C, 0x00, 0x00, 0x00,
+    ...u64(80), // RIFF size
+    ...u64(8), // data size
+    ...u64(2), // sample frames
+    0x00, 0x00, 0x00, 0x00, // table length
+    ...FMT_S16_STEREO_44100,
+    ...ascii('data'), 0xFF, 0xFF, 0xFF, 0xFF,
+    ...S16_LE,
+];
+
+const AIFF = [
+    ...ascii('FORM'), 0x00, 0x00, 0x00, 0x36, ...ascii('AIFF'),
+    ...ascii('COMM'), 0x00, 0x00, 0x00, 0x12,
+    0x00, 0x02, // channels
+    0x00, 0x00, 0x00, 0x02, // sample frames
+    0x00, 0x10, // 16 bits
+    0x40, 0x0E, 0xAC, 0x44, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // 44100 as 80-bit extended
+    ...ascii('SSND'), 0x00, 0x00, 0x00, 0x10, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+    ...S16_BE,
+];
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+function ascii(text) {
+    return [...text].map((char) => char.charCodeAt(0));
+}
+
+function u64(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, value >>> 24, 0, 0, 0, 0];
+}
+
+function hex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+function assertBytes(actual, expected) {
+    assert.equal(hex(actual), hex(expected));
+}
+
+function testContainers() {
+    console.log('=== encodeWav ===\n');
+
+    check('WAV, s16 stereo, no RF64 reserve', () => {
+        assertBytes(encodeWav([FRAME], { reserveRF64: false }), WAV);
+    });
+    check('WAV with JUNK reserved for RF64', () => {
+        assertBytes(encodeWav([FRAME]), WAV_RESERVED);
+    });
+    check('RF64', () => {
+        assertBytes(encodeWav([FRAME], { container: CONTAINER.RF64 }), RF64);
+    });
+    check('AIFF, big-endian samples', () => {
+        assertBytes(encodeWav([FRAME], { container: CONTAINER.AIFF }), AIFF);
+    });
+    check('raw PCM', () => {
+        assertBytes(encodeWav([FRAME], { container: CONTAINER.RAW }), S16_LE);
+    });
+    check('planar s16 input', () => {
+        const planar = {
+            channelData: [Int16Array.from([16384, 32767]), Int16Array.from([-16384, -32768])],
+            format: 's16-planar',
+            sampleRate: 44100,
+            channels: 2,
+        };
+        assertBytes(encodeWav([planar], { reserveRF64: false }), WAV);
+    });
+
+    check('s24 mono: WAVE_FORMAT_EXTENSIBLE and a pad byte', () => {
+        const mono = { pcm: Float32Array.from([0.5]), format: 'f32', sampleRate: 48000, channels: 1, channelLayout: ['C'] };
+        const out = encodeWav([mono], { sampleFormat: SAMPLE_FORMAT.S24, reserveRF64: false });
+        assertBytes(out, [
+            ...ascii('RIFF'), 0x40, 0x00, 0x00, 0x00, ...ascii('WAVE'),
+            ...ascii('fmt '), 0x28, 0x00, 0x00, 0x00,
+            0xFE, 0xFF, // WAVE_FORMAT_EXTENSIBLE
+            0x01, 0x00,
+            0x80, 0xBB, 0x00, 0x00, // 48000 Hz
+            0x80, 0x32, 0x02, 0x00, // 144000 bytes/s
+            0x03, 0x00,
+            0x18, 0x00,
+            0x16, 0x00, // cbSize
+            0x18, 0x00, // valid bits
+            0x04, 0x00, 0x00, 0x00, // SPEAKER_FRONT_CENTER
+            0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71,
+            ...ascii('data'), 0x03, 0x00, 0x00, 0x00,
+            0x00, 0x00, 0x40,
+            0x00, // pad
+        ]);
+    });
+
+    check('f32 WAV: fact chunk', () => {
+        const out = encodeWav([FRAME], { sampleFormat: SAMPLE_FORMAT.F32, reserveRF64: false });
+        const view = new DataView(out.buffer);
+        assert.equal(view.getUint16(20, true), 0xFFFE);
+        assert.equal(hex(out.subarray(60, 64)), hex(ascii('fact')));
+        assert.equal(view.getUint32(68, true), 2);
+        assert.equal(hex(out.subarray(72, 76)), hex(ascii('data')));
+        assert.equal(view.getFloat32(80, true), 0.5);
+    });
+
+    check('f32 AIFF-C: FVER and fl32', () => {
+        const out = encodeWav([FRAME], { container: CONTAINER.AIFF, sampleFormat: SAMPLE_FORMAT.F32 });
+        assert.equal(hex(out.subarray(8, 12)), hex(ascii('AIFC')));
+        assert.equal(hex(out.subarray(12, 24)), hex([...ascii('FVER'), 0, 0, 0, 4, 0xA2, 0x80, 0x51, 0x40]));
+        assert.equal(hex(out.subarray(50, 54)), hex(ascii('fl32')));
+    });
+}
+
+function testStreaming() {
+    console.log('\n=== WavWriter ===\n');
+
+    check('sizes unknown until finalize()', () => {
+        const writer = new WavWriter({ reserveRF64: false });
+        const first = writer.write(FRAME);
+        assert.equal(writer.headerLength, 44);
+        assert.equal(hex(first.subarray(4, 8)), 'ff ff ff ff');
+        assert.equal(hex(first.subarray(40, 44)), 'ff ff ff ff');
+        assertBytes(writer.write(FRAME), S16_LE);
+
+        const { header, trailer } = writer.finalize();
+        const view = new DataView(header.buffer);
+        assert.equal(header.length, 44);
+        assert.equal(view.getUint32(4, true), 36 + 16);
+        assert.equal(view.getUint32(40, true), 16);
+        assert.equal(trailer.length, 0);
+    });
+
+    check('rejects a format change mid-stream', () => {
+        const writer = new WavWriter();
+        writer.write(FRAME);
+        assert.throws(() => writer.write({ ...FRAME, sampleRate: 48000 }), /Format changed/);
+    });
+
+    check('finalize() without frames needs the format', () => {
+        assert.throws(() => new WavWriter().finalize(), /Invalid sample rate/);
+        assert.equal(new WavWriter({ sampleRate: 44100, channels: 2, reserveRF64: false }).finalize().header.length, 44);
+    });
+
+    check('channel masks', () => {
+        assert.equal(channelMask(['L', 'R']), 0x3);
+        assert.equal(channelMask(['L', 'R', 'C', 'LFE', 'Ls', 'Rs']), 0x3F);
+        assert.equal(channelMask(['C', 'L', 'R']), 0);
+        assert.equal(channelMask(['X']), 0);
+    });
+}
+
+testContainers();
+testStreaming();
+
+console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+process.exitCode = failures ? 1 : 0;
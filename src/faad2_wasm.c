@@ -10,7 +10,41 @@
 #include "neaacdec.h"
 #include "faad.h"
 
-static NeAACDecHandle handle;
+/*
+ * Per-frame result shared with JS, mirroring NeAACDecFrameInfo. Scalar
+ * fields are 32-bit little-endian words followed by the raw channel_position
+ * bytes, so JS can read it with a DataView, see pkg/faad2_frame_info.js.
+ */
+typedef struct {
+    uint32_t samples;
+    uint32_t samplerate;
+    uint32_t channels;
+    uint32_t error;
+    uint32_t bytesconsumed;
+    uint32_t object_type;
+    uint32_t header_type;
+    uint32_t sbr;
+    uint32_t ps;
+    uint32_t num_front_channels;
+    uint32_t num_side_channels;
+    uint32_t num_back_channels;
+    uint32_t num_lfe_channels;
+    uint8_t channel_position[64];
+} frame_info_t;
+
+/*
+ * Negative decode_frame() results. DECODE_ERR_FAAD means FAAD2 rejected the
+ * frame and frame_info->error holds its error code.
+ */
+#define DECODE_ERR_FAAD -1
+#define DECODE_ERR_BUFFER_TOO_SMALL -2
+#define DECODE_ERR_NO_HANDLE -3
+
+/*
+ * Largest frame decode_frame() is asked to hold: 2048 samples per channel
+ * (1024 doubled by SBR) for up to 8 channels, see pkg/faad2_heap.js.
+ */
+#define MAX_FRAME_SAMPLES (2048 * 8)
 
 EMSCRIPTEN_KEEPALIVE
 unsigned long get_faad_capabilities() {
@@ -19,14 +53,39 @@ unsigned long get_faad_capabilities() {
 
 
 EMSCRIPTEN_KEEPALIVE
-int init_decoder(const unsigned char *asc, int asc_len) {
-    handle = NeAACDecOpen();
+const char *get_error_message(int code) {
+    return NeAACDecGetErrorMessage((unsigned char)code);
+}
+
+EMSCRIPTEN_KEEPALIVE
+NeAACDecHandle open_decoder() {
+    return NeAACDecOpen();
+}
+
+EMSCRIPTEN_KEEPALIVE
+void close_decoder(NeAACDecHandle handle) {
+    if (handle) NeAACDecClose(handle);
+}
+
+/*
+ * Configure and initialize a decoder. output_format is a FAAD_FMT_* value,
+ * the remaining arguments map to the NeAACDecConfiguration fields of the
+ * same name, see pkg/faad2_options.js.
+ */
+EMSCRIPTEN_KEEPALIVE
+int init_decoder(NeAACDecHandle handle, const unsigned char *asc, int asc_len,
+                 int output_format, int def_sample_rate, int def_object_type,
+                 int down_matrix, int use_old_adts_format, int dont_upsample_implicit_sbr) {
     if (!handle) return -1;
 
     NeAACDecConfigurationPtr config = NeAACDecGetCurrentConfiguration(handle);
 
-    config->outputFormat = FAAD_FMT_FLOAT;
-    config->defSampleRate = 48000;
+    config->outputFormat = (unsigned char)output_format;
+    config->defSampleRate = (unsigned long)def_sample_rate;
+    config->defObjectType = (unsigned char)def_object_type;
+    config->downMatrix = (unsigned char)down_matrix;
+    config->useOldADTSFormat = (unsigned char)use_old_adts_format;
+    config->dontUpSampleImplicitSBR = (unsigned char)dont_upsample_implicit_sbr;
 
     if (!NeAACDecSetConfiguration(handle, config)) {
         return -2;
@@ -42,35 +101,98 @@ int init_decoder(const unsigned char *asc, int asc_len) {
     return 0;
 }
 
+/* Bytes per output sample for a FAAD_FMT_* value */
+static int sample_size(unsigned char output_format) {
+    switch (output_format) {
+        case FAAD_FMT_16BIT: return 2;
+        case FAAD_FMT_DOUBLE: return 8;
+        default: return 4;
+    }
+}
+
 EMSCRIPTEN_KEEPALIVE
-int decode_frame(const unsigned char *data, int len, void *out, int out_size) {
+int decode_frame(NeAACDecHandle handle, const unsigned char *data, int len, void *out, int out_size, frame_info_t *frame_info) {
+    memset(frame_info, 0, sizeof(frame_info_t));
+    if (!handle) return DECODE_ERR_NO_HANDLE;
+
     NeAACDecFrameInfo info;
     void *decoded = NeAACDecDecode(handle, &info, (unsigned char *)data, len);
 
-    if (!decoded || info.error > 0 || !info.samples || info.samples * sizeof(float) > out_size) {
-        return -1;
+    frame_info->error = info.error;
+    frame_info->samplerate = info.samplerate;
+    frame_info->channels = info.channels;
+    frame_info->samples = info.samples;
+    frame_info->bytesconsumed = info.bytesconsumed;
+    frame_info->object_type = info.object_type;
+    frame_info->header_type = info.header_type;
+    frame_info->sbr = info.sbr;
+    frame_info->ps = info.ps;
+    frame_info->num_front_channels = info.num_front_channels;
+    frame_info->num_side_channels = info.num_side_channels;
+    frame_info->num_back_channels = info.num_back_channels;
+    frame_info->num_lfe_channels = info.num_lfe_channels;
+    memcpy(frame_info->channel_position, info.channel_position, sizeof(frame_info->channel_position));
+
+    if (info.error > 0) {
+        return DECODE_ERR_FAAD;
+    }
+
+    if (!decoded || !info.samples) {
+        return 0;
     }
 
-    memcpy(out, decoded, info.samples * sizeof(float));
-
-    uint32_t samplerate_index = 0;
-    switch (info.samplerate) {
-        case 8000: samplerate_index = 1; break;
-        case 16000: samplerate_index = 2; break;
-        case 22050: samplerate_index = 3; break;
-        case 32000: samplerate_index = 4; break;
-        case 44100: samplerate_index = 5; break;
-        case 48000: samplerate_index = 6; break;
-        case 64000: samplerate_index = 7; break;
-        case 88200: samplerate_index = 8; break;
-        case 96000: samplerate_index = 9; break;
-        default: samplerate_index = 0; break;
+    int size = sample_size(NeAACDecGetCurrentConfiguration(handle)->outputFormat);
+    if (info.samples * size > out_size) {
+        return DECODE_ERR_BUFFER_TOO_SMALL;
     }
 
-    uint32_t packed = 0;
-    packed |= (samplerate_index & 0xF) << 28;
-    packed |= (info.channels & 0xF) << 24;
-    packed |= (info.samples & 0xFFFFFF);
+    memcpy(out, decoded, info.samples * size);
 
-    return packed;
+    return info.samples;
+}
+
+/*
+ * Decode count access units in one call. Access unit i is sizes[i] bytes at
+ * data + offsets[i]. PCM of all frames is appended to out, frame_infos gets
+ * one frame_info_t and results one decode_frame() result per access unit.
+ *
+ * Stops before a frame when less than a full frame of space is left in out,
+ * and after a failed frame when stop_on_error is set. Returns the number of
+ * access units processed; the caller continues from there.
+ */
+EMSCRIPTEN_KEEPALIVE
+int decode_batch(NeAACDecHandle handle, const unsigned char *data, const int *offsets, const int *sizes, int count,
+                 void *out, int out_size, frame_info_t *frame_infos, int *results, int stop_on_error) {
+    if (!handle) return 0;
+
+    int size = sample_size(NeAACDecGetCurrentConfiguration(handle)->outputFormat);
+    int max_frame_bytes = MAX_FRAME_SAMPLES * size;
+    int used = 0;
+    int i;
+
+    for (i = 0; i < count; i++) {
+        if (out_size - used < max_frame_bytes) break;
+
+        int result = decode_frame(handle, data + offsets[i], sizes[i], (unsigned char *)out + used, out_size - used, &frame_infos[i]);
+        results[i] = result;
+
+        if (result > 0) {
+            used += result * size;
+        } else if (result < 0 && stop_on_error) {
+            return i + 1;
+        }
+    }
+
+    return i;
+}
+
+/*
+ * Prepare for an access unit that does not follow the last one decoded, e.g.
+ * after a seek. FAAD2 resets its SBR state (and AAC Main prediction) on the
+ * next frame. frame is the index of that access unit: at 0 FAAD2 withholds
+ * its output as after initialization, -1 keeps the current count.
+ */
+EMSCRIPTEN_KEEPALIVE
+void post_seek_reset(NeAACDecHandle handle, long frame) {
+    if (handle) NeAACDecPostSeekReset(handle, frame);
 }